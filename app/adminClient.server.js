@@ -0,0 +1,194 @@
+// Admin GraphQL istemci katmanı. shopify.server.js'in verdiği `admin`
+// istemcisini sarar; sorgu maliyetini (extensions.cost) mağaza bazında takip
+// eder, bucket boşalmışsa istekten önce bekler ve THROTTLED hatalarında
+// yeniden dener.
+import { logger } from "./logger.server";
+import { adminApiDuration } from "./metrics.server";
+
+export const API_TIMEOUT = 10000;
+
+const MAX_THROTTLE_RETRIES = 3;
+const DEFAULT_QUERY_COST = 10;
+
+// shop -> son bilinen throttleStatus
+const throttleState = new Map();
+
+export class AdminApiError extends Error {
+  constructor(message, { errors = [], userErrors = [] } = {}) {
+    super(message);
+    this.name = "AdminApiError";
+    this.errors = errors;
+    this.userErrors = userErrors;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class AdminApiTimeoutError extends Error {
+  constructor() {
+    super("API isteği zaman aşımına uğradı");
+    this.name = "AdminApiTimeoutError";
+  }
+}
+
+// `send` bir AbortSignal alır; süre dolunca fetch iptal edilir ve
+// AdminApiTimeoutError fırlatılır. İptal yalnızca yanıtı beklemeyi keser:
+// Shopify mutation'ı yine de işlemiş olabilir, bu yüzden oluşturma akışları
+// yeniden denemeden önce sonucu sorgular (bkz. hostPool.server.js).
+export async function withTimeout(send, timeoutMs = API_TIMEOUT) {
+  const controller = new AbortController();
+  const timedOut = new Promise((_, reject) => {
+    controller.signal.addEventListener(
+      "abort",
+      () => reject(new AdminApiTimeoutError()),
+      { once: true },
+    );
+  });
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await Promise.race([send(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function recordCost(shop, extensions) {
+  const status = extensions?.cost?.throttleStatus;
+  if (!status) return;
+
+  throttleState.set(shop, {
+    maximumAvailable: status.maximumAvailable,
+    currentlyAvailable: status.currentlyAvailable,
+    restoreRate: status.restoreRate,
+    updatedAt: Date.now(),
+  });
+}
+
+// Son ölçümden bu yana dolan puanlarla birlikte tahmini kullanılabilir bütçe
+function estimateAvailable(shop) {
+  const state = throttleState.get(shop);
+  if (!state) return null;
+
+  const restored = ((Date.now() - state.updatedAt) / 1000) * state.restoreRate;
+  return Math.min(state.maximumAvailable, state.currentlyAvailable + restored);
+}
+
+function msUntilAvailable(shop, cost) {
+  const state = throttleState.get(shop);
+  const available = estimateAvailable(shop);
+  if (!state || available === null || available >= cost) return 0;
+
+  return Math.ceil(((cost - available) / state.restoreRate) * 1000);
+}
+
+function isThrottled(err) {
+  const graphQLErrors = err?.body?.errors?.graphQLErrors || err?.errors || [];
+  return (
+    err?.constructor?.name === "HttpThrottlingError" ||
+    graphQLErrors.some((e) => e?.extensions?.code === "THROTTLED")
+  );
+}
+
+// "mutation customizerProductCreate(...)" -> "customizerProductCreate"
+function operationName(query) {
+  return /\b(?:query|mutation)\s+(\w+)/.exec(query)?.[1] || "anonymous";
+}
+
+export function getThrottleStatus(shop) {
+  const state = throttleState.get(shop);
+  return state
+    ? { ...state, estimatedAvailable: estimateAvailable(shop) }
+    : null;
+}
+
+/**
+ * `admin.graphql` için maliyet ve throttle farkındalıklı sarmalayıcı.
+ * `request` yalnızca `data` döndürür; GraphQL hataları AdminApiError olur.
+ */
+export function createAdminClient(
+  admin,
+  shop,
+  { timeoutMs = API_TIMEOUT } = {},
+) {
+  async function request(
+    query,
+    variables = {},
+    { cost = DEFAULT_QUERY_COST } = {},
+  ) {
+    const operation = operationName(query);
+    const observe = (status, startedAt) =>
+      adminApiDuration.observe(
+        { operation, status },
+        (performance.now() - startedAt) / 1000,
+      );
+
+    for (let attempt = 0; ; attempt++) {
+      const wait = msUntilAvailable(shop, cost);
+      if (wait > 0) {
+        logger.warn("GraphQL bütçesi düşük, bekleniyor", {
+          shop,
+          waitMs: wait,
+        });
+        await sleep(wait);
+      }
+
+      const startedAt = performance.now();
+      try {
+        const body = await withTimeout(async (signal) => {
+          const response = await admin.graphql(query, { variables, signal });
+          return response.json();
+        }, timeoutMs);
+        recordCost(shop, body.extensions);
+
+        if (body.errors?.length) {
+          throw new AdminApiError(body.errors[0].message, {
+            errors: body.errors,
+          });
+        }
+
+        observe("ok", startedAt);
+        return body.data;
+      } catch (err) {
+        recordCost(shop, err?.body?.extensions);
+        observe(isThrottled(err) ? "throttled" : "error", startedAt);
+
+        if (isThrottled(err) && attempt < MAX_THROTTLE_RETRIES) {
+          const delay =
+            msUntilAvailable(shop, cost) ||
+            (err.retryAfter ? err.retryAfter * 1000 : 1000 * (attempt + 1));
+          logger.warn("Shopify throttle, tekrar denenecek", {
+            shop,
+            delayMs: delay,
+            attempt: attempt + 1,
+          });
+          await sleep(delay);
+          continue;
+        }
+
+        throw err;
+      }
+    }
+  }
+
+  return { shop, request };
+}
+
+export function assertNoUserErrors(userErrors, message) {
+  if (userErrors?.length) {
+    throw new AdminApiError(
+      `${message}: ${userErrors.map((e) => e.message).join(", ")}`,
+      { userErrors },
+    );
+  }
+}
+
+export function toGid(type, id) {
+  return String(id).startsWith("gid://")
+    ? String(id)
+    : `gid://shopify/${type}/${id}`;
+}
+
+export function fromGid(gid) {
+  return String(gid).split("/").pop();
+}
@@ -0,0 +1,247 @@
+// Alarm teslimatı. Yapılandırılmış her kanala (SMTP e-posta, HMAC imzalı
+// JSON webhook, Slack incoming webhook) gönderir. Aynı anahtarlı alarmlar
+// ALARM_COOLDOWN_MS boyunca bastırılır ve sayılır; bir sonraki gönderimde
+// kaç alarmın bastırıldığı bildirilir.
+//
+// E-posta: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+//          ALARM_EMAIL_FROM, ALARM_EMAIL_TO
+// Webhook: ALARM_WEBHOOK_URL, ALARM_WEBHOOK_SECRET (HMAC imzası için)
+// Slack:   ALARM_SLACK_WEBHOOK_URL
+import crypto from "node:crypto";
+import nodemailer from "nodemailer";
+import prisma from "./db.server";
+import { logger } from "./logger.server";
+
+export const ALARM_COOLDOWN_MS =
+  parseInt(process.env.ALARM_COOLDOWN_MS || "", 10) || 30 * 60 * 1000;
+
+const DELIVERY_TIMEOUT_MS =
+  parseInt(process.env.ALARM_DELIVERY_TIMEOUT_MS || "", 10) || 10 * 1000;
+
+export const SIGNATURE_HEADER = "X-Frame-Customizer-Signature";
+export const TIMESTAMP_HEADER = "X-Frame-Customizer-Timestamp";
+
+function getChannelConfig(env = process.env) {
+  return {
+    email: env.SMTP_HOST &&
+      env.ALARM_EMAIL_TO && {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || "", 10) || 587,
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.ALARM_EMAIL_FROM || `frame-customizer@${env.SMTP_HOST}`,
+        to: env.ALARM_EMAIL_TO,
+      },
+    webhook: env.ALARM_WEBHOOK_URL && {
+      url: env.ALARM_WEBHOOK_URL,
+      secret: env.ALARM_WEBHOOK_SECRET,
+    },
+    slack: env.ALARM_SLACK_WEBHOOK_URL && {
+      url: env.ALARM_SLACK_WEBHOOK_URL,
+    },
+  };
+}
+
+export function getConfiguredChannels() {
+  return Object.entries(getChannelConfig())
+    .filter(([, config]) => config)
+    .map(([name]) => name);
+}
+
+/**
+ * Webhook gövdesinin imzası: HMAC-SHA256(secret, `${timestamp}.${body}`).
+ * Alıcı aynı hesabı yapıp zaman damgasının eski olmadığını kontrol etmelidir.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(
+    `sha256=${signWebhookPayload(secret, timestamp, body)}`,
+  );
+  const actual = Buffer.from(String(signature || ""));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+  }
+}
+
+function formatText(alarm) {
+  const suppressed = alarm.suppressed
+    ? `\n(${alarm.suppressed} benzer alarm cooldown süresince bastırıldı)`
+    : "";
+  return `🚨 ${alarm.message}${suppressed}`;
+}
+
+const channels = {
+  async email(config, alarm) {
+    const transport = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+      connectionTimeout: DELIVERY_TIMEOUT_MS,
+      greetingTimeout: DELIVERY_TIMEOUT_MS,
+      socketTimeout: DELIVERY_TIMEOUT_MS,
+    });
+
+    await transport.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: `[frame-customizer] ${alarm.message}`,
+      text: `${formatText(alarm)}\n\n${JSON.stringify(alarm.details, null, 2)}`,
+    });
+  },
+
+  async webhook(config, alarm) {
+    const body = JSON.stringify({ type: "alarm", ...alarm });
+    const headers = {};
+
+    if (config.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers[TIMESTAMP_HEADER] = timestamp;
+      headers[SIGNATURE_HEADER] =
+        `sha256=${signWebhookPayload(config.secret, timestamp, body)}`;
+    }
+
+    await postJson(config.url, body, headers);
+  },
+
+  async slack(config, alarm) {
+    await postJson(
+      config.url,
+      JSON.stringify({
+        text: formatText(alarm),
+        blocks: [
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: `*${formatText(alarm)}*` },
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `\`${alarm.key}\` · ${alarm.occurredAt}`,
+              },
+            ],
+          },
+        ],
+      }),
+    );
+  },
+};
+
+/**
+ * Cooldown kontrolü. Gönderilecekse bastırılan alarm sayısını döndürür,
+ * cooldown içindeyse sayacı artırıp null döndürür.
+ */
+async function claimAlarm(key, message, now = new Date()) {
+  const cutoff = new Date(now.getTime() - ALARM_COOLDOWN_MS);
+
+  const existing = await prisma.alarmState.findUnique({ where: { key } });
+  if (!existing) {
+    try {
+      await prisma.alarmState.create({
+        data: { key, lastMessage: message, lastSentAt: now },
+      });
+      return 0;
+    } catch (err) {
+      // Aynı anda başka bir süreç oluşturdu; cooldown'a tabi
+      if (err?.code !== "P2002") throw err;
+    }
+  } else if (existing.lastSentAt <= cutoff) {
+    // Koşullu güncelleme: yalnızca bir süreç cooldown'ı sıfırlayabilir
+    const { count } = await prisma.alarmState.updateMany({
+      where: { key, lastSentAt: existing.lastSentAt },
+      data: { lastMessage: message, lastSentAt: now, suppressedCount: 0 },
+    });
+    if (count) return existing.suppressedCount;
+  }
+
+  await prisma.alarmState.update({
+    where: { key },
+    data: { suppressedCount: { increment: 1 } },
+  });
+  return null;
+}
+
+async function deliver(alarm, only) {
+  const config = getChannelConfig();
+  const names = Object.keys(channels).filter(
+    (name) => config[name] && (!only || name === only),
+  );
+
+  const results = await Promise.allSettled(
+    names.map((name) => channels[name](config[name], alarm)),
+  );
+
+  return Object.fromEntries(
+    names.map((name, i) => {
+      const result = results[i];
+      if (result.status === "rejected") {
+        logger.error("Alarm kanala gönderilemedi", {
+          channel: name,
+          err: result.reason,
+        });
+        return [name, { ok: false, error: String(result.reason?.message) }];
+      }
+      return [name, { ok: true }];
+    }),
+  );
+}
+
+/**
+ * Alarmı yapılandırılmış kanallara gönderir. Cooldown içindeyse göndermez.
+ * Dönen değer: { sent, suppressed?, channels? }
+ */
+export async function sendAlarm({ key, message, details = null }) {
+  const suppressed = await claimAlarm(key, message);
+  if (suppressed === null) {
+    logger.warn("Alarm cooldown içinde, gönderilmedi", { alarm: key });
+    return { sent: false };
+  }
+
+  const alarm = {
+    key,
+    message,
+    details,
+    suppressed,
+    occurredAt: new Date().toISOString(),
+  };
+
+  return { sent: true, suppressed, channels: await deliver(alarm) };
+}
+
+/**
+ * Cooldown'u atlayarak tek bir kanala (veya hepsine) deneme alarmı gönderir.
+ */
+export async function sendTestAlarm(channel) {
+  const alarm = {
+    key: "test",
+    message: "Test alarmı",
+    details: { test: true },
+    suppressed: 0,
+    occurredAt: new Date().toISOString(),
+  };
+
+  return deliver(alarm, channel);
+}
@@ -0,0 +1,153 @@
+// Varyantsız mod: base varyant satır özellikleriyle (boy, en, materyal)
+// sepete eklenir, fiyat ve başlığı frame-cart-transform fonksiyonu belirler.
+// Fonksiyon fiyat kurallarını CartTransform nesnesinin metafield'ından okur.
+import { assertNoUserErrors } from "./adminClient.server";
+import { buildPricingConfig } from "./pricing.server";
+import {
+  CART_MODES,
+  getShopSettings,
+  updateShopSettings,
+} from "./shopSettings.server";
+
+export const PRICING_METAFIELD = {
+  namespace: "$app:frame_customizer",
+  key: "pricing",
+};
+
+export const CART_TRANSFORM_HANDLE = "frame-cart-transform";
+
+// Satır özelliği anahtarları; "_" ile başlayanlar checkout'ta gizlenir.
+export const LINE_PROPERTIES = {
+  boy: "boy",
+  en: "en",
+  materyal: "materyal",
+  // Ek çerçeve seçenekleri JSON olarak; görünür kopyaları etiketleriyle eklenir
+  attributes: "_attributes",
+  preview: "_preview",
+};
+
+async function findFunctionId(client) {
+  // Shopify CLI deploy sonrası SHOPIFY_<HANDLE>_ID ortam değişkenini sağlar
+  const fromEnv = process.env.SHOPIFY_FRAME_CART_TRANSFORM_ID;
+  if (fromEnv) return fromEnv;
+
+  const data = await client.request(
+    `#graphql
+      query customizerCartTransformFunctions {
+        shopifyFunctions(first: 25, apiType: "cart_transform") {
+          nodes {
+            id
+            title
+          }
+        }
+      }`,
+  );
+
+  const fn = data.shopifyFunctions.nodes.find(
+    (node) => node.title === CART_TRANSFORM_HANDLE,
+  );
+  if (!fn) {
+    throw new Error(`${CART_TRANSFORM_HANDLE} fonksiyonu bulunamadı`);
+  }
+  return fn.id;
+}
+
+async function createCartTransform(client) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerCartTransformCreate($functionId: String!) {
+        cartTransformCreate(functionId: $functionId, blockOnFailure: false) {
+          cartTransform {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { functionId: await findFunctionId(client) },
+  );
+
+  const result = data.cartTransformCreate;
+  assertNoUserErrors(result.userErrors, "Cart Transform oluşturulamadı");
+  return result.cartTransform.id;
+}
+
+async function deleteCartTransform(client, id) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerCartTransformDelete($id: ID!) {
+        cartTransformDelete(id: $id) {
+          deletedId
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { id },
+  );
+
+  assertNoUserErrors(
+    data.cartTransformDelete.userErrors,
+    "Cart Transform silinemedi",
+  );
+}
+
+export async function syncPricingConfig(client, shopDomain) {
+  const settings = await getShopSettings(shopDomain);
+  if (!settings.cartTransformId) return;
+
+  const config = await buildPricingConfig(shopDomain);
+  const data = await client.request(
+    `#graphql
+      mutation customizerPricingMetafield($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      metafields: [
+        {
+          ownerId: settings.cartTransformId,
+          ...PRICING_METAFIELD,
+          type: "json",
+          value: JSON.stringify(config),
+        },
+      ],
+    },
+  );
+
+  assertNoUserErrors(
+    data.metafieldsSet.userErrors,
+    "Fiyat kuralları fonksiyona aktarılamadı",
+  );
+}
+
+/**
+ * Mağazanın sepet modunu değiştirir. Varyantsız moda geçerken Cart Transform
+ * nesnesini oluşturup fiyat kurallarını aktarır, varyant moduna dönerken siler.
+ */
+export async function setCartMode(client, shopDomain, cartMode) {
+  const settings = await getShopSettings(shopDomain);
+
+  if (cartMode === CART_MODES.LINE_ITEM_PROPERTIES) {
+    const cartTransformId =
+      settings.cartTransformId || (await createCartTransform(client));
+    await updateShopSettings(shopDomain, { cartMode, cartTransformId });
+    await syncPricingConfig(client, shopDomain);
+    return;
+  }
+
+  if (settings.cartTransformId) {
+    await deleteCartTransform(client, settings.cartTransformId);
+  }
+  await updateShopSettings(shopDomain, {
+    cartMode: CART_MODES.VARIANT,
+    cartTransformId: null,
+  });
+}
@@ -0,0 +1,588 @@
+// Özel ölçü akışının kullandığı Admin GraphQL işlemleri. Dönen varyantlar
+// eski REST yanıtlarıyla aynı biçime (id, product_id, option1..3, price)
+// dönüştürülür; veritabanında sayısal ID'ler saklanmaya devam eder.
+import { assertNoUserErrors, fromGid, toGid } from "./adminClient.server";
+
+const DEFAULT_OPTION_NAMES = ["Boy", "En", "Materyal"];
+
+// Varyantın tam konfigürasyonu (ölçü, materyal ve ek çerçeve seçenekleri)
+export const CONFIGURATION_METAFIELD = {
+  namespace: "$app:frame_customizer",
+  key: "configuration",
+};
+
+const VARIANT_FIELDS = `#graphql
+  fragment CustomizerVariant on ProductVariant {
+    id
+    legacyResourceId
+    price
+    sku
+    selectedOptions {
+      name
+      value
+    }
+    configuration: metafield(
+      namespace: "$app:frame_customizer"
+      key: "configuration"
+    ) {
+      value
+    }
+    product {
+      id
+      legacyResourceId
+    }
+  }`;
+
+export function normalizeVariant(node) {
+  if (!node) return null;
+
+  const options = node.selectedOptions || [];
+  return {
+    id: node.legacyResourceId || fromGid(node.id),
+    gid: node.id,
+    price: node.price,
+    sku: node.sku,
+    product_id: node.product?.legacyResourceId || fromGid(node.product?.id),
+    option1: options[0]?.value ?? null,
+    option2: options[1]?.value ?? null,
+    option3: options[2]?.value ?? null,
+    configuration: node.configuration?.value ?? null,
+  };
+}
+
+export async function getVariant(client, variantId) {
+  const data = await client.request(
+    `#graphql
+      ${VARIANT_FIELDS}
+      query customizerVariant($id: ID!) {
+        productVariant(id: $id) {
+          ...CustomizerVariant
+        }
+      }`,
+    { id: toGid("ProductVariant", variantId) },
+    { cost: 2 },
+  );
+
+  return normalizeVariant(data.productVariant);
+}
+
+/**
+ * Seçenek değerleri eşleşen varyantı verilen ürünlerin her birinde tek
+ * sorguda arar; varyantları listelemek gerekmez. Bulunanlar `productIds`
+ * sırasıyla döner (ürün başına en fazla bir varyant).
+ */
+export async function findVariantsBySelectedOptions(
+  client,
+  productIds,
+  optionNames,
+  optionValues,
+) {
+  if (!productIds.length) return [];
+
+  const data = await client.request(
+    `#graphql
+      ${VARIANT_FIELDS}
+      query customizerVariantsBySelectedOptions(
+        $ids: [ID!]!
+        $selectedOptions: [SelectedOptionInput!]!
+      ) {
+        nodes(ids: $ids) {
+          ... on Product {
+            variantBySelectedOptions(selectedOptions: $selectedOptions) {
+              ...CustomizerVariant
+            }
+          }
+        }
+      }`,
+    {
+      ids: productIds.map((id) => toGid("Product", id)),
+      selectedOptions: optionNames.map((name, i) => ({
+        name,
+        value: String(optionValues[i]),
+      })),
+    },
+    { cost: productIds.length * 2 + 1 },
+  );
+
+  return (data.nodes || [])
+    .map((node) => normalizeVariant(node?.variantBySelectedOptions))
+    .filter(Boolean);
+}
+
+export async function getProductOptionNames(client, productId) {
+  const data = await client.request(
+    `#graphql
+      query customizerProductOptions($id: ID!) {
+        product(id: $id) {
+          options {
+            name
+            position
+          }
+        }
+      }`,
+    { id: toGid("Product", productId) },
+    { cost: 1 },
+  );
+
+  return getOptionNames(data.product);
+}
+
+export async function countProductVariants(client, productId) {
+  const data = await client.request(
+    `#graphql
+      query customizerVariantsCount($id: ID!) {
+        product(id: $id) {
+          variantsCount {
+            count
+          }
+        }
+      }`,
+    { id: toGid("Product", productId) },
+    { cost: 1 },
+  );
+
+  return data.product?.variantsCount?.count || 0;
+}
+
+/**
+ * Etiketi taşıyan ürünleri ilk iki varyantlarıyla döndürür; `createdBefore`
+ * verilirse yalnızca o andan önce açılanlar. Ürün araması Shopify'da kısa bir
+ * gecikmeyle güncellenir; yeni açılmış bir ürün hemen dönmeyebilir.
+ */
+export async function findProductsByTag(client, tag, { createdBefore } = {}) {
+  const data = await client.request(
+    `#graphql
+      ${VARIANT_FIELDS}
+      query customizerProductsByTag($query: String!) {
+        products(first: 10, query: $query) {
+          nodes {
+            id
+            legacyResourceId
+            variantsCount {
+              count
+            }
+            variants(first: 2) {
+              nodes {
+                ...CustomizerVariant
+              }
+            }
+          }
+        }
+      }`,
+    {
+      query: [
+        `tag:"${tag}"`,
+        createdBefore && `created_at:<'${createdBefore.toISOString()}'`,
+      ]
+        .filter(Boolean)
+        .join(" AND "),
+    },
+    { cost: 25 },
+  );
+
+  return (data.products?.nodes || []).map((product) => ({
+    id: product.legacyResourceId || fromGid(product.id),
+    gid: product.id,
+    variantCount: product.variantsCount?.count || 0,
+    variants: (product.variants?.nodes || []).map(normalizeVariant),
+  }));
+}
+
+export async function getProduct(client, productId) {
+  const data = await client.request(
+    `#graphql
+      query customizerProduct($id: ID!) {
+        product(id: $id) {
+          id
+          legacyResourceId
+          title
+          descriptionHtml
+          vendor
+          productType
+          options {
+            name
+            position
+          }
+          media(first: 10) {
+            nodes {
+              mediaContentType
+              preview {
+                image {
+                  url
+                }
+              }
+            }
+          }
+        }
+      }`,
+    { id: toGid("Product", productId) },
+    { cost: 15 },
+  );
+
+  return data.product;
+}
+
+export function getOptionNames(product) {
+  const options = [...(product?.options || [])].sort(
+    (a, b) => a.position - b.position,
+  );
+  return DEFAULT_OPTION_NAMES.map((name, i) => options[i]?.name || name);
+}
+
+// REST'teki variant alanlarının GraphQL karşılığı
+function toVariantInput(optionNames, variant) {
+  const metafields = variant.configuration
+    ? [
+        {
+          ...CONFIGURATION_METAFIELD,
+          type: "json",
+          value: JSON.stringify(variant.configuration),
+        },
+      ]
+    : [];
+
+  return {
+    price: variant.price,
+    optionValues: variant.options.map((value, i) => ({
+      optionName: optionNames[i],
+      name: String(value),
+    })),
+    inventoryPolicy: "CONTINUE",
+    taxable: true,
+    inventoryItem: {
+      sku: variant.sku,
+      tracked: true,
+      requiresShipping: true,
+      measurement: {
+        weight: { value: variant.weight, unit: "GRAMS" },
+      },
+    },
+    metafields,
+  };
+}
+
+/**
+ * `variant`: { price, sku, options: [boy, en, materyal], weight (g),
+ * configuration } — `configuration` varyantın metafield'ına yazılır.
+ * Hata varsa AdminApiError fırlatır; userErrors hatada saklanır.
+ */
+export async function createVariant(
+  client,
+  productId,
+  optionNames,
+  variant,
+  { strategy = "DEFAULT" } = {},
+) {
+  const data = await client.request(
+    `#graphql
+      ${VARIANT_FIELDS}
+      mutation customizerVariantsBulkCreate(
+        $productId: ID!
+        $variants: [ProductVariantsBulkInput!]!
+        $strategy: ProductVariantsBulkCreateStrategy
+      ) {
+        productVariantsBulkCreate(
+          productId: $productId
+          variants: $variants
+          strategy: $strategy
+        ) {
+          productVariants {
+            ...CustomizerVariant
+          }
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+    {
+      productId: toGid("Product", productId),
+      variants: [toVariantInput(optionNames, variant)],
+      strategy,
+    },
+  );
+
+  const result = data.productVariantsBulkCreate;
+  assertNoUserErrors(result.userErrors, "Varyant oluşturulamadı");
+
+  return normalizeVariant(result.productVariants?.[0]);
+}
+
+// `input`: ProductVariantsBulkInput alanları (id sayısal veya GID olabilir)
+export async function updateVariant(client, productId, input) {
+  const data = await client.request(
+    `#graphql
+      ${VARIANT_FIELDS}
+      mutation customizerVariantsBulkUpdate(
+        $productId: ID!
+        $variants: [ProductVariantsBulkInput!]!
+      ) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants {
+            ...CustomizerVariant
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      productId: toGid("Product", productId),
+      variants: [{ ...input, id: toGid("ProductVariant", input.id) }],
+    },
+  );
+
+  const result = data.productVariantsBulkUpdate;
+  assertNoUserErrors(result.userErrors, "Varyant güncellenemedi");
+
+  return normalizeVariant(result.productVariants?.[0]);
+}
+
+export async function updateVariantPrice(client, productId, variantId, price) {
+  return updateVariant(client, productId, {
+    id: variantId,
+    price: String(price),
+  });
+}
+
+export async function deleteVariant(client, productId, variantId) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerVariantsBulkDelete(
+        $productId: ID!
+        $variantsIds: [ID!]!
+      ) {
+        productVariantsBulkDelete(
+          productId: $productId
+          variantsIds: $variantsIds
+        ) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      productId: toGid("Product", productId),
+      variantsIds: [toGid("ProductVariant", variantId)],
+    },
+  );
+
+  assertNoUserErrors(
+    data.productVariantsBulkDelete.userErrors,
+    "Varyant silinemedi",
+  );
+}
+
+export async function createProduct(client, product, media = []) {
+  const data = await client.request(
+    `#graphql
+      ${VARIANT_FIELDS}
+      mutation customizerProductCreate(
+        $product: ProductCreateInput!
+        $media: [CreateMediaInput!]
+      ) {
+        productCreate(product: $product, media: $media) {
+          product {
+            id
+            legacyResourceId
+            title
+            handle
+            variants(first: 1) {
+              nodes {
+                ...CustomizerVariant
+              }
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { product, media },
+  );
+
+  const result = data.productCreate;
+  assertNoUserErrors(result.userErrors, "Ürün oluşturulamadı");
+
+  return result.product;
+}
+
+export async function deleteProduct(client, productId) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerProductDelete($input: ProductDeleteInput!) {
+        productDelete(input: $input) {
+          deletedProductId
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { input: { id: toGid("Product", productId) } },
+  );
+
+  assertNoUserErrors(data.productDelete.userErrors, "Ürün silinemedi");
+}
+
+// Arşivlenen ürün satılamaz ama siparişlerde ve admin panelinde görünür kalır
+export async function archiveProduct(client, productId) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerProductArchive($product: ProductUpdateInput!) {
+        productUpdate(product: $product) {
+          product {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { product: { id: toGid("Product", productId), status: "ARCHIVED" } },
+  );
+
+  assertNoUserErrors(data.productUpdate.userErrors, "Ürün arşivlenemedi");
+}
+
+// Host ürünler yalnızca Online Store kanalında yayınlanır: sepete ekleme
+// /cart/add.js ile yapıldığından varyantın bu kanalda satılabilir olması
+// gerekir. Diğer kanallara (POS, Shop, pazaryerleri) çıkmazlar.
+export const ONLINE_STORE_PUBLICATION = "Online Store";
+
+export async function publishToOnlineStore(client, productGid) {
+  const data = await client.request(
+    `#graphql
+      query customizerPublications {
+        publications(first: 20) {
+          nodes {
+            id
+            name
+          }
+        }
+      }`,
+    {},
+    { cost: 5 },
+  );
+
+  const publication = (data.publications?.nodes || []).find(
+    (node) => node.name === ONLINE_STORE_PUBLICATION,
+  );
+  if (!publication) return false;
+
+  const result = await client.request(
+    `#graphql
+      mutation customizerPublish($id: ID!, $input: [PublicationInput!]!) {
+        publishablePublish(id: $id, input: $input) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      id: productGid,
+      input: [{ publicationId: publication.id }],
+    },
+  );
+
+  assertNoUserErrors(
+    result.publishablePublish.userErrors,
+    "Ürün yayınlanamadı",
+  );
+  return true;
+}
+
+export async function createDraftOrder(client, input) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerDraftOrderCreate($input: DraftOrderInput!) {
+        draftOrderCreate(input: $input) {
+          draftOrder {
+            id
+            legacyResourceId
+            invoiceUrl
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { input },
+  );
+
+  const result = data.draftOrderCreate;
+  assertNoUserErrors(result.userErrors, "Taslak sipariş oluşturulamadı");
+
+  return result.draftOrder;
+}
+
+// Faturayı taslak siparişin e-posta adresine gönderir
+export async function sendDraftOrderInvoice(client, draftOrderId) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerDraftOrderInvoiceSend($id: ID!) {
+        draftOrderInvoiceSend(id: $id) {
+          draftOrder {
+            id
+            invoiceSentAt
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { id: toGid("DraftOrder", draftOrderId) },
+  );
+
+  const result = data.draftOrderInvoiceSend;
+  assertNoUserErrors(result.userErrors, "Fatura gönderilemedi");
+
+  return result.draftOrder;
+}
+
+// Taslak sipariş yoksa (silinmiş) null döner
+export async function getDraftOrderStatus(client, draftOrderId) {
+  const data = await client.request(
+    `#graphql
+      query customizerDraftOrder($id: ID!) {
+        draftOrder(id: $id) {
+          id
+          status
+        }
+      }`,
+    { id: toGid("DraftOrder", draftOrderId) },
+    { cost: 1 },
+  );
+
+  return data.draftOrder?.status ?? null;
+}
+
+export async function deleteDraftOrder(client, draftOrderId) {
+  const data = await client.request(
+    `#graphql
+      mutation customizerDraftOrderDelete($input: DraftOrderDeleteInput!) {
+        draftOrderDelete(input: $input) {
+          deletedId
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { input: { id: toGid("DraftOrder", draftOrderId) } },
+  );
+
+  assertNoUserErrors(
+    data.draftOrderDelete.userErrors,
+    "Taslak sipariş silinemedi",
+  );
+}
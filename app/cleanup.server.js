@@ -0,0 +1,550 @@
+// Geçici varyant temizliği. scripts/cleanupWorker.js bu fonksiyonları
+// zamanlar; admin paneli (app.cleanup) istatistikleri okur ve tek mağaza için
+// elle pass veya tek kayıt denemesi başlatır. Onaylanan tekliflerin ürünleri
+// (kind "product") de aynı kuyrukta işlenir; bkz. customProducts.server.js.
+import prisma from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { createAdminClient } from "./adminClient.server";
+import { deleteProduct, deleteVariant, getVariant } from "./catalog.server";
+import {
+  getHostProduct,
+  isDisposableHost,
+  recordVariantDeleted,
+  removeHostProduct,
+} from "./hostPool.server";
+import { purgeExpiredIdempotencyKeys } from "./idempotency.server";
+import { purgeIdleRateLimitBuckets } from "./rateLimit.server";
+import {
+  CUSTOM_PRODUCT_EXPIRY_ACTION,
+  expireCustomProduct,
+  TEMPORARY_KIND,
+} from "./customProducts.server";
+import { expireQuoteRequests } from "./quoteRequests.server";
+import { sendAlarm as deliverAlarm } from "./alarms.server";
+import {
+  CLEANUP_STATUS,
+  countDeadLetters,
+  dueForCleanupWhere,
+  recordCleanupFailure,
+  retryDeadLetters,
+} from "./cleanupJobs.server";
+import { correlationId, logger, runWithLogContext } from "./logger.server";
+
+const ERROR_THRESHOLD = 3;
+const ERROR_WINDOW_MS = 5 * 60 * 1000;
+let recentErrors = [];
+
+function trackError(error, context = {}) {
+  const errorLog = {
+    timestamp: Date.now(),
+    error: error.message,
+    context,
+  };
+
+  recentErrors.push(errorLog);
+
+  const cutoff = Date.now() - ERROR_WINDOW_MS;
+  recentErrors = recentErrors.filter((e) => e.timestamp > cutoff);
+
+  if (recentErrors.length >= ERROR_THRESHOLD) {
+    sendAlarm(
+      `Cleanup sistemi ${ERROR_THRESHOLD} hataya ulaştı!`,
+      recentErrors,
+    );
+  }
+
+  logger.error("Cleanup hatası", { err: error, ...context });
+}
+
+async function sendAlarm(message, errors) {
+  logger.error("Cleanup alarmı", { alarm: message, errors });
+
+  let delivery;
+  try {
+    delivery = await deliverAlarm({
+      key: "cleanup_error_threshold",
+      message,
+      details: errors,
+    });
+  } catch (err) {
+    logger.error("Alarm gönderilemedi", err);
+    delivery = { sent: false, error: String(err.message || err) };
+  }
+
+  // Cooldown'da bastırılan alarmlar loglanmaz; sayıları bir sonrakine eklenir.
+  // Gönderilemeyen alarm ise gönderilmedi olarak loglanır.
+  if (!delivery.sent && !delivery.error) return;
+
+  const text = [
+    message,
+    delivery.suppressed && `(+${delivery.suppressed} suppressed)`,
+    delivery.error && "(not delivered)",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  // Alarm, hatalarından etkilenen her mağazanın paneline düşer; mağazaya
+  // bağlı olmayan hatalar (global pass hataları) shopDomain'siz loglanır
+  const shops = [
+    ...new Set(errors.map((e) => e.context?.shopDomain).filter(Boolean)),
+  ];
+
+  try {
+    await prisma.cleanupLog.createMany({
+      data: (shops.length ? shops : [null]).map((shopDomain) => ({
+        action: "alarm",
+        shopDomain,
+        message: text,
+        errorDetails: JSON.stringify(
+          {
+            errors: shopDomain
+              ? errors.filter((e) => e.context?.shopDomain === shopDomain)
+              : errors,
+            delivery,
+          },
+          null,
+          2,
+        ),
+      })),
+    });
+  } catch (err) {
+    logger.error("Alarm log yazılamadı", err);
+  }
+}
+
+// Her pass kendi requestId'siyle loglanır
+function withJobContext(job, shopDomain, fn) {
+  return runWithLogContext(
+    {
+      job,
+      requestId: correlationId(),
+      ...(shopDomain && { shop: shopDomain }),
+    },
+    fn,
+  );
+}
+
+// Kayda ait loglar için mağaza, ürün ve varyant alanları
+function itemFields(item) {
+  return {
+    shop: item.shopDomain,
+    productId: item.productId,
+    variantId: item.variantId,
+  };
+}
+
+// shopDomain verilirse yalnızca o mağazanın kayıtları işlenir (admin paneli)
+function runCleanupPass({ shopDomain = null } = {}) {
+  return withJobContext("cleanup_pass", shopDomain, () =>
+    cleanupPass(shopDomain),
+  );
+}
+
+async function cleanupPass(shopDomain) {
+  logger.info("Cleanup pass başladı");
+
+  const now = new Date();
+
+  const stats = {
+    checked: 0,
+    deleted: 0,
+    errors: 0,
+    skipped: 0,
+    deadLettered: 0,
+  };
+
+  try {
+    const toDelete = await prisma.temporaryProduct.findMany({
+      where: {
+        scheduledDeletionAt: { lte: now },
+        ...dueForCleanupWhere(now),
+        ...(shopDomain ? { shopDomain } : {}),
+      },
+      orderBy: {
+        scheduledDeletionAt: "asc",
+      },
+    });
+
+    stats.checked = toDelete.length;
+
+    if (!toDelete.length) {
+      logger.info("Silinecek kayıt yok");
+      await logCleanupAction(
+        "cleanup_run",
+        null,
+        null,
+        "No items to delete",
+        null,
+        shopDomain,
+      );
+      return stats;
+    }
+
+    logger.info("Silinecek kayıtlar bulundu", { count: toDelete.length });
+
+    for (const item of toDelete) {
+      try {
+        const deleted = await deleteTemporaryVariant(item);
+        if (!deleted) {
+          stats.skipped++;
+          continue;
+        }
+        stats.deleted++;
+
+        await logCleanupAction(
+          cleanupAction(item),
+          item.productId,
+          item.variantId,
+          `${describeCleanup(item)} successfully (${item.boy}×${item.en}cm, ${item.materyal})`,
+          null,
+          item.shopDomain,
+        );
+      } catch (err) {
+        stats.errors++;
+        trackError(err, {
+          shopDomain: item.shopDomain,
+          variantId: item.variantId,
+          productId: item.productId,
+        });
+
+        await handleCleanupFailure(item, err, stats);
+      }
+    }
+
+    await logCleanupAction(
+      "cleanup_run",
+      null,
+      null,
+      `Cleanup pass completed: ${stats.deleted} deleted, ${stats.skipped} skipped, ${stats.errors} errors, ${stats.deadLettered} moved to dead letter`,
+      JSON.stringify(stats),
+      shopDomain,
+    );
+  } catch (err) {
+    logger.error("Cleanup pass başarısız", err);
+    trackError(err, { stage: "cleanup_pass" });
+  }
+
+  return stats;
+}
+
+function runDailyFullScan() {
+  return withJobContext("daily_scan", null, dailyFullScan);
+}
+
+async function dailyFullScan() {
+  try {
+    const allRecords = await prisma.temporaryProduct.findMany({
+      where: dueForCleanupWhere(),
+    });
+
+    let cleaned = 0;
+    let errors = 0;
+    const failureStats = { deadLettered: 0 };
+
+    for (const item of allRecords) {
+      try {
+        const age = Date.now() - new Date(item.createdAt).getTime();
+        const ageHours = age / (1000 * 60 * 60);
+        // Teklif ürünleri taslak sipariş ödenene kadar beklemeli; yalnızca
+        // süreleri dolduysa silinir
+        const due =
+          item.kind === TEMPORARY_KIND.PRODUCT
+            ? item.scheduledDeletionAt <= new Date()
+            : ageHours >= 24;
+
+        if (due && (await deleteTemporaryVariant(item))) {
+          cleaned++;
+        }
+      } catch (err) {
+        logger.error("Günlük taramada kayıt silinemedi", {
+          ...itemFields(item),
+          err,
+        });
+        errors++;
+        await handleCleanupFailure(item, err, failureStats);
+      }
+    }
+
+    const purgedKeys = await purgeExpiredIdempotencyKeys();
+    const purgedBuckets = await purgeIdleRateLimitBuckets();
+
+    await logCleanupAction(
+      "daily_scan",
+      null,
+      null,
+      `Daily full scan completed: ${cleaned} deleted, ${errors} errors (${failureStats.deadLettered} moved to dead letter) from ${allRecords.length} total, ${purgedKeys} expired idempotency keys and ${purgedBuckets} idle rate limit buckets purged`,
+      null,
+    );
+  } catch (err) {
+    logger.error("Günlük tarama başarısız", err);
+    trackError(err, { stage: "daily_scan" });
+  }
+}
+
+// Başarısız denemeyi geri çekilmeyle yeniden planlar; sınıra ulaşan kayıt
+// dead_letter'a düşer ve ayrıca loglanır.
+async function handleCleanupFailure(item, err, stats) {
+  let updated;
+  try {
+    updated = await recordCleanupFailure(item, err);
+  } catch (dbErr) {
+    logger.error("Cleanup denemesi kaydedilemedi", {
+      ...itemFields(item),
+      err: dbErr,
+    });
+    return;
+  }
+
+  if (updated.cleanupStatus === CLEANUP_STATUS.DEAD_LETTER) {
+    stats.deadLettered++;
+    logger.error("Kayıt dead letter'a taşındı", {
+      ...itemFields(item),
+      attempts: updated.cleanupAttempts,
+    });
+    await logCleanupAction(
+      "dead_letter",
+      item.productId,
+      item.variantId,
+      `Cleanup gave up after ${updated.cleanupAttempts} attempts`,
+      String(err),
+      item.shopDomain,
+    );
+    return;
+  }
+
+  await logCleanupAction(
+    "error",
+    item.productId,
+    item.variantId,
+    `Cleanup failed (attempt ${updated.cleanupAttempts}), next retry at ${updated.nextCleanupAt.toISOString()}`,
+    String(err),
+    item.shopDomain,
+  );
+}
+
+function cleanupAction(item) {
+  return item.kind === TEMPORARY_KIND.PRODUCT &&
+    CUSTOM_PRODUCT_EXPIRY_ACTION === "archive"
+    ? "archived"
+    : "deleted";
+}
+
+function describeCleanup(item) {
+  return item.kind === TEMPORARY_KIND.PRODUCT
+    ? `Custom product ${cleanupAction(item)}`
+    : "Temporary variant deleted";
+}
+
+// Sipariş edilmiş varyantlar silinmez; silme yapıldıysa true döner.
+async function deleteTemporaryVariant(item) {
+  // Kayıt okunduktan sonra orders webhook'u gelmiş olabilir, tekrar kontrol et
+  const current = await prisma.temporaryProduct.findUnique({
+    where: { id: item.id },
+    select: { isOrdered: true, deletedAt: true },
+  });
+  if (!current || current.isOrdered || current.deletedAt) {
+    logger.info(
+      "Kayıt sipariş edilmiş veya silinmiş, atlandı",
+      itemFields(item),
+    );
+    return false;
+  }
+
+  let admin;
+  try {
+    ({ admin } = await unauthenticated.admin(item.shopDomain));
+  } catch (err) {
+    throw new Error(`Admin session not found: ${err.message || err}`);
+  }
+
+  const client = createAdminClient(admin, item.shopDomain);
+
+  if (item.kind === TEMPORARY_KIND.PRODUCT) {
+    const { expired, closedDraftOrderIds } = await expireCustomProduct(
+      client,
+      item,
+    );
+    if (closedDraftOrderIds.length) {
+      await expireQuoteRequests(item.shopDomain, closedDraftOrderIds);
+    }
+    if (!expired) return false;
+  } else {
+    await deleteHostedVariant(client, item);
+  }
+
+  await prisma.temporaryProduct.update({
+    where: { id: item.id },
+    data: { deletedAt: new Date() },
+  });
+
+  return true;
+}
+
+async function deleteHostedVariant(client, item) {
+  const host = await getHostProduct(item.shopDomain, item.productId);
+
+  const variant = await getVariant(client, item.variantId);
+  if (!variant) {
+    logger.info("Varyant zaten silinmiş", itemFields(item));
+  } else if (isDisposableHost(host)) {
+    // Son varyant silinemez; boşalan ek host ürün komple silinir
+    await deleteProduct(client, item.productId);
+  } else {
+    await deleteVariant(client, item.productId, item.variantId);
+  }
+
+  if (isDisposableHost(host)) {
+    await removeHostProduct(host.id);
+  } else {
+    await recordVariantDeleted(item.shopDomain, item.productId);
+  }
+}
+
+async function logCleanupAction(
+  action,
+  productId,
+  variantId,
+  message,
+  errorDetails,
+  shopDomain = null,
+) {
+  try {
+    await prisma.cleanupLog.create({
+      data: {
+        action,
+        shopDomain,
+        productId,
+        variantId,
+        message,
+        errorDetails,
+      },
+    });
+  } catch (err) {
+    logger.error("Cleanup log yazılamadı", err);
+  }
+}
+
+/**
+ * Tek kaydı hemen silmeyi dener (admin panelindeki "Retry"). Dead-letter
+ * kayıtları önce tekrar kuyruğa alınır. Silme zamanı gelmemiş veya sipariş
+ * edilmiş kayıtlara dokunulmaz.
+ */
+async function retryCleanupItem(shopDomain, id) {
+  const item = await prisma.temporaryProduct.findFirst({
+    where: { id, shopDomain, deletedAt: null },
+  });
+  if (!item) return { deleted: false, error: "Item not found" };
+  if (item.scheduledDeletionAt > new Date()) {
+    return { deleted: false, error: "Item is not due for deletion yet" };
+  }
+
+  if (item.cleanupStatus === CLEANUP_STATUS.DEAD_LETTER) {
+    await retryDeadLetters({ ids: [id], shopDomain });
+    item.cleanupAttempts = 0;
+  }
+
+  try {
+    const deleted = await deleteTemporaryVariant(item);
+    if (!deleted) {
+      return { deleted: false, error: "Item was ordered or already deleted" };
+    }
+
+    await logCleanupAction(
+      cleanupAction(item),
+      item.productId,
+      item.variantId,
+      `${describeCleanup(item)} on manual retry (${item.boy}×${item.en}cm, ${item.materyal})`,
+      null,
+      shopDomain,
+    );
+    return { deleted: true };
+  } catch (err) {
+    await handleCleanupFailure(item, err, { deadLettered: 0 });
+    return { deleted: false, error: String(err.message || err) };
+  }
+}
+
+// shopDomain verilirse loglar, alarmlar ve sayılar o mağazayla sınırlanır.
+// Alarmlar yalnızca mesaj ve zamanla döner.
+async function getCleanupStats({ shopDomain = null } = {}) {
+  const last24h = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const shopWhere = shopDomain ? { shopDomain } : {};
+
+  const stats = await prisma.cleanupLog.groupBy({
+    by: ["action"],
+    where: {
+      ...shopWhere,
+      createdAt: { gte: last24h },
+    },
+    _count: true,
+  });
+
+  const recentErrors = await prisma.cleanupLog.findMany({
+    where: {
+      ...shopWhere,
+      action: { in: ["error", "dead_letter"] },
+      createdAt: { gte: last24h },
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+    take: 10,
+  });
+
+  const alarms = await prisma.cleanupLog.findMany({
+    where: {
+      ...shopWhere,
+      action: "alarm",
+      createdAt: { gte: last24h },
+    },
+    select: { id: true, createdAt: true, message: true },
+    orderBy: {
+      createdAt: "desc",
+    },
+    take: 10,
+  });
+
+  const pendingDeletion = await prisma.temporaryProduct.count({
+    where: {
+      ...shopWhere,
+      deletedAt: null,
+      isOrdered: false,
+      cleanupStatus: CLEANUP_STATUS.PENDING,
+      scheduledDeletionAt: { lte: new Date() },
+    },
+  });
+
+  const deadLetter = await countDeadLetters({ shopDomain });
+
+  // Son denemesi başarısız olan veya dead letter'daki kayıtlar
+  const failedItems = await prisma.temporaryProduct.findMany({
+    where: {
+      ...shopWhere,
+      deletedAt: null,
+      isOrdered: false,
+      cleanupAttempts: { gt: 0 },
+    },
+    orderBy: [{ cleanupAttempts: "desc" }, { createdAt: "desc" }],
+    take: 25,
+  });
+
+  const lastRun = await prisma.cleanupLog.findFirst({
+    where: {
+      action: "cleanup_run",
+      OR: [{ shopDomain: null }, ...(shopDomain ? [{ shopDomain }] : [])],
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return {
+    stats,
+    recentErrors,
+    alarms,
+    pendingDeletion,
+    deadLetter,
+    failedItems,
+    lastRun: lastRun?.createdAt.toISOString() || null,
+  };
+}
+
+export { runCleanupPass, runDailyFullScan, getCleanupStats, retryCleanupItem };
@@ -0,0 +1,113 @@
+// Geçici varyant silme işlerinin tekrar deneme durumu. Başarısız silmeler
+// cleanupAttempts'e göre üstel geri çekilmeyle yeniden denenir; deneme sınırına
+// ulaşan kayıtlar "dead_letter" durumuna alınır ve elle tekrar denenene kadar
+// cleanup worker tarafından atlanır.
+import prisma from "./db.server";
+
+export const CLEANUP_STATUS = {
+  PENDING: "pending",
+  DEAD_LETTER: "dead_letter",
+};
+
+export const CLEANUP_MAX_ATTEMPTS =
+  parseInt(process.env.CLEANUP_MAX_ATTEMPTS || "", 10) || 5;
+
+export const CLEANUP_BACKOFF_BASE_MS =
+  parseInt(process.env.CLEANUP_BACKOFF_BASE_MS || "", 10) || 2 * 60 * 60 * 1000;
+
+export const CLEANUP_BACKOFF_MAX_MS =
+  parseInt(process.env.CLEANUP_BACKOFF_MAX_MS || "", 10) || 24 * 60 * 60 * 1000;
+
+/**
+ * N. başarısız denemeden sonraki bekleme: base, 2×base, 4×base, ...
+ * (en fazla CLEANUP_BACKOFF_MAX_MS).
+ */
+export function getBackoffDelay(attempts) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(
+    CLEANUP_BACKOFF_BASE_MS * 2 ** exponent,
+    CLEANUP_BACKOFF_MAX_MS,
+  );
+}
+
+/**
+ * Silinmesi gereken ve geri çekilme süresi dolmuş kayıtların filtresi.
+ */
+export function dueForCleanupWhere(now = new Date()) {
+  return {
+    deletedAt: null,
+    isOrdered: false,
+    cleanupStatus: CLEANUP_STATUS.PENDING,
+    OR: [{ nextCleanupAt: null }, { nextCleanupAt: { lte: now } }],
+  };
+}
+
+/**
+ * Başarısız denemeyi kaydeder. Sınıra ulaşıldıysa kaydı dead_letter'a taşır.
+ * Güncellenen kaydı döndürür.
+ */
+export async function recordCleanupFailure(item, err, now = new Date()) {
+  const attempts = (item.cleanupAttempts || 0) + 1;
+  const deadLetter = attempts >= CLEANUP_MAX_ATTEMPTS;
+
+  return prisma.temporaryProduct.update({
+    where: { id: item.id },
+    data: {
+      cleanupAttempts: attempts,
+      lastCleanupError: String(err?.message || err),
+      cleanupStatus: deadLetter
+        ? CLEANUP_STATUS.DEAD_LETTER
+        : CLEANUP_STATUS.PENDING,
+      nextCleanupAt: deadLetter
+        ? null
+        : new Date(now.getTime() + getBackoffDelay(attempts)),
+      deadLetteredAt: deadLetter ? now : null,
+    },
+  });
+}
+
+export async function listDeadLetters({ shopDomain, take = 50 } = {}) {
+  return prisma.temporaryProduct.findMany({
+    where: {
+      cleanupStatus: CLEANUP_STATUS.DEAD_LETTER,
+      deletedAt: null,
+      ...(shopDomain ? { shopDomain } : {}),
+    },
+    orderBy: { deadLetteredAt: "desc" },
+    take,
+  });
+}
+
+export async function countDeadLetters({ shopDomain } = {}) {
+  return prisma.temporaryProduct.count({
+    where: {
+      cleanupStatus: CLEANUP_STATUS.DEAD_LETTER,
+      deletedAt: null,
+      ...(shopDomain ? { shopDomain } : {}),
+    },
+  });
+}
+
+/**
+ * Dead-letter kayıtlarını elle tekrar denemeye açar: deneme sayacı sıfırlanır
+ * ve kayıt bir sonraki cleanup pass'inde hemen işlenir. ids verilmezse
+ * (shopDomain kapsamındaki) tüm dead-letter kayıtları açılır.
+ */
+export async function retryDeadLetters({ ids, shopDomain } = {}) {
+  const { count } = await prisma.temporaryProduct.updateMany({
+    where: {
+      cleanupStatus: CLEANUP_STATUS.DEAD_LETTER,
+      deletedAt: null,
+      ...(ids ? { id: { in: ids } } : {}),
+      ...(shopDomain ? { shopDomain } : {}),
+    },
+    data: {
+      cleanupStatus: CLEANUP_STATUS.PENDING,
+      cleanupAttempts: 0,
+      nextCleanupAt: null,
+      deadLetteredAt: null,
+    },
+  });
+
+  return count;
+}
@@ -0,0 +1,155 @@
+// Özel ölçü konfigürasyonunun ortak doğrulama ve fiyat hattı: ölçü kuralı,
+// materyal, ek seçenekler, fiyat ve ağırlık. api.quote, api.add-to-cart ve
+// api.custom-product aynı kuralları buradan uygular; route'lar yalnızca
+// sonucu kendi yanıt biçimlerine dönüştürür.
+import {
+  getDimensionRule,
+  localizeDimensionErrors,
+  validateDimensions,
+  DimensionError,
+} from "./dimensions.server";
+import {
+  calculateAttributeCharges,
+  getFrameAttributes,
+  validateAttributes,
+  AttributeError,
+} from "./frameAttributes";
+import { getMaterials, validateMaterial } from "./materials.server";
+import { LocalizedError } from "./messages";
+import {
+  calculatePrice,
+  calculateWeight,
+  getPricingRule,
+} from "./pricing.server";
+import { assertQuoteMatches, verifyQuoteToken } from "./quote.server";
+import { getUnitSettings } from "./units";
+
+/**
+ * Ölçüyü ürünün ölçü kuralına ve mağazanın birim ayarlarına, materyali aktif
+ * materyallere göre doğrular. Ölçüler kanonik cm'ye çevrilir; materyal
+ * anahtarı normalize edilir ("Keten" -> "keten").
+ *
+ * DimensionError veya MaterialError fırlatır.
+ */
+export async function validateConfiguration(
+  shopDomain,
+  { productId, settings, boy, en, unit, materyal },
+) {
+  const dimensions = validateDimensions(
+    { boy, en, unit },
+    await getDimensionRule(shopDomain, productId),
+    getUnitSettings(settings),
+  );
+  const material = validateMaterial(await getMaterials(shopDomain), materyal);
+
+  return { dimensions, material };
+}
+
+/**
+ * Konfigürasyonu doğrular ve sunucu fiyatını hesaplar. `quoteToken` varsa
+ * imzalı teklifin bu konfigürasyona ait olduğu doğrulanır ve teklifteki fiyat
+ * birebir kullanılır. Fiyat ve ağırlık kanonik cm ile hesaplanır.
+ *
+ * `attributeInput`: parseAttributeInput çıktısı.
+ * Doğrulama hataları (DimensionError, MaterialError, AttributeError,
+ * PricingError, QuoteTokenError) fırlatılır; yanıt gövdesi için bkz.
+ * configurationErrorBody.
+ */
+export async function priceConfiguration(
+  shopDomain,
+  {
+    settings,
+    baseVariantId,
+    baseVariant,
+    boy,
+    en,
+    unit,
+    materyal,
+    attributeInput,
+    quoteToken = null,
+  },
+) {
+  const { dimensions, material } = await validateConfiguration(shopDomain, {
+    productId: baseVariant.product_id,
+    settings,
+    boy,
+    en,
+    unit,
+    materyal,
+  });
+  const size = { boy: dimensions.boy, en: dimensions.en };
+
+  const attributeSchema = getFrameAttributes(settings);
+  const attributes = validateAttributes(attributeInput, attributeSchema, size);
+  const attributeCharges = calculateAttributeCharges(
+    attributes,
+    attributeSchema,
+    size,
+  );
+
+  let pricing;
+  if (quoteToken) {
+    const quote = assertQuoteMatches(verifyQuoteToken(quoteToken), {
+      shop: shopDomain,
+      baseVariantId,
+      ...size,
+      materyal: material.key,
+      attributes,
+    });
+    pricing = { price: quote.price, breakdown: quote.breakdown };
+  } else {
+    pricing = calculatePrice(
+      {
+        ...size,
+        materyal: material.key,
+        basePrice: baseVariant.price,
+        priceFactor: material.priceFactor,
+        attributeCharges: attributeCharges.items,
+      },
+      await getPricingRule(shopDomain, baseVariant.product_id),
+    );
+  }
+
+  return {
+    dimensions,
+    material,
+    attributeSchema,
+    attributes,
+    pricing,
+    weight: calculateWeight(
+      dimensions.boy,
+      dimensions.en,
+      material.density,
+      attributeCharges.weight,
+    ),
+  };
+}
+
+// Doğrulama hatasının 400 yanıt gövdesi; beklenmeyen hatalar için null
+export function configurationErrorBody(err, locale) {
+  if (err instanceof DimensionError) {
+    return {
+      success: false,
+      error: err.localize(locale),
+      errorType: err.errorType,
+      errors: localizeDimensionErrors(err.errors, locale),
+    };
+  }
+  if (err instanceof AttributeError) {
+    return {
+      success: false,
+      error: err.localize(locale),
+      errorType: err.errorType,
+      attribute: err.attribute?.key ?? null,
+    };
+  }
+  // MaterialError, PricingError ve QuoteTokenError
+  if (err instanceof LocalizedError) {
+    return {
+      success: false,
+      error: err.localize(locale),
+      errorType: err.errorType,
+    };
+  }
+  return null;
+}
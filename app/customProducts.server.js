@@ -0,0 +1,152 @@
+// Onaylanan tekliflerin (quoteRequests.server.js) ürünleri. Her teklif kendi
+// ürününü açar ve ürün TemporaryProduct'a kind "product" olarak yazılır.
+// Sipariş edilmeyen ürünler son
+// taslak siparişten CUSTOM_PRODUCT_TTL_MS sonra cleanup worker tarafından
+// arşivlenir veya silinir; açık taslak siparişleri de silinir.
+import prisma from "./db.server";
+import {
+  archiveProduct,
+  deleteDraftOrder,
+  deleteProduct,
+  getDraftOrderStatus,
+  getVariant,
+} from "./catalog.server";
+import { logger } from "./logger.server";
+
+export const TEMPORARY_KIND = {
+  VARIANT: "variant",
+  PRODUCT: "product",
+};
+
+export const CUSTOM_PRODUCT_TTL_MS =
+  parseInt(process.env.CUSTOM_PRODUCT_TTL_MS || "", 10) ||
+  14 * 24 * 60 * 60 * 1000;
+
+// "archive": ürün satıştan kalkar ama admin panelinde kalır; "delete": silinir
+export const CUSTOM_PRODUCT_EXPIRY_ACTION =
+  process.env.CUSTOM_PRODUCT_EXPIRY_ACTION === "delete" ? "delete" : "archive";
+
+export async function trackCustomProduct(
+  shopDomain,
+  {
+    productId,
+    variantId,
+    baseVariantId = null,
+    boy,
+    en,
+    unit,
+    materyal,
+    attributes = {},
+    price,
+  },
+) {
+  const item = await prisma.temporaryProduct.create({
+    data: {
+      kind: TEMPORARY_KIND.PRODUCT,
+      productId: String(productId),
+      variantId: String(variantId),
+      baseVariantId,
+      scheduledDeletionAt: new Date(Date.now() + CUSTOM_PRODUCT_TTL_MS),
+      boy,
+      en,
+      unit,
+      materyal,
+      attributes,
+      calculatedPrice: price,
+      area: boy * en,
+      shopDomain,
+    },
+  });
+
+  await prisma.cleanupLog.create({
+    data: {
+      action: "product_created",
+      shopDomain,
+      productId: String(productId),
+      variantId: String(variantId),
+      message: `Custom product created: ${boy}×${en}cm, ${materyal}, ${price}`,
+    },
+  });
+
+  return item;
+}
+
+/**
+ * Ürünü içeren yeni taslak siparişi kaydeder ve silme zamanını ötelemek
+ * için süreyi yeniden başlatır.
+ */
+export async function recordCustomProductDraftOrder(
+  shopDomain,
+  variantId,
+  draftOrderId,
+) {
+  const item = await prisma.temporaryProduct.findFirst({
+    where: {
+      shopDomain,
+      kind: TEMPORARY_KIND.PRODUCT,
+      variantId: String(variantId),
+      deletedAt: null,
+    },
+  });
+  if (!item) return null;
+
+  const draftOrderIds = Array.isArray(item.draftOrderIds)
+    ? item.draftOrderIds
+    : [];
+
+  return prisma.temporaryProduct.update({
+    where: { id: item.id },
+    data: {
+      draftOrderIds: [...new Set([...draftOrderIds, String(draftOrderId)])],
+      scheduledDeletionAt: new Date(Date.now() + CUSTOM_PRODUCT_TTL_MS),
+    },
+  });
+}
+
+/**
+ * Cleanup worker için: açık taslak siparişleri siler, ürünü arşivler veya
+ * siler. Taslak siparişlerden biri siparişe dönüşmüşse ürün sipariş edilmiş
+ * sayılır ve yerinde bırakılır. { expired, closedDraftOrderIds } döndürür.
+ */
+export async function expireCustomProduct(client, item) {
+  const draftOrderIds = Array.isArray(item.draftOrderIds)
+    ? item.draftOrderIds
+    : [];
+  const closedDraftOrderIds = [];
+  let completed = false;
+
+  for (const draftOrderId of draftOrderIds) {
+    const status = await getDraftOrderStatus(client, draftOrderId);
+    if (status === "COMPLETED") {
+      completed = true;
+      continue;
+    }
+    if (status) {
+      await deleteDraftOrder(client, draftOrderId);
+    }
+    closedDraftOrderIds.push(draftOrderId);
+  }
+
+  if (completed) {
+    // orders webhook'u kaçırılmış olabilir; ürün artık silinmez
+    await prisma.temporaryProduct.update({
+      where: { id: item.id },
+      data: { isOrdered: true },
+    });
+    return { expired: false, closedDraftOrderIds };
+  }
+
+  const variant = await getVariant(client, item.variantId);
+  if (!variant) {
+    logger.info("Özel ürün zaten silinmiş", {
+      shop: item.shopDomain,
+      productId: item.productId,
+    });
+  } else if (CUSTOM_PRODUCT_EXPIRY_ACTION === "delete") {
+    await deleteProduct(client, item.productId);
+  } else {
+    await archiveProduct(client, item.productId);
+  }
+
+  return { expired: true, closedDraftOrderIds };
+}
@@ -0,0 +1,225 @@
+// Ölçü kuralları. Sunucuda (dimensions.server.js), admin panelinde ve
+// storefront'a gönderilen kural setinde aynı mantık kullanıldığı için saf
+// tutulmalıdır. Kurallar kanonik birimde (cm) tanımlıdır; müşteri ölçüyü
+// mağazanın açtığı herhangi bir birimde girebilir (bkz. units.js).
+import { DEFAULT_LOCALE, translate } from "./messages";
+import {
+  formatArea,
+  formatDimension,
+  fromCentimetres,
+  getUnitSettings,
+  isMultipleOf,
+  parseDecimal,
+  roundToPrecision,
+  toCentimetres,
+  UNITS,
+} from "./units";
+
+export const DEFAULT_DIMENSION_RULE = {
+  minBoy: 10,
+  maxBoy: 300,
+  minEn: 10,
+  maxEn: 300,
+  // Metrik ölçüler min değerden başlayarak bu adımın (cm) katları olmalıdır;
+  // inç girişlerinde mağazanın inç hassasiyeti geçerlidir
+  step: 1,
+  // Uzun kenar / kısa kenar; null = sınırsız
+  maxAspectRatio: null,
+  // cm²; null = sınırsız
+  maxArea: null,
+};
+
+// Hata kodu -> katalog anahtarı (bkz. messages.js)
+const MESSAGE_KEYS = {
+  required: "dimension_required",
+  invalid: "dimension_invalid",
+  precision: "dimension_precision",
+  too_small: "dimension_too_small",
+  too_large: "dimension_too_large",
+  step: "dimension_step",
+};
+
+function messageKey({ field, code }) {
+  if (field === "unit") return "dimension_unit";
+  if (field === "aspectRatio") return "dimension_aspect_ratio";
+  if (field === "area") return "dimension_area";
+  return MESSAGE_KEYS[code];
+}
+
+/**
+ * Hata mesajını istenen dilde üretir. Alan adı ("Boy"/"Height") de
+ * katalogdan gelir.
+ */
+export function dimensionMessage(error, locale = DEFAULT_LOCALE) {
+  return translate(locale, messageKey(error), {
+    label: translate(locale, `field_${error.field}`),
+    limit: error.limitText,
+    unit: error.unit,
+  });
+}
+
+export function localizeDimensionErrors(errors, locale = DEFAULT_LOCALE) {
+  return errors.map((error) => ({
+    ...error,
+    message: dimensionMessage(error, locale),
+  }));
+}
+
+export class DimensionError extends Error {
+  constructor(errors) {
+    super(errors[0]?.message || "Geçersiz ölçü");
+    this.name = "DimensionError";
+    this.errorType = "validation";
+    this.errors = errors;
+  }
+
+  localize(locale) {
+    return this.errors[0]
+      ? dimensionMessage(this.errors[0], locale)
+      : this.message;
+  }
+}
+
+function dimensionError(field, code, unit, limit = null, limitText = null) {
+  const error = { field, code, limit, limitText, unit };
+  return { ...error, message: dimensionMessage(error) };
+}
+
+function fieldError(field, code, unit, limit = null) {
+  const limitText = limit === null ? null : formatDimension(limit, unit);
+  return dimensionError(field, code, unit, limit, limitText);
+}
+
+/**
+ * Ham değerleri (form alanı, query parametresi) kurala göre kontrol eder.
+ * `unitSettings` mağazanın açtığı birimlerdir (getUnitSettings); birim
+ * verilmezse ilki kullanılır. Her hata hangi alanla ilgili olduğunu belirtir:
+ * { field: "boy" | "en" | "unit" | "aspectRatio" | "area", code, limit,
+ *   limitText, unit, message }. Sınırlar müşterinin biriminde döner.
+ */
+export function checkDimensions(
+  { boy, en, unit },
+  rule = DEFAULT_DIMENSION_RULE,
+  unitSettings = getUnitSettings(null),
+) {
+  const selected = unit
+    ? unitSettings.find((setting) => setting.unit === unit)
+    : unitSettings[0];
+
+  if (!selected) {
+    const error = dimensionError("unit", "unsupported", String(unit));
+    return { errors: [error], values: null };
+  }
+
+  const { precision } = selected;
+  const unitKey = selected.unit;
+  const errors = [];
+  const values = { unit: unitKey, input: {} };
+
+  for (const [field, raw] of [
+    ["boy", boy],
+    ["en", en],
+  ]) {
+    const text = String(raw ?? "").trim();
+    const value = parseDecimal(text);
+    const min = field === "boy" ? rule.minBoy : rule.minEn;
+    const max = field === "boy" ? rule.maxBoy : rule.maxEn;
+    const cm = toCentimetres(value, unitKey);
+
+    if (!text) {
+      errors.push(fieldError(field, "required", unitKey));
+    } else if (value === null) {
+      errors.push(fieldError(field, "invalid", unitKey));
+    } else if (!isMultipleOf(value, precision)) {
+      errors.push(fieldError(field, "precision", unitKey, precision));
+    } else if (cm < min) {
+      const limit = roundToPrecision(
+        fromCentimetres(min, unitKey),
+        precision,
+        "ceil",
+      );
+      errors.push(fieldError(field, "too_small", unitKey, limit));
+    } else if (cm > max) {
+      const limit = roundToPrecision(
+        fromCentimetres(max, unitKey),
+        precision,
+        "floor",
+      );
+      errors.push(fieldError(field, "too_large", unitKey, limit));
+    } else if (UNITS[unitKey].metric && !isMultipleOf(cm - min, rule.step)) {
+      const limit = fromCentimetres(rule.step, unitKey);
+      errors.push(fieldError(field, "step", unitKey, limit));
+    } else {
+      values[field] = cm;
+      values.input[field] = value;
+    }
+  }
+
+  // Oran ve alan ancak iki kenar da geçerliyse anlamlıdır
+  if (errors.length) return { errors, values: null };
+
+  const ratio =
+    Math.max(values.boy, values.en) / Math.min(values.boy, values.en);
+  if (rule.maxAspectRatio && ratio > rule.maxAspectRatio) {
+    errors.push(
+      dimensionError(
+        "aspectRatio",
+        "too_large",
+        unitKey,
+        rule.maxAspectRatio,
+        String(rule.maxAspectRatio),
+      ),
+    );
+  }
+
+  const area = values.boy * values.en;
+  if (rule.maxArea && area > rule.maxArea) {
+    errors.push(
+      dimensionError(
+        "area",
+        "too_large",
+        unitKey,
+        rule.maxArea,
+        formatArea(rule.maxArea, unitKey),
+      ),
+    );
+  }
+
+  return { errors, values: errors.length ? null : values };
+}
+
+/**
+ * Ham ölçüleri kurala bakmadan kanonik cm'ye çevirir; birim verilmezse
+ * mağazanın ilk birimi kullanılır (checkDimensions ile aynı). Kilit ve tekrar
+ * anahtarları için: "30 cm" ile "300 mm" aynı değeri verir. Çözülemeyen
+ * girdide null döner; asıl doğrulama checkDimensions'ta yapılır.
+ */
+export function canonicalDimensions(
+  { boy, en, unit },
+  unitSettings = getUnitSettings(null),
+) {
+  const selected = unit
+    ? unitSettings.find((setting) => setting.unit === unit)
+    : unitSettings[0];
+  const values = [parseDecimal(boy), parseDecimal(en)];
+  if (!selected || values.includes(null)) return null;
+
+  return {
+    boy: toCentimetres(values[0], selected.unit),
+    en: toCentimetres(values[1], selected.unit),
+  };
+}
+
+/**
+ * Geçerli ölçüleri döndürür, değilse DimensionError fırlatır:
+ * { boy, en } kanonik cm, { unit, input: { boy, en } } müşterinin girdiği.
+ */
+export function validateDimensions(
+  input,
+  rule = DEFAULT_DIMENSION_RULE,
+  unitSettings,
+) {
+  const { errors, values } = checkDimensions(input, rule, unitSettings);
+  if (errors.length) throw new DimensionError(errors);
+  return values;
+}
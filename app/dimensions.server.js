@@ -0,0 +1,35 @@
+// Base ürün başına ölçü kuralları. Kontrolün kendisi dimensions.js'te;
+// burada yalnızca mağazanın kaydettiği kural okunur.
+import prisma from "./db.server";
+import { DEFAULT_DIMENSION_RULE } from "./dimensions";
+
+export * from "./dimensions";
+
+export function toDimensionRule(record) {
+  if (!record) return DEFAULT_DIMENSION_RULE;
+
+  return {
+    minBoy: record.minBoy,
+    maxBoy: record.maxBoy,
+    minEn: record.minEn,
+    maxEn: record.maxEn,
+    step: record.step,
+    maxAspectRatio: record.maxAspectRatio,
+    maxArea: record.maxArea,
+  };
+}
+
+export async function getDimensionRule(shopDomain, productId) {
+  if (!shopDomain || !productId) return DEFAULT_DIMENSION_RULE;
+
+  const record = await prisma.dimensionRule.findUnique({
+    where: {
+      shopDomain_productId: {
+        shopDomain,
+        productId: String(productId),
+      },
+    },
+  });
+
+  return toDimensionRule(record);
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import {
+  checkDimensions,
+  DEFAULT_DIMENSION_RULE,
+  DimensionError,
+  validateDimensions,
+} from "./dimensions";
+import { getUnitSettings } from "./units";
+
+const rule = { ...DEFAULT_DIMENSION_RULE, minBoy: 20, maxBoy: 200, step: 5 };
+const units = getUnitSettings({
+  units: ["cm", "mm", "in"],
+  unitPrecision: { in: 0.25 },
+});
+
+function errorCodes(input, dimensionRule = rule) {
+  return checkDimensions(input, dimensionRule, units).errors.map(
+    ({ field, code }) => `${field}:${code}`,
+  );
+}
+
+describe("checkDimensions", () => {
+  it("geçerli ölçüyü kanonik cm ve girilen değerle döndürür", () => {
+    expect(checkDimensions({ boy: "50", en: "40" }, rule, units)).toEqual({
+      errors: [],
+      values: { unit: "cm", boy: 50, en: 40, input: { boy: 50, en: 40 } },
+    });
+    expect(
+      checkDimensions({ boy: "500", en: "400", unit: "mm" }, rule, units)
+        .values,
+    ).toMatchObject({ unit: "mm", boy: 50, en: 40 });
+  });
+
+  it("boş ve düz ondalık olmayan değerleri reddeder", () => {
+    expect(errorCodes({ boy: "", en: " " })).toEqual([
+      "boy:required",
+      "en:required",
+    ]);
+    for (const text of ["1e2", "0x1e", "Infinity", "-50", "50cm"]) {
+      expect(errorCodes({ boy: text, en: "40" })).toEqual(["boy:invalid"]);
+    }
+  });
+
+  it("sınırları müşterinin biriminde bildirir", () => {
+    const [tooSmall] = checkDimensions(
+      { boy: "7.5", en: "20", unit: "in" },
+      rule,
+      units,
+    ).errors;
+    expect(tooSmall).toMatchObject({
+      field: "boy",
+      code: "too_small",
+      limit: 8,
+      limitText: "8 in",
+    });
+
+    const [tooLarge] = checkDimensions(
+      { boy: "2050", en: "400", unit: "mm" },
+      rule,
+      units,
+    ).errors;
+    expect(tooLarge).toMatchObject({ code: "too_large", limitText: "2000 mm" });
+  });
+
+  it("hassasiyet ve metrik adım kuralını uygular", () => {
+    expect(errorCodes({ boy: "10.1", en: "8", unit: "in" })).toEqual([
+      "boy:precision",
+    ]);
+    // Adım min değerden başlar: 20, 25, 30...
+    expect(errorCodes({ boy: "32", en: "40" })).toEqual(["boy:step"]);
+    // İnç girişlerinde metrik adım uygulanmaz
+    expect(errorCodes({ boy: "10.25", en: "8", unit: "in" })).toEqual([]);
+  });
+
+  it("oran ve alanı iki kenar geçerliyse denetler", () => {
+    const limited = { ...rule, maxAspectRatio: 2, maxArea: 2500 };
+    expect(errorCodes({ boy: "100", en: "40" }, limited)).toEqual([
+      "aspectRatio:too_large",
+      "area:too_large",
+    ]);
+    expect(errorCodes({ boy: "1e2", en: "10" }, limited)).toEqual([
+      "boy:invalid",
+    ]);
+  });
+
+  it("açılmamış birimi reddeder", () => {
+    expect(errorCodes({ boy: "50", en: "40", unit: "yd" })).toEqual([
+      "unit:unsupported",
+    ]);
+    expect(
+      checkDimensions({ boy: "500", en: "400", unit: "mm" }, rule).errors[0],
+    ).toMatchObject({ field: "unit", unit: "mm" });
+  });
+});
+
+describe("validateDimensions", () => {
+  it("hatayı istenen dilde DimensionError olarak fırlatır", () => {
+    let error;
+    try {
+      validateDimensions({ boy: "5", en: "40" }, rule, units);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(DimensionError);
+    expect(error.localize("en")).toBe("Height must be at least 20 cm.");
+    expect(error.localize("tr")).toBe("Boy en az 20 cm olmalıdır.");
+  });
+});
@@ -0,0 +1,560 @@
+// Boy, en ve materyal dışındaki çerçeve seçenekleri (profil, cam, paspartu,
+// arkalık). Shopify varyantları yalnızca üç seçenek taşıdığı için bu değerler
+// varyantta metafield'da, sepette satır özelliklerinde saklanır. Şema mağaza
+// ayarındadır (ShopSettings.frameAttributes); boş şema eski davranıştır.
+// Cart Transform fonksiyonu da kullandığı için saf tutulmalıdır.
+import { DEFAULT_LOCALE, LocalizedError, translate } from "./messages";
+import { isMultipleOf } from "./units";
+
+export const ATTRIBUTE_TYPES = ["select", "number"];
+
+// Fiyat ve ağırlık oranlarının çarpıldığı ölçüler:
+// fixed: adet başına, perimeter: çevre (cm), area: alan (cm²),
+// border: değer genişliğinde kenar şeridinin alanı (cm², yalnızca sayısal)
+export const ATTRIBUTE_BASES = ["fixed", "perimeter", "area", "border"];
+
+// Varyant seçeneklerinde ve satır özelliklerinde zaten kullanılan anahtarlar
+const RESERVED_KEYS = ["boy", "en", "unit", "materyal"];
+
+export const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-zA-Z0-9_]*$/;
+export const OPTION_VALUE_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Ayarlardaki "Çerçeve varsayılanlarını kullan" şablonu. Fiyatlar mağaza para
+// biriminde; ağırlıklar gram.
+export const DEFAULT_FRAME_ATTRIBUTES = [
+  {
+    key: "profile",
+    type: "select",
+    label: { tr: "Profil", en: "Moulding profile" },
+    required: true,
+    default: "flat",
+    options: [
+      {
+        value: "flat",
+        label: { tr: "Düz", en: "Flat" },
+        price: { perimeter: 0.05 },
+        weight: { perimeter: 1 },
+      },
+      {
+        value: "rounded",
+        label: { tr: "Oval", en: "Rounded" },
+        price: { perimeter: 0.08 },
+        weight: { perimeter: 1.3 },
+      },
+      {
+        value: "ornate",
+        label: { tr: "Oymalı", en: "Ornate" },
+        price: { perimeter: 0.15 },
+        weight: { perimeter: 1.8 },
+      },
+    ],
+  },
+  {
+    key: "glazing",
+    type: "select",
+    label: { tr: "Cam", en: "Glazing" },
+    required: true,
+    default: "standard",
+    options: [
+      { value: "none", label: { tr: "Camsız", en: "None" } },
+      {
+        value: "standard",
+        label: { tr: "Standart cam", en: "Standard glass" },
+        price: { area: 0.01 },
+        weight: { area: 0.5 },
+      },
+      {
+        value: "anti_reflective",
+        label: { tr: "Yansımasız cam", en: "Anti-reflective glass" },
+        price: { area: 0.03 },
+        weight: { area: 0.5 },
+      },
+    ],
+  },
+  {
+    key: "matWidth",
+    type: "number",
+    label: { tr: "Paspartu genişliği", en: "Mat width" },
+    default: 0,
+    min: 0,
+    max: 15,
+    step: 0.5,
+    price: { border: 0.01 },
+    weight: { border: 0.1 },
+  },
+  {
+    key: "matColor",
+    type: "select",
+    label: { tr: "Paspartu rengi", en: "Mat colour" },
+    dependsOn: "matWidth",
+    required: true,
+    default: "white",
+    options: [
+      { value: "white", label: { tr: "Beyaz", en: "White" } },
+      { value: "cream", label: { tr: "Krem", en: "Cream" } },
+      { value: "black", label: { tr: "Siyah", en: "Black" } },
+    ],
+  },
+  {
+    key: "backing",
+    type: "select",
+    label: { tr: "Arkalık", en: "Backing" },
+    required: true,
+    default: "mdf",
+    options: [
+      {
+        value: "mdf",
+        label: { tr: "MDF", en: "MDF" },
+        price: { area: 0.003 },
+        weight: { area: 0.25 },
+      },
+      {
+        value: "foam",
+        label: { tr: "Köpük levha", en: "Foam board" },
+        price: { area: 0.005 },
+        weight: { area: 0.05 },
+      },
+    ],
+  },
+];
+
+// `label` düz metin veya dil başına metin ({ tr, en }) olabilir
+export function localizedLabel(label, locale = DEFAULT_LOCALE) {
+  if (!label || typeof label !== "object") return String(label ?? "");
+  return (
+    label[locale] ?? label[DEFAULT_LOCALE] ?? Object.values(label)[0] ?? ""
+  );
+}
+
+export class AttributeError extends LocalizedError {
+  constructor(messageKey, attribute = null, params = {}) {
+    super(
+      messageKey,
+      { ...params, label: localizedLabel(attribute?.label) },
+      "invalid_attribute",
+    );
+    this.name = "AttributeError";
+    this.attribute = attribute;
+  }
+
+  localize(locale) {
+    return translate(locale, this.messageKey, {
+      ...this.params,
+      label: localizedLabel(this.attribute?.label, locale),
+    });
+  }
+}
+
+// Mağaza ayarlarındaki şema; ayar yoksa ek seçenek yoktur
+export function getFrameAttributes(settings) {
+  return Array.isArray(settings?.frameAttributes)
+    ? settings.frameAttributes
+    : [];
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isLabel(label) {
+  if (typeof label === "string") return label.trim() !== "";
+  return (
+    isPlainObject(label) &&
+    typeof label[DEFAULT_LOCALE] === "string" &&
+    label[DEFAULT_LOCALE].trim() !== ""
+  );
+}
+
+function rateErrors(rates, bases, where) {
+  if (rates === undefined) return [];
+  if (!isPlainObject(rates)) return [`${where} must be an object`];
+
+  return Object.entries(rates).flatMap(([basis, rate]) => {
+    if (!bases.includes(basis)) {
+      return [`${where} uses an unknown basis "${basis}"`];
+    }
+    return Number.isFinite(rate) && rate >= 0
+      ? []
+      : [`${where}.${basis} must be a number of at least 0`];
+  });
+}
+
+function selectErrors(attribute, where) {
+  if (!Array.isArray(attribute.options) || !attribute.options.length) {
+    return [`${where} needs at least one option`];
+  }
+
+  const errors = [];
+  const values = new Set();
+  const labels = new Set();
+  const bases = ATTRIBUTE_BASES.filter((basis) => basis !== "border");
+
+  attribute.options.forEach((option, i) => {
+    const at = `${where}, option ${i + 1}`;
+    if (!OPTION_VALUE_PATTERN.test(String(option?.value ?? ""))) {
+      errors.push(`${at}: use lowercase letters, numbers, - and _ as value`);
+    } else if (values.has(option.value)) {
+      errors.push(`${at}: value "${option.value}" is used twice`);
+    }
+    values.add(option?.value);
+
+    // Etiketler varyant başlığında ayırt edici olmalı
+    if (!isLabel(option?.label)) {
+      errors.push(`${at}: enter a label`);
+    } else if (labels.has(localizedLabel(option.label))) {
+      errors.push(
+        `${at}: label "${localizedLabel(option.label)}" is used twice`,
+      );
+    }
+    labels.add(localizedLabel(option?.label));
+
+    errors.push(
+      ...rateErrors(option?.price, bases, `${at} price`),
+      ...rateErrors(option?.weight, bases, `${at} weight`),
+    );
+  });
+
+  if (attribute.default !== undefined && !values.has(attribute.default)) {
+    errors.push(`${where}: the default must be one of the option values`);
+  }
+  return errors;
+}
+
+function numberErrors(attribute, where) {
+  const { min, max, step } = attribute;
+  const errors = [];
+
+  if (!(Number.isFinite(min) && min >= 0)) {
+    errors.push(`${where}: min must be a number of at least 0`);
+  }
+  if (!(Number.isFinite(max) && max > min)) {
+    errors.push(`${where}: max must be greater than min`);
+  }
+  if (!(Number.isFinite(step) && step > 0)) {
+    errors.push(`${where}: step must be greater than 0`);
+  }
+  if (
+    attribute.default !== undefined &&
+    !(
+      Number.isFinite(attribute.default) &&
+      attribute.default >= min &&
+      attribute.default <= max
+    )
+  ) {
+    errors.push(`${where}: the default must be between min and max`);
+  }
+
+  return [
+    ...errors,
+    ...rateErrors(attribute.price, ATTRIBUTE_BASES, `${where} price`),
+    ...rateErrors(attribute.weight, ATTRIBUTE_BASES, `${where} weight`),
+  ];
+}
+
+/**
+ * Ayarlar sayfasından gelen şemayı denetler. Hatalar admin panelinde
+ * gösterildiği için İngilizcedir; boş dizi şemanın geçerli olduğunu gösterir.
+ */
+export function validateAttributeSchema(schema) {
+  if (!Array.isArray(schema)) return ["The schema must be a JSON array"];
+
+  const errors = [];
+  const keys = [];
+
+  schema.forEach((attribute, i) => {
+    const where = `Attribute ${i + 1}${attribute?.key ? ` (${attribute.key})` : ""}`;
+    if (!isPlainObject(attribute)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (!ATTRIBUTE_KEY_PATTERN.test(String(attribute.key ?? ""))) {
+      errors.push(`${where}: the key must start with a lowercase letter`);
+    } else if (RESERVED_KEYS.includes(attribute.key)) {
+      errors.push(`${where}: "${attribute.key}" is reserved`);
+    } else if (keys.includes(attribute.key)) {
+      errors.push(`${where}: the key is used twice`);
+    }
+
+    if (!isLabel(attribute.label)) {
+      errors.push(`${where}: enter a label (at least in "${DEFAULT_LOCALE}")`);
+    }
+    if (
+      attribute.dependsOn !== undefined &&
+      !keys.includes(attribute.dependsOn)
+    ) {
+      errors.push(`${where}: dependsOn must name an earlier attribute`);
+    }
+
+    if (attribute.type === "select") {
+      errors.push(...selectErrors(attribute, where));
+    } else if (attribute.type === "number") {
+      errors.push(...numberErrors(attribute, where));
+    } else {
+      errors.push(
+        `${where}: type must be one of ${ATTRIBUTE_TYPES.join(", ")}`,
+      );
+    }
+
+    keys.push(attribute.key);
+  });
+
+  return errors;
+}
+
+/**
+ * Storefront'tan gelen `attributes` alanını ({"profile":"flat",...} JSON
+ * metni veya nesne) okur. Boş değer ek seçenek gönderilmediği anlamına gelir.
+ */
+export function parseAttributeInput(raw) {
+  if (raw === null || raw === undefined || raw === "") return {};
+
+  let input = raw;
+  if (typeof raw === "string") {
+    try {
+      input = JSON.parse(raw);
+    } catch {
+      throw new AttributeError("attribute_invalid_format");
+    }
+  }
+
+  if (
+    !isPlainObject(input) ||
+    !Object.values(input).every((value) =>
+      ["string", "number"].includes(typeof value),
+    )
+  ) {
+    throw new AttributeError("attribute_invalid_format");
+  }
+  return input;
+}
+
+function borderArea(boy, en, width) {
+  return boy * en - Math.max(0, boy - 2 * width) * Math.max(0, en - 2 * width);
+}
+
+function usesBorder(attribute) {
+  return (
+    attribute.price?.border !== undefined ||
+    attribute.weight?.border !== undefined
+  );
+}
+
+function validateNumber(attribute, raw, { boy, en }) {
+  const value = Number(String(raw).trim());
+
+  if (!Number.isFinite(value)) {
+    throw new AttributeError("attribute_invalid", attribute);
+  }
+  if (value < attribute.min) {
+    throw new AttributeError("attribute_too_small", attribute, {
+      limit: attribute.min,
+    });
+  }
+  if (value > attribute.max) {
+    throw new AttributeError("attribute_too_large", attribute, {
+      limit: attribute.max,
+    });
+  }
+  if (!isMultipleOf(value - attribute.min, attribute.step)) {
+    throw new AttributeError("attribute_step", attribute, {
+      limit: attribute.step,
+    });
+  }
+  // Paspartu gibi kenar şeritleri resmin tamamını kapatamaz
+  if (usesBorder(attribute) && value > 0 && 2 * value >= Math.min(boy, en)) {
+    throw new AttributeError("attribute_border_too_wide", attribute);
+  }
+
+  return Math.round(value * 1e4) / 1e4;
+}
+
+function validateSelect(attribute, raw) {
+  const value = String(raw).trim();
+  if (!attribute.options.some((option) => option.value === value)) {
+    throw new AttributeError("attribute_invalid", attribute);
+  }
+  return value;
+}
+
+/**
+ * Girilen seçenekleri şemaya göre doğrular; eksik olanlara varsayılan
+ * uygulanır. `dependsOn` alanı boş veya 0 olan seçenekler (ör. paspartu
+ * genişliği 0 iken paspartu rengi) yok sayılır. Dönen nesne şema sırasındadır
+ * ve fiyat, teklif tokenı, varyant eşleşmesi için kanonik değerdir.
+ */
+export function validateAttributes(input, schema, { boy, en }) {
+  const unknown = Object.keys(input || {}).find(
+    (key) => !schema.some((attribute) => attribute.key === key),
+  );
+  if (unknown) {
+    throw new AttributeError("attribute_unknown", null, {
+      attribute: unknown,
+    });
+  }
+
+  const values = {};
+  for (const attribute of schema) {
+    if (attribute.dependsOn && !values[attribute.dependsOn]) continue;
+
+    const raw = input?.[attribute.key];
+    const provided =
+      raw !== undefined && raw !== null && String(raw).trim() !== "";
+    const value = provided ? raw : attribute.default;
+
+    if (value === undefined || value === null || value === "") {
+      if (attribute.required) {
+        throw new AttributeError("attribute_required", attribute);
+      }
+      continue;
+    }
+
+    values[attribute.key] =
+      attribute.type === "number"
+        ? validateNumber(attribute, value, { boy, en })
+        : validateSelect(attribute, value);
+  }
+
+  return values;
+}
+
+function measure(basis, { boy, en }, value) {
+  switch (basis) {
+    case "fixed":
+      return 1;
+    case "perimeter":
+      return 2 * (boy + en);
+    case "area":
+      return boy * en;
+    case "border":
+      return borderArea(boy, en, value);
+    default:
+      return 0;
+  }
+}
+
+function applyRates(rates, size, value) {
+  return Object.entries(rates || {}).reduce(
+    (sum, [basis, rate]) => sum + rate * measure(basis, size, value),
+    0,
+  );
+}
+
+/**
+ * Seçeneklerin ek ücretini (mağaza para birimi) ve ağırlığını (g) hesaplar.
+ * Sayısal seçenekler yalnızca 0'dan büyükse ücretlendirilir.
+ */
+export function calculateAttributeCharges(values, schema, { boy, en }) {
+  const items = schema
+    .filter((attribute) => values[attribute.key] !== undefined)
+    .map((attribute) => {
+      const value = values[attribute.key];
+      const rates =
+        attribute.type === "number"
+          ? value > 0
+            ? attribute
+            : {}
+          : attribute.options.find((option) => option.value === value) || {};
+
+      return {
+        key: attribute.key,
+        value,
+        charge:
+          Math.round(applyRates(rates.price, { boy, en }, value) * 100) / 100,
+        weight: Math.round(applyRates(rates.weight, { boy, en }, value)),
+      };
+    });
+
+  return {
+    items,
+    charge:
+      Math.round(items.reduce((sum, item) => sum + item.charge, 0) * 100) / 100,
+    weight: items.reduce((sum, item) => sum + item.weight, 0),
+  };
+}
+
+/**
+ * Seçenekleri gösterim için etiketleriyle döndürür:
+ * [{ key, label: "Cam", value: "Standart cam" }, ...]
+ */
+export function describeAttributes(values, schema, locale = DEFAULT_LOCALE) {
+  return schema
+    .filter((attribute) => values[attribute.key] !== undefined)
+    .map((attribute) => {
+      const value = values[attribute.key];
+      const option =
+        attribute.type === "select" &&
+        attribute.options.find((candidate) => candidate.value === value);
+
+      return {
+        key: attribute.key,
+        label: localizedLabel(attribute.label, locale),
+        value: option ? localizedLabel(option.label, locale) : `${value} cm`,
+      };
+    });
+}
+
+// "Cam: Standart cam, Arkalık: MDF"
+export function formatAttributes(values, schema, locale = DEFAULT_LOCALE) {
+  return describeAttributes(values, schema, locale)
+    .map(({ label, value }) => `${label}: ${value}`)
+    .join(", ");
+}
+
+// Anahtar sırasından bağımsız karşılaştırma metni (kilit ve teklif için)
+export function attributesSignature(values) {
+  return JSON.stringify(
+    Object.keys(values || {})
+      .sort()
+      .map((key) => [key, values[key]]),
+  );
+}
+
+/**
+ * Varyantın üçüncü seçeneği. Shopify aynı seçenek üçlüsüyle iki varyanta
+ * izin vermediği için ek seçenekler materyalin yanına yazılır; ek seçenek
+ * yoksa eski varyantlarla aynı değer ("keten") üretilir.
+ */
+export function variantOptionValue(materyal, values, schema) {
+  const attributes = formatAttributes(values, schema);
+  return attributes ? `${materyal}, ${attributes}` : materyal;
+}
+
+// Varyant metafield'ındaki konfigürasyon, istenen seçeneklerle aynı mı?
+// Metafield'ı olmayan eski varyantlar yalnızca ek seçeneksiz isteklere uyar.
+export function configurationMatches(metafieldValue, values) {
+  let attributes = {};
+  if (metafieldValue) {
+    try {
+      attributes = JSON.parse(metafieldValue).attributes || {};
+    } catch {
+      return false;
+    }
+  }
+  return attributesSignature(attributes) === attributesSignature(values);
+}
+
+// api.dimensions yanıtı: storefront'un alanları çizmesi için fiyatsız şema
+export function toStorefrontAttributes(schema, locale = DEFAULT_LOCALE) {
+  return schema.map((attribute) => ({
+    key: attribute.key,
+    type: attribute.type,
+    label: localizedLabel(attribute.label, locale),
+    required: Boolean(attribute.required),
+    default: attribute.default ?? null,
+    dependsOn: attribute.dependsOn ?? null,
+    ...(attribute.type === "number"
+      ? {
+          min: attribute.min,
+          max: attribute.max,
+          step: attribute.step,
+          unit: "cm",
+        }
+      : {
+          options: attribute.options.map((option) => ({
+            value: option.value,
+            label: localizedLabel(option.label, locale),
+          })),
+        }),
+  }));
+}
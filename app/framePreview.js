@@ -0,0 +1,133 @@
+// Çerçevenin ölçekli SVG önizlemesi. api.preview rotası bu modülle çizer;
+// storefront bloğu ve siparişe eklenen önizleme aynı çıktıyı kullanır.
+// Saf tutulmalıdır (sunucuya özel import yok).
+import { formatDimension, formatSize } from "./units";
+
+// shopify.app.toml [app_proxy] prefix/subpath
+export const APP_PROXY_PATH = "/apps/customizer";
+
+const CANVAS_SIZE = 400;
+const PADDING = 56;
+
+// Materyal görünümü: düz renk veya desen (pattern) kimliği
+export const MATERIAL_APPEARANCE = {
+  pamuk: { color: "#f3ede2", stroke: "#c9bfae" },
+  polyester: { color: "#dfe6ee", stroke: "#a9b6c4" },
+  keten: { color: "#d8c8a8", stroke: "#a8956f", texture: "linen" },
+  ipek: { color: "#e9d8e6", stroke: "#b996b3", texture: "silk" },
+  default: { color: "#e5e5e5", stroke: "#b3b3b3" },
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeXml(value) {
+  return String(value).replace(
+    /[<>&"']/g,
+    (char) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char],
+  );
+}
+
+// Katalogdaki renk (swatchColor) varsa düz rengin yerine geçer; desen korunur
+export function getMaterialAppearance(materyal, swatchColor = null) {
+  const key = String(materyal || "").toLowerCase();
+  const appearance = MATERIAL_APPEARANCE[key] || MATERIAL_APPEARANCE.default;
+  return swatchColor
+    ? { ...appearance, color: escapeXml(swatchColor) }
+    : appearance;
+}
+
+function textureDefs(appearance) {
+  if (appearance.texture === "linen") {
+    return `<pattern id="fill" width="6" height="6" patternUnits="userSpaceOnUse">
+      <rect width="6" height="6" fill="${appearance.color}"/>
+      <path d="M0 3H6M3 0V6" stroke="${appearance.stroke}" stroke-width="0.6" opacity="0.6"/>
+    </pattern>`;
+  }
+  if (appearance.texture === "silk") {
+    return `<linearGradient id="fill" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${appearance.color}"/>
+      <stop offset="0.5" stop-color="#ffffff"/>
+      <stop offset="1" stop-color="${appearance.color}"/>
+    </linearGradient>`;
+  }
+  return "";
+}
+
+/**
+ * Ölçülerin tuvaldeki karşılığını hesaplar. Uzun kenar tuvale sığacak şekilde
+ * ölçeklenir; en/boy oranı korunur.
+ */
+export function getPreviewGeometry(boy, en) {
+  const available = CANVAS_SIZE - PADDING * 2;
+  const scale = available / Math.max(boy, en);
+  const width = en * scale;
+  const height = boy * scale;
+
+  return {
+    scale,
+    width: round(width),
+    height: round(height),
+    x: round((CANVAS_SIZE - width) / 2),
+    y: round((CANVAS_SIZE - height) / 2),
+  };
+}
+
+/**
+ * boy (yükseklik) × en (genişlik) ölçüsündeki çerçevenin SVG'sini döndürür.
+ * Ölçüler müşterinin biriminde verilir ve o birimle yazılır; oran birimden
+ * bağımsızdır. Dış ölçüler üstte ve solda ölçü çizgileriyle gösterilir.
+ * `material` katalog kaydıdır; varsa adı ve rengi kullanılır.
+ */
+export function renderFramePreviewSvg({
+  boy,
+  en,
+  materyal,
+  unit = "cm",
+  material = null,
+}) {
+  const appearance = getMaterialAppearance(materyal, material?.swatchColor);
+  const { width, height, x, y } = getPreviewGeometry(boy, en);
+  const fill = appearance.texture ? "url(#fill)" : appearance.color;
+  const label = escapeXml(material?.name || materyal || "");
+
+  const dimY = y - 18;
+  const dimX = x - 18;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}" role="img" aria-label="${formatSize(boy, en, unit)}, ${label}">
+  <defs>
+    <marker id="arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+      <path d="M0 0L10 5L0 10z" fill="#555"/>
+    </marker>
+    ${textureDefs(appearance)}
+  </defs>
+  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}" stroke="${appearance.stroke}" stroke-width="2"/>
+  <g stroke="#555" stroke-width="1" fill="none">
+    <path d="M${x} ${dimY}H${x + width}" marker-start="url(#arrow)" marker-end="url(#arrow)"/>
+    <path d="M${dimX} ${y}V${y + height}" marker-start="url(#arrow)" marker-end="url(#arrow)"/>
+  </g>
+  <g font-family="sans-serif" font-size="13" fill="#333" text-anchor="middle">
+    <text x="${x + width / 2}" y="${dimY - 6}">${formatDimension(en, unit)}</text>
+    <text x="${dimX - 6}" y="${y + height / 2}" transform="rotate(-90 ${dimX - 6} ${y + height / 2})">${formatDimension(boy, unit)}</text>
+    <text x="${CANVAS_SIZE / 2}" y="${CANVAS_SIZE - 16}" fill="#666">${label}</text>
+  </g>
+</svg>`;
+}
+
+export function previewPath({ boy, en, materyal, unit = "cm" }) {
+  const params = new URLSearchParams({
+    boy: String(boy),
+    en: String(en),
+    unit: String(unit),
+    materyal: String(materyal),
+  });
+  return `${APP_PROXY_PATH}/preview?${params}`;
+}
@@ -0,0 +1,390 @@
+// Host ürün havuzu. Shopify bir ürüne sınırlı sayıda varyant eklenmesine
+// izin verir; her base ürün için özel ölçü varyantları, kapasitesi dolmamış
+// bir havuz üyesine eklenir, havuz dolunca yeni bir host ürün açılır.
+import prisma from "./db.server";
+import { logger } from "./logger.server";
+import { AdminApiTimeoutError, API_TIMEOUT } from "./adminClient.server";
+import {
+  createProduct,
+  createVariant,
+  findProductsByTag,
+  findVariantsBySelectedOptions,
+  getOptionNames,
+  getProduct,
+  getProductOptionNames,
+  publishToOnlineStore,
+} from "./catalog.server";
+import { configurationMatches } from "./frameAttributes";
+
+// Shopify'ın ürün başına varyant sınırı. Sınır değişirse üye dolu
+// işaretlenip sıradaki denendiği için (bkz. createVariantInPool) değerin
+// yalnızca üst sınır olması yeterlidir.
+export const HOST_PRODUCT_VARIANT_LIMIT =
+  parseInt(process.env.HOST_PRODUCT_VARIANT_LIMIT || "", 10) || 2048;
+
+export const HOST_PRODUCT_TAG = "frame-customizer-host";
+
+// Host ürünün hangi base ürüne ait olduğunu gösteren ek etiket; havuza
+// kaydedilememiş host'lar bununla bulunur.
+export function hostProductTag(baseProductId) {
+  return `${HOST_PRODUCT_TAG}-${baseProductId}`;
+}
+
+/**
+ * Base ürünün havuzunu döndürür. Havuz ilk kez kullanılıyorsa base ürünün
+ * kendisi, mevcut varyant sayısıyla ilk üye olarak kaydedilir.
+ */
+export async function getHostPool(shopDomain, baseProductId, countVariants) {
+  const members = await prisma.hostProduct.findMany({
+    where: { shopDomain, baseProductId: String(baseProductId) },
+    orderBy: { createdAt: "asc" },
+  });
+
+  if (members.length) return members;
+
+  const variantCount = await countVariants();
+  const baseMember = await prisma.hostProduct.upsert({
+    where: {
+      shopDomain_productId: { shopDomain, productId: String(baseProductId) },
+    },
+    create: {
+      shopDomain,
+      baseProductId: String(baseProductId),
+      productId: String(baseProductId),
+      variantCount,
+      isFull: variantCount >= HOST_PRODUCT_VARIANT_LIMIT,
+    },
+    update: {},
+  });
+
+  return [baseMember];
+}
+
+export function pickHostProduct(pool) {
+  return (
+    pool.find(
+      (member) =>
+        !member.isFull && member.variantCount < HOST_PRODUCT_VARIANT_LIMIT,
+    ) || null
+  );
+}
+
+export async function getHostProduct(shopDomain, productId) {
+  return prisma.hostProduct.findUnique({
+    where: {
+      shopDomain_productId: { shopDomain, productId: String(productId) },
+    },
+  });
+}
+
+export async function addHostProduct(
+  shopDomain,
+  baseProductId,
+  productId,
+  variantCount,
+) {
+  return prisma.hostProduct.upsert({
+    where: {
+      shopDomain_productId: { shopDomain, productId: String(productId) },
+    },
+    create: {
+      shopDomain,
+      baseProductId: String(baseProductId),
+      productId: String(productId),
+      variantCount,
+    },
+    update: {},
+  });
+}
+
+export async function recordVariantCreated(memberId) {
+  const member = await prisma.hostProduct.update({
+    where: { id: memberId },
+    data: { variantCount: { increment: 1 } },
+  });
+
+  if (member.variantCount >= HOST_PRODUCT_VARIANT_LIMIT && !member.isFull) {
+    await markHostProductFull(memberId);
+  }
+
+  return member;
+}
+
+export async function markHostProductFull(memberId) {
+  return prisma.hostProduct.update({
+    where: { id: memberId },
+    data: { isFull: true },
+  });
+}
+
+export async function recordVariantDeleted(shopDomain, productId) {
+  return prisma.hostProduct.updateMany({
+    where: {
+      shopDomain,
+      productId: String(productId),
+      variantCount: { gt: 0 },
+    },
+    data: {
+      variantCount: { decrement: 1 },
+      isFull: false,
+    },
+  });
+}
+
+export async function removeHostProduct(memberId) {
+  return prisma.hostProduct.delete({ where: { id: memberId } });
+}
+
+// Havuzdaki ek host ürünler (base ürün hariç) son varyantları silinince
+// ürün olarak tamamen silinmelidir; Shopify son varyantın silinmesine izin vermez.
+export function isDisposableHost(member) {
+  return Boolean(
+    member &&
+      member.productId !== member.baseProductId &&
+      member.variantCount <= 1,
+  );
+}
+
+export function isVariantLimitError(err) {
+  const details = JSON.stringify(err?.userErrors || err?.message || "");
+  return /variant/i.test(details) && /(limit|maximum|more than)/i.test(details);
+}
+
+/**
+ * Seçenek üçlüsü tüm havuz üyelerinde tek sorguyla aranır; metafield'daki ek
+ * seçenekler de eşleşmelidir. Host ürünler base ürünün seçenek adlarını
+ * kullanır.
+ */
+export async function findExistingVariantInPool(
+  client,
+  pool,
+  options,
+  attributes = {},
+) {
+  if (!pool.length) return null;
+
+  try {
+    const optionNames = await getProductOptionNames(
+      client,
+      pool[0].baseProductId,
+    );
+    const variants = await findVariantsBySelectedOptions(
+      client,
+      pool.map((member) => member.productId),
+      optionNames,
+      options,
+    );
+
+    return (
+      variants.find((variant) =>
+        configurationMatches(variant.configuration, attributes),
+      ) || null
+    );
+  } catch (err) {
+    logger.error("Mevcut varyant aranamadı", {
+      productIds: pool.map((member) => member.productId),
+      err,
+    });
+    return null;
+  }
+}
+
+// Base ürünün başlığı, görselleri ve seçenekleriyle yeni bir host ürün açar;
+// ilk varyantı doğrudan özel ölçü varyantıdır. Host, base ürünün kopyası
+// gibi görünmemesi için yalnızca Online Store'da yayınlanır ve seo.hidden ile
+// mağaza araması, sitemap ve önerilerden gizlenir. Otomatik koleksiyonlar
+// HOST_PRODUCT_TAG etiketini koşullarında hariç tutmalıdır.
+async function createHostProduct(client, baseProduct, optionNames, variant) {
+  const product = await createProduct(
+    client,
+    {
+      title: baseProduct.title,
+      descriptionHtml: baseProduct.descriptionHtml,
+      vendor: baseProduct.vendor,
+      productType: baseProduct.productType,
+      status: "ACTIVE",
+      tags: [HOST_PRODUCT_TAG, hostProductTag(baseProduct.legacyResourceId)],
+      metafields: [
+        {
+          namespace: "seo",
+          key: "hidden",
+          type: "number_integer",
+          value: "1",
+        },
+      ],
+      productOptions: optionNames.map((name, i) => ({
+        name,
+        values: [{ name: String(variant.options[i]) }],
+      })),
+    },
+    (baseProduct.media?.nodes || [])
+      .filter((media) => media.preview?.image?.url)
+      .map((media) => ({
+        originalSource: media.preview.image.url,
+        mediaContentType: "IMAGE",
+      })),
+  );
+
+  const published = await publishToOnlineStore(client, product.id);
+  if (!published) {
+    logger.warn("Online Store kanalı bulunamadı, host ürün yayınlanmadı", {
+      productId: product.legacyResourceId,
+    });
+  }
+
+  // productCreate seçeneklerle birlikte tek bir varyant açar; onu özel ölçü
+  // varyantıyla değiştiriyoruz.
+  const newVariant = await createVariant(
+    client,
+    product.legacyResourceId,
+    optionNames,
+    variant,
+    { strategy: "REMOVE_STANDALONE_VARIANT" },
+  );
+
+  return { product, variant: newVariant };
+}
+
+// createHostProduct'taki istekler tamamlanana kadar host havuza kaydedilmez
+const ORPHAN_HOST_MIN_AGE_MS = 3 * API_TIMEOUT;
+
+// Zaman aşımına uğrayan productVariantsBulkCreate Shopify'da tamamlanmış
+// olabilir; aynı seçeneklerle tekrar denemek yerine varyant önce aranır.
+async function findCreatedVariant(client, productId, optionNames, variant) {
+  const [found] = await findVariantsBySelectedOptions(
+    client,
+    [productId],
+    optionNames,
+    variant.options,
+  );
+  return found &&
+    configurationMatches(found.configuration, variant.configuration?.attributes)
+    ? found
+    : null;
+}
+
+/**
+ * productCreate zaman aşımına uğradığında host Shopify'da açılmış fakat
+ * havuza kaydedilmemiş olabilir. Yeni host açmadan önce base ürünün
+ * etiketiyle aranır; havuzda olmayanlar kaydedilip döndürülür. Başka bir
+ * isteğin henüz kaydetmediği host'u almamak için yalnızca
+ * ORPHAN_HOST_MIN_AGE_MS'den eski ürünlere bakılır. Yalnızca
+ * productCreate'in açtığı geçici varyantı taşıyan (konfigürasyonsuz) host'ta
+ * ilk özel ölçü varyantı bu varyantın yerine geçer.
+ */
+async function recoverHostProducts(client, shopDomain, baseProductId, pool) {
+  const known = new Set(pool.map((member) => member.productId));
+  const orphans = (
+    await findProductsByTag(client, hostProductTag(baseProductId), {
+      createdBefore: new Date(Date.now() - ORPHAN_HOST_MIN_AGE_MS),
+    })
+  ).filter((product) => !known.has(String(product.id)));
+
+  const recovered = [];
+  for (const product of orphans) {
+    const replaceStandalone =
+      product.variantCount === 1 && !product.variants[0]?.configuration;
+
+    await publishToOnlineStore(client, product.gid);
+    const member = await addHostProduct(
+      shopDomain,
+      baseProductId,
+      product.id,
+      replaceStandalone ? 0 : product.variantCount,
+    );
+    logger.warn("Havuza kaydedilmemiş host ürün bulundu", {
+      productId: product.id,
+    });
+    recovered.push({ ...member, replaceStandalone });
+  }
+
+  return recovered;
+}
+
+// Varyant sınırına takılan üye dolu işaretlenir ve yer olan sonraki üye
+// denenir. Hiçbir üyede yer yoksa null döner.
+async function addToPoolMembers(client, candidates, optionNames, variant) {
+  for (
+    let host = pickHostProduct(candidates);
+    host;
+    host = pickHostProduct(candidates)
+  ) {
+    try {
+      const newVariant = await createVariant(
+        client,
+        host.productId,
+        optionNames,
+        variant,
+        host.replaceStandalone ? { strategy: "REMOVE_STANDALONE_VARIANT" } : {},
+      );
+      if (newVariant) await recordVariantCreated(host.id);
+
+      return { variant: newVariant, productId: host.productId };
+    } catch (err) {
+      if (err instanceof AdminApiTimeoutError) {
+        const created = await findCreatedVariant(
+          client,
+          host.productId,
+          optionNames,
+          variant,
+        );
+        if (!created) throw err;
+
+        logger.warn("Zaman aşımına rağmen varyant oluşturulmuş", {
+          productId: host.productId,
+          variantId: created.id,
+        });
+        await recordVariantCreated(host.id);
+        return { variant: created, productId: host.productId };
+      }
+      if (!isVariantLimitError(err)) throw err;
+
+      logger.warn("Host ürün dolu, sıradaki havuz üyesi deneniyor", {
+        productId: host.productId,
+      });
+      await markHostProductFull(host.id);
+      candidates = candidates.filter((member) => member.id !== host.id);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Varyantı kapasitesi olan bir havuz üyesine, yoksa yeni host ürüne ekler.
+ * `variant`: { price, sku, options: [boy, en, materyal], weight, configuration }
+ */
+export async function createVariantInPool(
+  client,
+  { pool, shopDomain, baseProductId, variant },
+) {
+  const baseProduct = await getProduct(client, baseProductId);
+  if (!baseProduct) throw new Error("Base ürün bulunamadı");
+
+  const optionNames = getOptionNames(baseProduct);
+
+  // Yeni host yalnızca havuzda ve kaydedilmemiş host'larda yer kalmadığında
+  // açılır.
+  const placed =
+    (await addToPoolMembers(client, pool, optionNames, variant)) ||
+    (await addToPoolMembers(
+      client,
+      await recoverHostProducts(client, shopDomain, baseProductId, pool),
+      optionNames,
+      variant,
+    ));
+  if (placed) return placed;
+
+  const created = await createHostProduct(
+    client,
+    baseProduct,
+    optionNames,
+    variant,
+  );
+  const productId = created.product.legacyResourceId;
+
+  await addHostProduct(shopDomain, baseProductId, productId, 1);
+  logger.info("Yeni host ürün oluşturuldu", { productId });
+
+  return { variant: created.variant, productId };
+}
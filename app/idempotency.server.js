@@ -0,0 +1,239 @@
+// api.add-to-cart için veritabanı tabanlı tekrar koruması. İstemcinin
+// requestId'si idempotency anahtarıdır: başarılı isteğin yanıtı saklanır
+// ve aynı anahtar ve aynı istek gövdesiyle gelen tekrar denemelerde birebir
+// döndürülür. Aynı ölçü için eşzamanlı istekler konfigürasyon kilidinde
+// sırayla bekler.
+import crypto from "node:crypto";
+import prisma from "./db.server";
+import { LocalizedError } from "./messages";
+import { logger } from "./logger.server";
+
+export const IDEMPOTENCY_TTL_MS =
+  parseInt(process.env.IDEMPOTENCY_TTL_MS || "", 10) || 24 * 60 * 60 * 1000;
+
+// Kilidi tutan süreç çökerse kilit bu süreden sonra devralınabilir. İş
+// sürerken kilit ve bekleyen anahtar düzenli yenilendiğinden varyant
+// oluşturma + hazır olma beklemesi bu süreyi aşabilir.
+export const LOCK_TTL_MS =
+  parseInt(process.env.CONFIGURATION_LOCK_TTL_MS || "", 10) || 60 * 1000;
+
+export const LOCK_WAIT_MS =
+  parseInt(process.env.CONFIGURATION_LOCK_WAIT_MS || "", 10) || 45 * 1000;
+
+const POLL_INTERVAL_MS = 250;
+
+const HEARTBEAT_MS = Math.max(1000, Math.floor(LOCK_TTL_MS / 3));
+
+const STATUS = {
+  PENDING: "pending",
+  COMPLETED: "completed",
+};
+
+// Mesaj anahtarı hata koduyla aynıdır (bkz. messages.js)
+export class IdempotencyError extends LocalizedError {
+  constructor(errorType = "duplicate") {
+    super(errorType, {}, errorType);
+    this.name = "IdempotencyError";
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isUniqueViolation(err) {
+  return err?.code === "P2002";
+}
+
+// `boy`/`en` kanonik cm (bkz. canonicalDimensions): "30 cm" ile "300 mm"
+// aynı varyanta gittiği için aynı kilidi paylaşır. `attributes`: ek çerçeve
+// seçeneklerinin attributesSignature() metni.
+export function configurationLockKey(
+  shopDomain,
+  { baseVariantId, boy, en, materyal, attributes = "" },
+) {
+  return [shopDomain, baseVariantId, boy, en, materyal, attributes].join(":");
+}
+
+// Normalize edilmiş istek alanlarının özeti; alan sırası sabittir
+export function requestHash(fields) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(fields))
+    .digest("hex");
+}
+
+function startHeartbeat(refresh, context) {
+  const timer = setInterval(() => {
+    refresh().catch((err) =>
+      logger.warn("Kilit yenilenemedi", { ...context, err }),
+    );
+  }, HEARTBEAT_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+/**
+ * İsteği başlatır. Aynı requestId daha önce tamamlandıysa saklanan yanıtı
+ * ({ status, body }) döndürür; yoksa anahtarı "pending" olarak kaydedip null
+ * döndürür. Aynı anahtar başka bir yerde işleniyorsa bitmesini bekler.
+ * Anahtar farklı bir `hash` ile kayıtlıysa IdempotencyError("request_mismatch")
+ * fırlatır: başka bir konfigürasyonun yanıtı tekrarlanmaz.
+ */
+export async function beginIdempotentRequest(shopDomain, requestId, hash) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  const where = { shopDomain_requestId: { shopDomain, requestId } };
+
+  for (;;) {
+    try {
+      await prisma.idempotencyKey.create({
+        data: {
+          shopDomain,
+          requestId,
+          requestHash: hash,
+          status: STATUS.PENDING,
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_MS),
+        },
+      });
+      return null;
+    } catch (err) {
+      if (!isUniqueViolation(err)) throw err;
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({ where });
+    if (!existing) continue;
+
+    const now = Date.now();
+    const expired = existing.expiresAt.getTime() <= now;
+    const stale =
+      existing.status === STATUS.PENDING &&
+      existing.updatedAt.getTime() <= now - LOCK_TTL_MS;
+
+    if (expired || stale) {
+      // Koşullu silme: aynı anda devralmaya çalışan diğer istekle yarışmaz
+      await prisma.idempotencyKey.deleteMany({
+        where: { id: existing.id, updatedAt: existing.updatedAt },
+      });
+      continue;
+    }
+
+    if (existing.requestHash && existing.requestHash !== hash) {
+      throw new IdempotencyError("request_mismatch");
+    }
+
+    if (existing.status === STATUS.COMPLETED) {
+      return { status: existing.statusCode, body: existing.responseBody };
+    }
+
+    if (now >= deadline) {
+      throw new IdempotencyError("duplicate");
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Yalnızca başarılı (2xx) yanıtı saklar. 4xx ve 5xx yanıtlarda anahtar
+ * silinir: girdiyi düzelten veya geçici hatadan sonra tekrar deneyen istemci
+ * aynı requestId ile bayat hatayı değil, yeniden işlenen isteği alır.
+ */
+export async function completeIdempotentRequest(
+  shopDomain,
+  requestId,
+  response,
+) {
+  const where = { shopDomain_requestId: { shopDomain, requestId } };
+
+  if (!response.ok) {
+    await prisma.idempotencyKey.deleteMany({
+      where: { shopDomain, requestId },
+    });
+    return;
+  }
+
+  await prisma.idempotencyKey.update({
+    where,
+    data: {
+      status: STATUS.COMPLETED,
+      statusCode: response.status,
+      responseBody: await response.clone().text(),
+    },
+  });
+}
+
+/**
+ * İş sürerken bekleyen anahtarı canlı tutar; aksi halde LOCK_TTL_MS sonra
+ * aynı requestId'li tekrar deneme anahtarı devralıp işi ikinci kez yapar.
+ * Dönen fonksiyon yenilemeyi durdurur.
+ */
+export function keepIdempotentRequestAlive(shopDomain, requestId) {
+  return startHeartbeat(
+    () =>
+      prisma.idempotencyKey.updateMany({
+        where: { shopDomain, requestId, status: STATUS.PENDING },
+        data: { updatedAt: new Date() },
+      }),
+    { requestId },
+  );
+}
+
+export async function releaseIdempotentRequest(shopDomain, requestId) {
+  await prisma.idempotencyKey.deleteMany({
+    where: { shopDomain, requestId, status: STATUS.PENDING },
+  });
+}
+
+/**
+ * fn'i konfigürasyon kilidi altında çalıştırır. Kilit doluysa hata vermek
+ * yerine serbest kalmasını (en fazla LOCK_WAIT_MS) bekler. fn sürdükçe
+ * kilidin süresi uzatılır.
+ */
+export async function withConfigurationLock(key, fn) {
+  const holder = crypto.randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  for (;;) {
+    await prisma.configurationLock.deleteMany({
+      where: { key, expiresAt: { lte: new Date() } },
+    });
+
+    try {
+      await prisma.configurationLock.create({
+        data: { key, holder, expiresAt: new Date(Date.now() + LOCK_TTL_MS) },
+      });
+      break;
+    } catch (err) {
+      if (!isUniqueViolation(err)) throw err;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new IdempotencyError("lock_timeout");
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  const stopHeartbeat = startHeartbeat(
+    () =>
+      prisma.configurationLock.updateMany({
+        where: { key, holder },
+        data: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) },
+      }),
+    { lock: key },
+  );
+
+  try {
+    return await fn();
+  } finally {
+    stopHeartbeat();
+    await prisma.configurationLock
+      .deleteMany({ where: { key, holder } })
+      .catch((err) => logger.error("Kilit bırakılamadı", { lock: key, err }));
+  }
+}
+
+export async function purgeExpiredIdempotencyKeys(now = new Date()) {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lte: now } },
+  });
+  return count;
+}
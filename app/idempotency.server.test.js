@@ -0,0 +1,225 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const { prisma } = vi.hoisted(() => ({
+  prisma: {
+    idempotencyKey: {
+      create: vi.fn(),
+      findUnique: vi.fn(),
+      deleteMany: vi.fn(),
+      update: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("./db.server", () => ({ default: prisma }));
+vi.mock("./logger.server", () => ({
+  logger: { warn: vi.fn(), error: vi.fn() },
+}));
+
+import { canonicalDimensions } from "./dimensions";
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  configurationLockKey,
+  requestHash,
+  IdempotencyError,
+  LOCK_TTL_MS,
+  LOCK_WAIT_MS,
+} from "./idempotency.server";
+import { getUnitSettings } from "./units";
+
+const SHOP = "shop.myshopify.com";
+const units = getUnitSettings({ units: ["cm", "mm", "in"] });
+
+function uniqueViolation() {
+  return Object.assign(new Error("unique"), { code: "P2002" });
+}
+
+function storedKey(fields = {}) {
+  const now = new Date();
+  return {
+    id: "key-1",
+    requestHash: "hash-a",
+    status: "pending",
+    statusCode: null,
+    responseBody: null,
+    expiresAt: new Date(now.getTime() + 60 * 60 * 1000),
+    updatedAt: now,
+    ...fields,
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prisma.idempotencyKey.deleteMany.mockResolvedValue({ count: 1 });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("configurationLockKey", () => {
+  it("aynı ölçünün farklı birimlerdeki yazımları aynı anahtarı verir", () => {
+    const key = (input) =>
+      configurationLockKey(SHOP, {
+        baseVariantId: "1",
+        ...canonicalDimensions(input, units),
+        materyal: "keten",
+      });
+
+    expect(key({ boy: "30", en: "40.0", unit: "cm" })).toBe(
+      key({ boy: "300", en: "400", unit: "mm" }),
+    );
+    expect(key({ boy: "30", en: "40", unit: "cm" })).not.toBe(
+      key({ boy: "30", en: "40", unit: "in" }),
+    );
+  });
+
+  it("ek seçenekleri anahtara katar", () => {
+    const base = { baseVariantId: "1", boy: 30, en: 40, materyal: "keten" };
+
+    expect(configurationLockKey(SHOP, base)).toBe(`${SHOP}:1:30:40:keten:`);
+    expect(
+      configurationLockKey(SHOP, { ...base, attributes: "cam=mat" }),
+    ).not.toBe(configurationLockKey(SHOP, base));
+  });
+});
+
+describe("requestHash", () => {
+  it("aynı alanlar için sabit, farklı alanlar için farklıdır", () => {
+    const fields = [{ baseVariantId: "1", boy: 30, en: 40 }, null, "120.00"];
+
+    expect(requestHash(fields)).toBe(requestHash(structuredClone(fields)));
+    expect(requestHash(fields)).toMatch(/^[0-9a-f]{64}$/);
+    expect(
+      requestHash([{ baseVariantId: "1", boy: 30, en: 50 }, null, "120.00"]),
+    ).not.toBe(requestHash(fields));
+  });
+});
+
+describe("beginIdempotentRequest", () => {
+  it("yeni anahtarı bekleyen olarak kaydeder", async () => {
+    prisma.idempotencyKey.create.mockResolvedValue({});
+
+    await expect(
+      beginIdempotentRequest(SHOP, "r1", "hash-a"),
+    ).resolves.toBeNull();
+    expect(prisma.idempotencyKey.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        shopDomain: SHOP,
+        requestId: "r1",
+        requestHash: "hash-a",
+        status: "pending",
+      }),
+    });
+  });
+
+  it("tamamlanmış isteğin yanıtını tekrarlar", async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(uniqueViolation());
+    prisma.idempotencyKey.findUnique.mockResolvedValue(
+      storedKey({ status: "completed", statusCode: 200, responseBody: "{}" }),
+    );
+
+    await expect(beginIdempotentRequest(SHOP, "r1", "hash-a")).resolves.toEqual(
+      {
+        status: 200,
+        body: "{}",
+      },
+    );
+  });
+
+  it("aynı anahtar farklı istekle gelirse yanıtı tekrarlamaz", async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(uniqueViolation());
+    prisma.idempotencyKey.findUnique.mockResolvedValue(
+      storedKey({ status: "completed", statusCode: 200, responseBody: "{}" }),
+    );
+
+    const err = await beginIdempotentRequest(SHOP, "r1", "hash-b").catch(
+      (e) => e,
+    );
+    expect(err).toBeInstanceOf(IdempotencyError);
+    expect(err.errorType).toBe("request_mismatch");
+  });
+
+  it("bekleyen isteğin bitmesini bekleyip yanıtını döndürür", async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(uniqueViolation());
+    prisma.idempotencyKey.findUnique
+      .mockResolvedValueOnce(storedKey())
+      .mockResolvedValueOnce(
+        storedKey({ status: "completed", statusCode: 200, responseBody: "ok" }),
+      );
+
+    await expect(beginIdempotentRequest(SHOP, "r1", "hash-a")).resolves.toEqual(
+      {
+        status: 200,
+        body: "ok",
+      },
+    );
+    expect(prisma.idempotencyKey.findUnique).toHaveBeenCalledTimes(2);
+  });
+
+  it("bekleme süresi dolarsa duplicate hatası verir", async () => {
+    vi.useFakeTimers();
+    prisma.idempotencyKey.create.mockRejectedValue(uniqueViolation());
+    prisma.idempotencyKey.findUnique.mockImplementation(async () =>
+      storedKey(),
+    );
+
+    const result = beginIdempotentRequest(SHOP, "r1", "hash-a").catch((e) => e);
+    await vi.advanceTimersByTimeAsync(LOCK_WAIT_MS + 1000);
+
+    const err = await result;
+    expect(err).toBeInstanceOf(IdempotencyError);
+    expect(err.errorType).toBe("duplicate");
+  });
+
+  it("süresi dolmuş veya sahibi düşmüş anahtarı devralır", async () => {
+    const stale = storedKey({
+      updatedAt: new Date(Date.now() - LOCK_TTL_MS - 1000),
+    });
+    prisma.idempotencyKey.create
+      .mockRejectedValueOnce(uniqueViolation())
+      .mockResolvedValueOnce({});
+    prisma.idempotencyKey.findUnique.mockResolvedValue(stale);
+
+    await expect(
+      beginIdempotentRequest(SHOP, "r1", "hash-b"),
+    ).resolves.toBeNull();
+    // Koşullu silme: arada yenilenen anahtar silinmez
+    expect(prisma.idempotencyKey.deleteMany).toHaveBeenCalledWith({
+      where: { id: stale.id, updatedAt: stale.updatedAt },
+    });
+  });
+});
+
+describe("completeIdempotentRequest", () => {
+  it("başarılı yanıtı saklar", async () => {
+    await completeIdempotentRequest(
+      SHOP,
+      "r1",
+      new Response('{"success":true}', { status: 200 }),
+    );
+
+    expect(prisma.idempotencyKey.update).toHaveBeenCalledWith({
+      where: { shopDomain_requestId: { shopDomain: SHOP, requestId: "r1" } },
+      data: {
+        status: "completed",
+        statusCode: 200,
+        responseBody: '{"success":true}',
+      },
+    });
+  });
+
+  it("hatalı yanıtta anahtarı siler", async () => {
+    await completeIdempotentRequest(
+      SHOP,
+      "r1",
+      new Response("", { status: 400 }),
+    );
+
+    expect(prisma.idempotencyKey.update).not.toHaveBeenCalled();
+    expect(prisma.idempotencyKey.deleteMany).toHaveBeenCalledWith({
+      where: { shopDomain: SHOP, requestId: "r1" },
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// Yapılandırılmış JSON log. Her kayıt tek satırlık bir JSON nesnesidir:
+// { time, level, msg, requestId, shop, variantId, ...alanlar }.
+//
+// İstek bağlamı (requestId, shop, variantId) AsyncLocalStorage ile taşınır:
+// route `runWithLogContext` ile başlatır, `addLogContext` ile zenginleştirir;
+// aynı istekte çağrılan server modüllerinin logları bu alanları kendiliğinden
+// içerir. Token ve müşteri verileri yazılmadan önce maskelenir.
+//
+// Ortam değişkenleri:
+//   LOG_LEVEL       debug | info | warn | error (production'da info, aksi
+//                   halde debug)
+//   RESPONSE_DEBUG  "true" / "false": API yanıtlarındaki `debug` alanı
+//                   (production'da kapalı, aksi halde açık)
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const isProduction = process.env.NODE_ENV === "production";
+
+export const LOG_LEVEL =
+  process.env.LOG_LEVEL in LEVELS
+    ? process.env.LOG_LEVEL
+    : isProduction
+      ? "info"
+      : "debug";
+
+export const RESPONSE_DEBUG = process.env.RESPONSE_DEBUG
+  ? process.env.RESPONSE_DEBUG === "true"
+  : !isProduction;
+
+const REDACTED = "[REDACTED]";
+
+// Anahtar adı bu kalıba uyan alanlar maskelenir (büyük/küçük harf duyarsız)
+const SENSITIVE_KEY =
+  /token|secret|password|authorization|cookie|signature|hmac|email|phone|address|^(name|company|note|customer|customerId|customerNote|firstName|lastName)$/i;
+
+// Mesaj metinlerine karışmış değerler de maskelenir
+const SENSITIVE_VALUES = [
+  /shp(?:at|ca|pa|ss)_[A-Za-z0-9]+/g,
+  /[^\s@"'<>]+@[^\s@"'<>]+\.[^\s@"'<>]+/g,
+];
+
+const MAX_DEPTH = 6;
+
+const storage = new AsyncLocalStorage();
+
+function redactString(value) {
+  return SENSITIVE_VALUES.reduce(
+    (text, pattern) => text.replace(pattern, REDACTED),
+    value,
+  );
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: redactString(String(err.message)),
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.errorType && { errorType: err.errorType }),
+    stack: err.stack && redactString(err.stack),
+  };
+}
+
+/**
+ * Log alanlarını JSON'a uygun hale getirir: hassas anahtarları maskeler,
+ * Error nesnelerini açar, döngüleri ve çok derin nesneleri keser.
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") return redactString(value);
+  if (typeof value === "bigint") return String(value);
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH || seen.has(value)) return "[Truncated]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item != null
+        ? REDACTED
+        : redact(item, depth + 1, seen),
+    ]),
+  );
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const extra =
+    fields instanceof Error ? { err: fields } : fields ? fields : {};
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...storage.getStore(),
+    ...bindings,
+    ...extra,
+  });
+
+  const line = JSON.stringify(entry);
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * `bindings` her kayda eklenir. `fields` bir nesne veya doğrudan Error
+ * olabilir: log.error("...", err) kaydı `err` alanına yazar.
+ */
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+export const logger = createLogger();
+
+// İsteğin X-Request-Id başlığı, yoksa (veya istek dışında) yeni bir UUID
+export function correlationId(request) {
+  return request?.headers.get("X-Request-Id") || crypto.randomUUID();
+}
+
+/**
+ * `fn`'i yeni bir log bağlamında çalıştırır. Bağlam, içerideki tüm async
+ * çağrıların loglarına eklenir; iç içe bağlamlar dıştakini genişletir.
+ */
+export function runWithLogContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+// Bağlam sonradan öğrenilen alanlarla (requestId, shop, variantId) genişler
+export function addLogContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
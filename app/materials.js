@@ -0,0 +1,80 @@
+// Materyal kataloğu. Mağaza materyallerini admin panelinden yönetir
+// (app.materials.jsx); henüz kaydı olmayan mağazalar için aşağıdaki
+// varsayılanlar yazılır. Fiyat, ağırlık ve önizleme aynı kaydı kullanır.
+// Cart Transform fonksiyonu da kullandığı için saf tutulmalıdır.
+import { LocalizedError } from "./messages";
+
+// Eski sabit WEIGHT_PER_AREA ve önizleme renkleriyle aynı değerler
+export const DEFAULT_MATERIALS = [
+  {
+    key: "pamuk",
+    name: "Pamuk",
+    density: 0.15,
+    priceFactor: 1,
+    swatchColor: "#f3ede2",
+  },
+  {
+    key: "polyester",
+    name: "Polyester",
+    density: 0.12,
+    priceFactor: 1,
+    swatchColor: "#dfe6ee",
+  },
+  {
+    key: "keten",
+    name: "Keten",
+    density: 0.18,
+    priceFactor: 1,
+    swatchColor: "#d8c8a8",
+  },
+  {
+    key: "ipek",
+    name: "İpek",
+    density: 0.08,
+    priceFactor: 1,
+    swatchColor: "#e9d8e6",
+  },
+];
+
+// Küçük harf, rakam ve tire; Türkçe harfler serbest ("keçe", "ipek-saten")
+export const MATERIAL_KEY_PATTERN = /^[\p{Ll}\p{N}][\p{Ll}\p{N}-]*$/u;
+
+export const SWATCH_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export class MaterialError extends LocalizedError {
+  constructor(messageKey, params = {}) {
+    super(messageKey, params, "invalid_material");
+    this.name = "MaterialError";
+  }
+}
+
+// Liquid'in `downcase` filtresiyle aynı sonuç için yerel ayarsız küçültülür
+export function normalizeMaterialKey(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase();
+}
+
+export function findMaterial(materials, materyal) {
+  const key = normalizeMaterialKey(materyal);
+  return materials.find((material) => material.key === key) || null;
+}
+
+/**
+ * Storefront'tan gelen materyali katalogda arar. Bilinmeyen veya pasif
+ * materyalde MaterialError fırlatır; artık "default" değerine düşülmez.
+ */
+export function validateMaterial(materials, materyal) {
+  const material = findMaterial(materials, materyal);
+
+  if (!material) {
+    throw new MaterialError("material_unknown", {
+      material: normalizeMaterialKey(materyal),
+    });
+  }
+  if (!material.active) {
+    throw new MaterialError("material_inactive", { material: material.name });
+  }
+
+  return material;
+}
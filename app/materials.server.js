@@ -0,0 +1,65 @@
+// Mağaza başına materyal kataloğu. Doğrulamanın kendisi materials.js'te;
+// burada kayıtlar okunur ve ilk kullanımda varsayılanlar yazılır.
+import prisma from "./db.server";
+import { DEFAULT_MATERIALS } from "./materials";
+
+export * from "./materials";
+
+export function toMaterial(record) {
+  return {
+    id: record.id,
+    key: record.key,
+    name: record.name,
+    density: record.density,
+    priceFactor: record.priceFactor,
+    swatchColor: record.swatchColor,
+    swatchImageUrl: record.swatchImageUrl,
+    active: record.active,
+    position: record.position,
+  };
+}
+
+function findMaterials(shopDomain) {
+  return prisma.material.findMany({
+    where: { shopDomain },
+    orderBy: [{ position: "asc" }, { name: "asc" }],
+  });
+}
+
+/**
+ * Mağazanın tüm materyalleri (pasifler dahil), sıralı. Kaydı olmayan mağaza
+ * için eski sabit liste bir kez yazılır; böylece admin panelinde düzenlenebilir.
+ * Son materyal admin panelinden silinemez, yani liste bir daha boşalmaz.
+ */
+export async function getMaterials(shopDomain) {
+  let records = await findMaterials(shopDomain);
+
+  if (!records.length) {
+    // upsert: eşzamanlı ilk istekler aynı kaydı iki kez oluşturmaz
+    await prisma.$transaction(
+      DEFAULT_MATERIALS.map((material, position) =>
+        prisma.material.upsert({
+          where: { shopDomain_key: { shopDomain, key: material.key } },
+          create: { shopDomain, ...material, position },
+          update: {},
+        }),
+      ),
+    );
+    records = await findMaterials(shopDomain);
+  }
+
+  return records.map(toMaterial);
+}
+
+export async function getActiveMaterials(shopDomain) {
+  const materials = await getMaterials(shopDomain);
+  return materials.filter((material) => material.active);
+}
+
+// Cart Transform metafield'ı için aktif materyallerin fiyat çarpanları
+export async function buildMaterialPriceFactors(shopDomain) {
+  const materials = await getActiveMaterials(shopDomain);
+  return Object.fromEntries(
+    materials.map((material) => [material.key, material.priceFactor]),
+  );
+}
@@ -0,0 +1,219 @@
+// Storefront'a dönen mesajların kataloğu. Dil, storefront'un gönderdiği
+// `locale` parametresinden veya Accept-Language başlığından seçilir; bilinmeyen
+// diller varsayılana (tr) düşer. `errorType` kodları dilden bağımsızdır.
+// Fiyat motoru ve ölçü kuralları da kullandığı için saf tutulmalıdır.
+
+export const DEFAULT_LOCALE = "tr";
+
+const MESSAGES = {
+  tr: {
+    session_not_found:
+      "Sistem hatası: Oturum bulunamadı. Lütfen sayfayı yenileyin.",
+    system_error: "Sistem hatası: Lütfen daha sonra tekrar deneyin.",
+    missing_fields: "Eksik bilgi: Lütfen tüm alanları doldurun.",
+    missing_product_id: "Eksik bilgi: productId gereklidir.",
+    method_not_allowed: "Bu istek yöntemi desteklenmiyor.",
+    product_not_found: "Ürün bilgileri alınamadı. Lütfen sayfayı yenileyin.",
+    timeout: "İstek zaman aşımına uğradı. Lütfen tekrar deneyin.",
+    creation_timeout:
+      "Ürün oluşturma zaman aşımına uğradı. Lütfen tekrar deneyin.",
+    creation_failed: "Ürün oluşturulurken bir hata oluştu.",
+    price_mismatch: "Fiyat değişti. Lütfen sayfayı yenileyip tekrar deneyin.",
+    material_unknown: "Bu materyal bulunamadı: {material}",
+    material_inactive: "Bu materyal şu anda satışta değil: {material}",
+    attribute_invalid_format: "Geçersiz çerçeve seçenekleri.",
+    attribute_unknown: "Bilinmeyen çerçeve seçeneği: {attribute}",
+    attribute_required: "{label} seçilmelidir.",
+    attribute_invalid: "{label} için geçersiz seçim.",
+    attribute_too_small: "{label} en az {limit} cm olmalıdır.",
+    attribute_too_large: "{label} en fazla {limit} cm olabilir.",
+    attribute_step: "{label} {limit} cm'nin katı olmalıdır.",
+    attribute_border_too_wide:
+      "{label} çerçevenin kısa kenarının yarısından küçük olmalıdır.",
+    invalid_price_format: "Geçersiz fiyat formatı",
+    price_too_low: "Fiyat en az {min} olmalıdır",
+    price_too_high: "Fiyat en fazla {max} olabilir",
+    formula_error: "Fiyat hesaplanamadı. Lütfen mağazayla iletişime geçin.",
+    invalid_quote: "Geçersiz fiyat teklifi.",
+    quote_expired:
+      "Fiyat teklifinin süresi doldu. Lütfen fiyatı yeniden hesaplayın.",
+    quote_mismatch:
+      "Fiyat teklifi seçilen ölçülerle eşleşmiyor. Lütfen fiyatı yeniden hesaplayın.",
+    duplicate: "İşlem zaten devam ediyor. Lütfen bekleyin...",
+    request_mismatch:
+      "Bu istek kimliği farklı bir ürün seçimiyle kullanılmış. Lütfen sayfayı yenileyip tekrar deneyin.",
+    lock_timeout:
+      "Aynı ölçü için başka bir işlem sürüyor. Lütfen tekrar deneyin.",
+    rate_limited:
+      "Çok fazla istek gönderildi. Lütfen {seconds} saniye sonra tekrar deneyin.",
+    ready_for_cart: "Ürün sepete eklenmeye hazır",
+    existing_variant_used: "Mevcut ürün kullanıldı",
+    variant_created: "Yeni ürün oluşturuldu",
+    custom_product_missing_fields:
+      "Eksik parametreler: baseVariantId, boy, en ve materyal gerekli",
+    quote_request_failed:
+      "Teklif talebi gönderilemedi. Lütfen daha sonra tekrar deneyin.",
+    quote_request_created:
+      "Teklif talebiniz alındı. Onaylandığında size haber vereceğiz.",
+    quote_request_contact_required:
+      "Teklif için e-posta adresi gereklidir veya giriş yapmalısınız.",
+    quote_request_invalid_email: "Geçerli bir e-posta adresi girin.",
+    quote_request_invalid_quantity: "Adet 1 ile {max} arasında olmalıdır.",
+    quote_request_not_found: "Teklif talebi bulunamadı.",
+    field_boy: "Boy",
+    field_en: "En",
+    dimension_required: "{label} girilmelidir.",
+    dimension_invalid: "{label} geçerli bir sayı olmalıdır.",
+    dimension_precision: "{label} {limit} hassasiyetinde girilmelidir.",
+    dimension_too_small: "{label} en az {limit} olmalıdır.",
+    dimension_too_large: "{label} en fazla {limit} olabilir.",
+    dimension_step: "{label} {limit}'lik adımlarla girilmelidir.",
+    dimension_unit: "Bu ölçü birimi desteklenmiyor: {unit}",
+    dimension_aspect_ratio:
+      "Uzun kenar kısa kenarın en fazla {limit} katı olabilir.",
+    dimension_area: "Alan en fazla {limit} olabilir.",
+  },
+  en: {
+    session_not_found:
+      "System error: Session not found. Please refresh the page.",
+    system_error: "System error: Please try again later.",
+    missing_fields: "Missing information: Please fill in all fields.",
+    missing_product_id: "Missing information: productId is required.",
+    method_not_allowed: "This request method is not supported.",
+    product_not_found:
+      "Product details could not be loaded. Please refresh the page.",
+    timeout: "The request timed out. Please try again.",
+    creation_timeout: "Creating the product timed out. Please try again.",
+    creation_failed: "Something went wrong while creating the product.",
+    price_mismatch:
+      "The price has changed. Please refresh the page and try again.",
+    material_unknown: "Unknown material: {material}",
+    material_inactive: "This material is currently unavailable: {material}",
+    attribute_invalid_format: "Invalid frame options.",
+    attribute_unknown: "Unknown frame option: {attribute}",
+    attribute_required: "Please choose a {label}.",
+    attribute_invalid: "Invalid choice for {label}.",
+    attribute_too_small: "{label} must be at least {limit} cm.",
+    attribute_too_large: "{label} can be at most {limit} cm.",
+    attribute_step: "{label} must be a multiple of {limit} cm.",
+    attribute_border_too_wide:
+      "{label} must be less than half of the frame's shorter side.",
+    invalid_price_format: "Invalid price format",
+    price_too_low: "The price must be at least {min}",
+    price_too_high: "The price can be at most {max}",
+    formula_error:
+      "The price could not be calculated. Please contact the shop.",
+    invalid_quote: "Invalid price quote.",
+    quote_expired: "The price quote has expired. Please recalculate the price.",
+    quote_mismatch:
+      "The price quote does not match the selected size. Please recalculate the price.",
+    duplicate: "Your request is already being processed. Please wait...",
+    request_mismatch:
+      "This request ID was already used with a different selection. Please refresh the page and try again.",
+    lock_timeout:
+      "Another request for the same size is in progress. Please try again.",
+    rate_limited: "Too many requests. Please try again in {seconds} seconds.",
+    ready_for_cart: "The product is ready to be added to the cart",
+    existing_variant_used: "Existing product used",
+    variant_created: "New product created",
+    custom_product_missing_fields:
+      "Missing parameters: baseVariantId, boy, en and materyal are required",
+    quote_request_failed:
+      "The quote request could not be sent. Please try again later.",
+    quote_request_created:
+      "Your quote request has been received. We will let you know once it is approved.",
+    quote_request_contact_required:
+      "Please enter an email address or log in to request a quote.",
+    quote_request_invalid_email: "Please enter a valid email address.",
+    quote_request_invalid_quantity: "The quantity must be between 1 and {max}.",
+    quote_request_not_found: "Quote request not found.",
+    field_boy: "Height",
+    field_en: "Width",
+    dimension_required: "{label} is required.",
+    dimension_invalid: "{label} must be a number.",
+    dimension_precision: "{label} must be a multiple of {limit}.",
+    dimension_too_small: "{label} must be at least {limit}.",
+    dimension_too_large: "{label} can be at most {limit}.",
+    dimension_step: "{label} must be entered in steps of {limit}.",
+    dimension_unit: "This unit is not supported: {unit}",
+    dimension_aspect_ratio:
+      "The long side can be at most {limit} times the short side.",
+    dimension_area: "The area can be at most {limit}.",
+  },
+};
+
+export const LOCALES = Object.keys(MESSAGES);
+
+// "en-US", "EN", "tr-TR" -> desteklenen dil kodu; yoksa null
+function matchLocale(value) {
+  const language = String(value || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * İsteğin dilini seçer: önce açık `locale` parametresi, sonra
+ * Accept-Language sırası, en son varsayılan dil.
+ */
+export function resolveLocale(request, params) {
+  const explicit = matchLocale(params?.get?.("locale"));
+  if (explicit) return explicit;
+
+  const accepted = String(request?.headers?.get("Accept-Language") || "")
+    .split(",")
+    .map((part) => part.split(";")[0]);
+  for (const candidate of accepted) {
+    const locale = matchLocale(candidate);
+    if (locale) return locale;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+export function translate(locale, key, params = {}) {
+  const template =
+    MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match,
+  );
+}
+
+export function createTranslator(locale) {
+  return (key, params) => translate(locale, key, params);
+}
+
+/**
+ * Tutarı mağaza para birimiyle, isteğin dilinde biçimlendirir
+ * (ör. tr + TRY -> "₺1.250,00", en + USD -> "$1,250.00").
+ */
+export function formatPrice(amount, currencyCode, locale = DEFAULT_LOCALE) {
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: currencyCode,
+    }).format(amount);
+  } catch {
+    // Geçersiz/bilinmeyen para birimi kodu
+    return `${Number(amount).toFixed(2)} ${currencyCode}`;
+  }
+}
+
+/**
+ * Mesajı katalogdan gelen hatalar için ortak taban. `message` loglar için
+ * varsayılan dildedir; yanıtlarda `localize(locale)` kullanılır.
+ */
+export class LocalizedError extends Error {
+  constructor(messageKey, params = {}, errorType = "system_error") {
+    super(translate(DEFAULT_LOCALE, messageKey, params));
+    this.name = "LocalizedError";
+    this.messageKey = messageKey;
+    this.params = params;
+    this.errorType = errorType;
+  }
+
+  localize(locale) {
+    return translate(locale, this.messageKey, this.params);
+  }
+}
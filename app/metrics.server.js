@@ -0,0 +1,288 @@
+// Prometheus metrikleri (text exposition format 0.0.4). /metrics route'u
+// (routes/metrics.js) METRICS_TOKEN ile korunur.
+//
+// Sayaçlar ve histogramlar süreç belleğindedir: web sürecinin sepete ekleme ve
+// Admin API ölçümlerini gösterir. Cleanup worker ayrı bir süreç olduğundan
+// cleanup metrikleri her istekte veritabanından (cleanup_logs ve
+// temporary_products) okunur. Log sayıları mağaza verisi silinince azalır,
+// bu yüzden sayaç değil son 24 saatin gauge'larıdır.
+import crypto from "node:crypto";
+import prisma from "./db.server";
+import {
+  CLEANUP_STATUS,
+  countDeadLetters,
+  dueForCleanupWhere,
+} from "./cleanupJobs.server";
+
+// Tanımlı değilse /metrics kapalıdır
+export const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`,
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+// Etiket değerleri tanımlı etiket adlarıyla sınırlanır; eksikler "" olur
+function labelValues(labelNames, labels = {}) {
+  return Object.fromEntries(
+    labelNames.map((name) => [name, labels[name] ?? ""]),
+  );
+}
+
+function header(name, type, help) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels, value = 1) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const current = series.get(key) || { labels: values, value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render() {
+      return [
+        ...header(name, "counter", help),
+        ...[...series.values()].map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${formatValue(value)}`,
+        ),
+      ];
+    },
+  };
+  // Etiketsiz sayaç ilk artıştan önce de 0 olarak görünür
+  if (!labelNames.length) metric.inc({}, 0);
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const current = series.get(key) || {
+        labels: values,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    },
+    render() {
+      const lines = header(name, "histogram", help);
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(
+            `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`,
+          );
+        });
+        lines.push(
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        );
+      }
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// outcome: created | reused | line_item (varyantsız mod) | replayed | error
+export const addToCartRequests = counter(
+  "frame_add_to_cart_requests_total",
+  "Add-to-cart responses by outcome and errorType.",
+  ["outcome", "error_type"],
+);
+
+export const addToCartDuration = histogram(
+  "frame_add_to_cart_duration_seconds",
+  "Add-to-cart request duration in seconds.",
+  ["outcome"],
+);
+
+export const variantReadyExhausted = counter(
+  "frame_variant_ready_retries_exhausted_total",
+  "New variants whose price was not confirmed before the readiness retries ran out.",
+);
+
+// Kova deposuna erişilemediği için sınırsız geçirilen istekler
+export const rateLimitFailOpen = counter(
+  "frame_rate_limit_fail_open_total",
+  "Requests let through without rate limiting because the bucket store failed.",
+  ["policy"],
+);
+
+// status: ok | error | throttled (throttle sonrası tekrar denenen istekler)
+export const adminApiDuration = histogram(
+  "frame_admin_api_request_duration_seconds",
+  "Shopify Admin GraphQL request duration in seconds by operation.",
+  ["operation", "status"],
+);
+
+/**
+ * Sepete ekleme sonucunu kaydeder. `outcome` yanıtı üreten koldan gelir
+ * (kayıtlı yanıt tekrarı, yeni varyant, mevcut varyant veya varyantsız mod
+ * satırı); yoksa istek `errorType`'lı bir hatadır.
+ */
+export function recordAddToCart({ outcome, errorType }, durationSeconds) {
+  const label = outcome || "error";
+
+  addToCartRequests.inc({
+    outcome: label,
+    error_type: outcome ? "" : errorType || "unknown",
+  });
+  addToCartDuration.observe({ outcome: label }, durationSeconds);
+}
+
+function sampleLines(name, type, help, samples) {
+  return [
+    ...header(name, type, help),
+    ...samples.map(
+      ({ labels = {}, value }) =>
+        `${name}${formatLabels(labels)} ${formatValue(value)}`,
+    ),
+  ];
+}
+
+const CLEANUP_DELETION_ACTIONS = ["deleted", "archived"];
+const CLEANUP_ERROR_ACTIONS = ["error", "dead_letter"];
+
+const CLEANUP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+async function collectCleanupMetrics(now = new Date()) {
+  const logCounts = await prisma.cleanupLog.groupBy({
+    by: ["action"],
+    where: {
+      action: { in: [...CLEANUP_DELETION_ACTIONS, ...CLEANUP_ERROR_ACTIONS] },
+      createdAt: { gte: new Date(now.getTime() - CLEANUP_WINDOW_MS) },
+    },
+    _count: true,
+  });
+  const countOf = (action) =>
+    logCounts.find((row) => row.action === action)?._count || 0;
+
+  const [due, retryWait, deadLetter, oldestDue] = await Promise.all([
+    prisma.temporaryProduct.count({
+      where: { scheduledDeletionAt: { lte: now }, ...dueForCleanupWhere(now) },
+    }),
+    prisma.temporaryProduct.count({
+      where: {
+        deletedAt: null,
+        isOrdered: false,
+        cleanupStatus: CLEANUP_STATUS.PENDING,
+        scheduledDeletionAt: { lte: now },
+        nextCleanupAt: { gt: now },
+      },
+    }),
+    countDeadLetters(),
+    prisma.temporaryProduct.findFirst({
+      where: { scheduledDeletionAt: { lte: now }, ...dueForCleanupWhere(now) },
+      select: { scheduledDeletionAt: true },
+      orderBy: { scheduledDeletionAt: "asc" },
+    }),
+  ]);
+
+  return [
+    ...sampleLines(
+      "frame_cleanup_deletions_last_24h",
+      "gauge",
+      "Temporary variants and custom products removed by cleanup in the last 24 hours, from cleanup_logs.",
+      CLEANUP_DELETION_ACTIONS.map((action) => ({
+        labels: { action },
+        value: countOf(action),
+      })),
+    ),
+    ...sampleLines(
+      "frame_cleanup_errors_last_24h",
+      "gauge",
+      "Failed cleanup attempts and items moved to dead letter in the last 24 hours, from cleanup_logs.",
+      CLEANUP_ERROR_ACTIONS.map((type) => ({
+        labels: { type },
+        value: countOf(type),
+      })),
+    ),
+    ...sampleLines(
+      "frame_cleanup_backlog",
+      "gauge",
+      "Items past their deletion time, by cleanup state.",
+      [
+        { labels: { state: "due" }, value: due },
+        { labels: { state: "retry_wait" }, value: retryWait },
+        { labels: { state: "dead_letter" }, value: deadLetter },
+      ],
+    ),
+    ...sampleLines(
+      "frame_cleanup_oldest_due_seconds",
+      "gauge",
+      "Seconds since the oldest due item should have been cleaned up.",
+      [
+        {
+          value: oldestDue
+            ? Math.max(
+                0,
+                Math.round(
+                  (now.getTime() - oldestDue.scheduledDeletionAt.getTime()) /
+                    1000,
+                ),
+              )
+            : 0,
+        },
+      ],
+    ),
+  ];
+}
+
+export async function renderMetrics() {
+  const lines = [
+    ...metrics.flatMap((metric) => metric.render()),
+    ...(await collectCleanupMetrics()),
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+// "Authorization: Bearer <METRICS_TOKEN>" sabit zamanlı karşılaştırılır
+export function scrapeAuthorized(request) {
+  const [scheme, token] = String(
+    request.headers.get("Authorization") || "",
+  ).split(" ");
+  if (!METRICS_TOKEN || scheme !== "Bearer" || !token) return false;
+
+  const expected = Buffer.from(METRICS_TOKEN);
+  const actual = Buffer.from(token);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
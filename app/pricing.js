@@ -0,0 +1,208 @@
+// Fiyat hesaplama fonksiyonları. Hem sunucuda (pricing.server.js) hem de
+// admin panelindeki canlı önizlemede kullanıldığı için saf tutulmalıdır.
+import { LocalizedError } from "./messages";
+import { evaluateFormula, FormulaError } from "./pricingFormula";
+
+export const MIN_PRICE = 0.01;
+export const MAX_PRICE = 999999.99;
+
+// İstemci fiyatı ile sunucu fiyatı arasındaki kabul edilebilir fark
+export const PRICE_TOLERANCE = 0.01;
+
+export const DEFAULT_PRICING_RULE = {
+  pricePerCm2: 0.05,
+  minimumCharge: 100,
+  materialMultipliers: {
+    pamuk: 1,
+    polyester: 0.9,
+    keten: 1.2,
+    ipek: 1.6,
+    default: 1,
+  },
+  // Fiyat bu adımın katına yukarı yuvarlanır (0.01 = kuruş hassasiyeti)
+  rounding: 0.01,
+  // Doluysa fiyat bu ifadeyle hesaplanır (app/pricingFormula.js)
+  formula: null,
+};
+
+// Materyal kaydı bulunamadığında (ör. eski siparişler) kullanılan yoğunluk, g/cm²
+export const DEFAULT_DENSITY = 0.15;
+
+export class PricingError extends LocalizedError {
+  constructor(messageKey, params = {}, errorType = "invalid_price") {
+    super(messageKey, params, errorType);
+    this.name = "PricingError";
+  }
+}
+
+function roundToCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundUpToStep(value, step) {
+  if (!step || step <= 0) return roundToCents(value);
+
+  // Kayan nokta hatalarını (ör. 12.000000001) yukarı taşımamak için
+  // bölümü önce kuruş hassasiyetine indiriyoruz.
+  const steps = Math.ceil(Math.round((value / step) * 1e6) / 1e6);
+  return roundToCents(steps * step);
+}
+
+export function validatePrice(price) {
+  const numPrice = parseFloat(String(price));
+
+  if (isNaN(numPrice)) {
+    throw new PricingError("invalid_price_format");
+  }
+
+  if (numPrice < MIN_PRICE) {
+    throw new PricingError("price_too_low", { min: MIN_PRICE });
+  }
+
+  if (numPrice > MAX_PRICE) {
+    throw new PricingError("price_too_high", { max: MAX_PRICE });
+  }
+
+  return roundToCents(numPrice);
+}
+
+export function getMaterialMultiplier(materyal, rule = DEFAULT_PRICING_RULE) {
+  const multipliers = rule.materialMultipliers || {};
+  const key = String(materyal || "").toLowerCase();
+
+  return multipliers[key] ?? multipliers.default ?? 1;
+}
+
+// Formülde seçenek başına değişkenler: charge_profile, value_matWidth
+function attributeVariables(attributeCharges) {
+  return Object.fromEntries(
+    attributeCharges.flatMap(({ key, value, charge }) => [
+      [`charge_${key}`, charge],
+      ...(typeof value === "number" ? [[`value_${key}`, value]] : []),
+    ]),
+  );
+}
+
+// Kuralın formülüyle hesap; dökümde kullanılan değişkenler ve ara sonuçlar yer alır
+function calculateFormulaPrice(rule, variables, breakdown) {
+  let result;
+  try {
+    result = evaluateFormula(rule.formula, variables);
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    throw new PricingError("formula_error", { reason: err.message });
+  }
+
+  const subtotal = roundToCents(result.value);
+  const total = validatePrice(roundUpToStep(subtotal, rule.rounding));
+
+  return {
+    price: total,
+    breakdown: {
+      ...breakdown,
+      formula: rule.formula,
+      variables: result.variables,
+      steps: result.steps,
+      subtotal,
+      rounding: rule.rounding,
+      total,
+    },
+  };
+}
+
+/**
+ * Boy, en, materyal ve base variant fiyatından nihai fiyatı hesaplar.
+ * `priceFactor` materyal kataloğundaki mağaza geneli çarpandır; ürün
+ * kuralındaki materyal çarpanıyla birlikte uygulanır. `attributeCharges`
+ * ek çerçeve seçeneklerinin ücretleridir (calculateAttributeCharges().items);
+ * materyal çarpanından etkilenmez. Kuralda `formula` varsa fiyatı o belirler.
+ * Dönen `breakdown` yanıtlarda aynen gösterilir.
+ */
+export function calculatePrice(
+  { boy, en, materyal, basePrice = 0, priceFactor = 1, attributeCharges = [] },
+  rule = DEFAULT_PRICING_RULE,
+) {
+  // Ölçüler kesirli olabilir (mm, inç); alan kayan nokta artıklarından arındırılır
+  const area = roundToCents(boy * en);
+  const perimeter = roundToCents(2 * (boy + en));
+  const base = parseFloat(String(basePrice)) || 0;
+  const materialMultiplier =
+    Math.round(getMaterialMultiplier(materyal, rule) * priceFactor * 1e4) / 1e4;
+  const attributes = attributeCharges.map(({ key, value, charge }) => ({
+    key,
+    value,
+    charge,
+  }));
+  const attributeCharge = roundToCents(
+    attributeCharges.reduce((sum, item) => sum + item.charge, 0),
+  );
+
+  if (rule.formula) {
+    return calculateFormulaPrice(
+      rule,
+      {
+        boy,
+        en,
+        area,
+        perimeter,
+        basePrice: base,
+        pricePerCm2: rule.pricePerCm2,
+        minimumCharge: rule.minimumCharge,
+        materialFactor: materialMultiplier,
+        attributeCharge,
+        ...attributeVariables(attributeCharges),
+      },
+      {
+        area,
+        perimeter,
+        basePrice: base,
+        pricePerCm2: rule.pricePerCm2,
+        materialMultiplier,
+        attributes,
+        attributeCharge,
+        minimumCharge: rule.minimumCharge,
+      },
+    );
+  }
+
+  const areaCharge = roundToCents(area * rule.pricePerCm2 * materialMultiplier);
+  const subtotal = roundToCents(base + areaCharge + attributeCharge);
+  const minimumApplied = subtotal < rule.minimumCharge;
+  const beforeRounding = minimumApplied ? rule.minimumCharge : subtotal;
+  const total = validatePrice(roundUpToStep(beforeRounding, rule.rounding));
+
+  return {
+    price: total,
+    breakdown: {
+      area,
+      basePrice: base,
+      pricePerCm2: rule.pricePerCm2,
+      materialMultiplier,
+      areaCharge,
+      attributes,
+      attributeCharge,
+      subtotal,
+      minimumCharge: rule.minimumCharge,
+      minimumApplied,
+      rounding: rule.rounding,
+      total,
+    },
+  };
+}
+
+export function pricesMatch(a, b) {
+  return Math.abs(a - b) < PRICE_TOLERANCE;
+}
+
+// Gram cinsinden; yoğunluk materyal kaydından gelir (g/cm²).
+// `extraWeight` ek çerçeve seçeneklerinin ağırlığıdır (g).
+export function calculateWeight(
+  boy,
+  en,
+  density = DEFAULT_DENSITY,
+  extraWeight = 0,
+) {
+  const calculatedWeight = boy * en * density + extraWeight;
+
+  return Math.max(50, Math.min(50000, Math.round(calculatedWeight)));
+}
@@ -0,0 +1,80 @@
+// Sunucu tarafı fiyat motoru. Storefront'tan gelen fiyat yalnızca
+// karşılaştırma içindir; sepete giden fiyat her zaman burada hesaplanır.
+import prisma from "./db.server";
+import { DEFAULT_DIMENSION_RULE, toDimensionRule } from "./dimensions.server";
+import { getFrameAttributes } from "./frameAttributes";
+import { buildMaterialPriceFactors } from "./materials.server";
+import { DEFAULT_PRICING_RULE } from "./pricing";
+import { getShopSettings } from "./shopSettings.server";
+import { getUnitSettings } from "./units";
+
+export * from "./pricing";
+
+// "override": istemci fiyatı farklıysa sunucu fiyatı kullanılır
+// "reject": istemci fiyatı farklıysa istek reddedilir
+export const PRICE_MISMATCH_POLICY =
+  process.env.PRICE_MISMATCH_POLICY === "reject" ? "reject" : "override";
+
+export function toPricingRule(record) {
+  if (!record) return DEFAULT_PRICING_RULE;
+
+  return {
+    pricePerCm2: record.pricePerCm2,
+    minimumCharge: record.minimumCharge,
+    materialMultipliers: {
+      ...DEFAULT_PRICING_RULE.materialMultipliers,
+      ...(record.materialMultipliers || {}),
+    },
+    rounding: record.rounding,
+    formula: record.formula || null,
+  };
+}
+
+// Base ürün için mağazanın tanımladığı kuralı, yoksa varsayılanı döndürür.
+export async function getPricingRule(shopDomain, productId) {
+  if (!shopDomain || !productId) return DEFAULT_PRICING_RULE;
+
+  const record = await prisma.pricingRule.findUnique({
+    where: {
+      shopDomain_productId: {
+        shopDomain,
+        productId: String(productId),
+      },
+    },
+  });
+
+  return toPricingRule(record);
+}
+
+// Cart Transform fonksiyonunun metafield üzerinden okuduğu kural seti.
+// `materials` yalnızca aktif materyalleri içerir; diğerleri fiyatlanmaz.
+// `attributes` ek çerçeve seçeneklerinin fiyatlı şemasıdır. `dimensions` ve
+// `units` ile fonksiyon, api.add-to-cart'ın uyguladığı ölçü kurallarını
+// yeniden kontrol eder; kurala uymayan satır fiyatlanmaz.
+export async function buildPricingConfig(shopDomain) {
+  const [records, dimensionRecords, materials, settings] = await Promise.all([
+    prisma.pricingRule.findMany({ where: { shopDomain } }),
+    prisma.dimensionRule.findMany({ where: { shopDomain } }),
+    buildMaterialPriceFactors(shopDomain),
+    getShopSettings(shopDomain),
+  ]);
+
+  return {
+    default: DEFAULT_PRICING_RULE,
+    materials,
+    attributes: getFrameAttributes(settings),
+    rules: Object.fromEntries(
+      records.map((record) => [record.productId, toPricingRule(record)]),
+    ),
+    dimensions: {
+      default: DEFAULT_DIMENSION_RULE,
+      rules: Object.fromEntries(
+        dimensionRecords.map((record) => [
+          record.productId,
+          toDimensionRule(record),
+        ]),
+      ),
+    },
+    units: getUnitSettings(settings),
+  };
+}
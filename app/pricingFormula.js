@@ -0,0 +1,372 @@
+// Fiyat formülü motoru. Mağaza, ürün kuralında fiyatı çevre, alan, sabit
+// bileşenler, materyal çarpanı ve seçenek ücretlerinden bir ifadeyle kurar:
+//   max(perimeter * 0.12 * materialFactor + area * 0.01 + 25, minimumCharge)
+// İfade eval/Function ile değil, buradaki ayrıştırıcıyla çalıştırılır; yalnızca
+// sayılar, aşağıdaki değişkenler ve FUNCTIONS'taki fonksiyonlar kullanılabilir.
+// Cart Transform fonksiyonu da kullandığı için saf tutulmalıdır.
+
+export const MAX_FORMULA_LENGTH = 500;
+const MAX_DEPTH = 20;
+const MAX_STEPS = 40;
+
+// Admin panelindeki yardım metni de bu listeden üretilir
+export const FORMULA_VARIABLES = {
+  boy: "Height in cm",
+  en: "Width in cm",
+  area: "Height × width in cm²",
+  perimeter: "2 × (height + width) in cm",
+  basePrice: "Price of the base variant",
+  pricePerCm2: "The rule's price per cm²",
+  minimumCharge: "The rule's minimum charge",
+  materialFactor:
+    "The rule's material multiplier × the material's price factor",
+  attributeCharge: "Sum of all frame attribute surcharges",
+};
+
+// charge_<anahtar>: tek bir seçeneğin ücreti, value_<anahtar>: sayısal
+// seçeneğin değeri (ör. value_matWidth). Seçilmemişse 0.
+export const ATTRIBUTE_VARIABLE_PREFIXES = ["charge_", "value_"];
+
+export const DEFAULT_FORMULA =
+  "max(basePrice + area * pricePerCm2 * materialFactor + attributeCharge, minimumCharge)";
+
+// Adım (step) verilirse o adımın katına yuvarlar: ceil(perimeter, 10)
+function toStep(fn) {
+  return (value, step = 1) => {
+    if (!(step > 0)) throw new FormulaError("The rounding step must be > 0");
+    return fn(value / step) * step;
+  };
+}
+
+const FUNCTIONS = {
+  min: { arity: [1, Infinity], fn: (...args) => Math.min(...args) },
+  max: { arity: [1, Infinity], fn: (...args) => Math.max(...args) },
+  abs: { arity: [1, 1], fn: Math.abs },
+  round: { arity: [1, 2], fn: toStep(Math.round) },
+  ceil: { arity: [1, 2], fn: toStep(Math.ceil) },
+  floor: { arity: [1, 2], fn: toStep(Math.floor) },
+  // if(koşul, doğruysa, yanlışsa); karşılaştırmalar 1 veya 0 döndürür.
+  // Yalnızca seçilen dal hesaplanır (bkz. evaluateFormula).
+  if: { arity: [3, 3], fn: null },
+};
+
+const COMPARISONS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+const ARITHMETIC = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+};
+
+// Mesajlar admin panelinde gösterildiği için İngilizcedir; storefront'a
+// PricingError("formula_error") olarak çevrilir.
+export class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at ${position + 1})`);
+    this.name = "FormulaError";
+    this.position = position;
+  }
+}
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|[-+*/(),<>]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      if (!source.slice(start).trim()) break;
+      throw new FormulaError("Unexpected character", start);
+    }
+
+    const position =
+      match.index + match[0].length - match[0].trimStart().length;
+    if (match[1]) {
+      tokens.push({ type: "number", value: Number(match[1]), position });
+    } else if (match[2]) {
+      tokens.push({ type: "name", value: match[2], position });
+    } else {
+      tokens.push({ type: "op", value: match[3], position });
+    }
+  }
+
+  return tokens;
+}
+
+// Öncelik: karşılaştırma < toplama/çıkarma < çarpma/bölme < tekli eksi
+function parseTokens(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new FormulaError(`Expected "${value}"`, peek()?.position ?? null);
+    }
+    index++;
+  };
+
+  function comparison(depth) {
+    const left = additive(depth);
+    const op = peek()?.value;
+    if (peek()?.type === "op" && COMPARISONS[op]) {
+      index++;
+      return { type: "compare", op, left, right: additive(depth) };
+    }
+    return left;
+  }
+
+  function additive(depth) {
+    let node = multiplicative(depth);
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op, left: node, right: multiplicative(depth) };
+    }
+    return node;
+  }
+
+  function multiplicative(depth) {
+    let node = unary(depth);
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op, left: node, right: unary(depth) };
+    }
+    return node;
+  }
+
+  function unary(depth) {
+    if (depth > MAX_DEPTH) {
+      throw new FormulaError("The formula is nested too deeply");
+    }
+    if (isOp("-")) {
+      index++;
+      return { type: "negate", operand: unary(depth + 1) };
+    }
+    return primary(depth);
+  }
+
+  function primary(depth) {
+    const token = tokens[index++];
+    if (!token) throw new FormulaError("The formula ends unexpectedly");
+
+    if (token.type === "number") {
+      return { type: "number", value: token.value };
+    }
+
+    if (token.type === "name") {
+      if (!isOp("(")) return { type: "variable", name: token.value };
+
+      const definition = hasOwn(FUNCTIONS, token.value)
+        ? FUNCTIONS[token.value]
+        : null;
+      if (!definition) {
+        throw new FormulaError(
+          `Unknown function "${token.value}"`,
+          token.position,
+        );
+      }
+      index++;
+      const args = [];
+      if (!isOp(")")) {
+        do {
+          if (args.length) index++;
+          args.push(comparison(depth + 1));
+        } while (isOp(","));
+      }
+      expect(")");
+
+      const [least, most] = definition.arity;
+      if (args.length < least || args.length > most) {
+        throw new FormulaError(
+          `Wrong number of arguments for ${token.value}()`,
+          token.position,
+        );
+      }
+      return { type: "call", name: token.value, args };
+    }
+
+    if (token.value === "(") {
+      const node = comparison(depth + 1);
+      expect(")");
+      return { type: "group", node };
+    }
+
+    throw new FormulaError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  const root = comparison(0);
+  if (index < tokens.length) {
+    throw new FormulaError(
+      `Unexpected "${tokens[index].value}"`,
+      tokens[index].position,
+    );
+  }
+  return root;
+}
+
+// "constructor" gibi miras alınan adlar fonksiyon veya değişken sayılmaz
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+const CACHE_LIMIT = 100;
+const cache = new Map();
+
+// Ayrıştırılmış formül önbelleğe alınır; Cart Transform her satırda çağırır
+export function parseFormula(source) {
+  const text = String(source ?? "").trim();
+  if (!text) throw new FormulaError("Enter a formula");
+  if (text.length > MAX_FORMULA_LENGTH) {
+    throw new FormulaError(
+      `The formula can be at most ${MAX_FORMULA_LENGTH} characters`,
+    );
+  }
+
+  if (!cache.has(text)) {
+    if (cache.size >= CACHE_LIMIT) cache.clear();
+    cache.set(text, parseTokens(tokenize(text)));
+  }
+  return cache.get(text);
+}
+
+function isAttributeVariable(name) {
+  return ATTRIBUTE_VARIABLE_PREFIXES.some(
+    (prefix) => name.startsWith(prefix) && name.length > prefix.length,
+  );
+}
+
+function collectVariables(node, names = new Set()) {
+  switch (node.type) {
+    case "variable":
+      names.add(node.name);
+      break;
+    case "binary":
+    case "compare":
+      collectVariables(node.left, names);
+      collectVariables(node.right, names);
+      break;
+    case "negate":
+      collectVariables(node.operand, names);
+      break;
+    case "group":
+      collectVariables(node.node, names);
+      break;
+    case "call":
+      node.args.forEach((arg) => collectVariables(arg, names));
+      break;
+  }
+  return names;
+}
+
+/**
+ * Admin panelinde kaydetmeden önce formülü denetler: sözdizimi ve
+ * değişken adları. Geçerliyse null, değilse İngilizce hata metni döndürür.
+ */
+export function validateFormula(source) {
+  try {
+    const unknown = [...collectVariables(parseFormula(source))].find(
+      (name) => !hasOwn(FORMULA_VARIABLES, name) && !isAttributeVariable(name),
+    );
+    return unknown ? `Unknown variable "${unknown}"` : null;
+  } catch (err) {
+    if (err instanceof FormulaError) return err.message;
+    throw err;
+  }
+}
+
+// Ağacı okunabilir ifadeye çevirir (adım adım dökümde kullanılır)
+export function formatFormula(node) {
+  switch (node.type) {
+    case "number":
+      return String(node.value);
+    case "variable":
+      return node.name;
+    case "negate":
+      return `-${formatFormula(node.operand)}`;
+    case "group":
+      return `(${formatFormula(node.node)})`;
+    case "call":
+      return `${node.name}(${node.args.map(formatFormula).join(", ")})`;
+    default:
+      return `${formatFormula(node.left)} ${node.op} ${formatFormula(node.right)}`;
+  }
+}
+
+function roundValue(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+/**
+ * Formülü verilen değişkenlerle hesaplar. `steps` ara sonuçlardır
+ * ([{ expression: "area * pricePerCm2", value: 60 }, ...]); değişkenler ve
+ * sabitler adım sayılmaz. Sonuç sonlu bir sayı değilse FormulaError fırlatır.
+ */
+export function evaluateFormula(source, variables) {
+  const root = parseFormula(source);
+  const steps = [];
+  const used = {};
+
+  function visit(node) {
+    let value;
+    switch (node.type) {
+      case "number":
+        return node.value;
+      case "variable":
+        if (hasOwn(variables, node.name)) {
+          value = variables[node.name];
+        } else if (isAttributeVariable(node.name)) {
+          value = 0;
+        } else {
+          throw new FormulaError(`Unknown variable "${node.name}"`);
+        }
+        used[node.name] = value;
+        return value;
+      case "group":
+        return visit(node.node);
+      case "negate":
+        value = -visit(node.operand);
+        break;
+      case "binary":
+        value = ARITHMETIC[node.op](visit(node.left), visit(node.right));
+        break;
+      case "compare":
+        value = COMPARISONS[node.op](visit(node.left), visit(node.right))
+          ? 1
+          : 0;
+        break;
+      case "call":
+        if (node.name === "if") {
+          const [test, whenTrue, whenFalse] = node.args;
+          value = visit(test) ? visit(whenTrue) : visit(whenFalse);
+        } else {
+          value = FUNCTIONS[node.name].fn(...node.args.map(visit));
+        }
+        break;
+    }
+
+    if (!Number.isFinite(value)) {
+      throw new FormulaError(
+        `${formatFormula(node)} is not a finite number (division by zero?)`,
+      );
+    }
+    if (steps.length < MAX_STEPS) {
+      steps.push({ expression: formatFormula(node), value: roundValue(value) });
+    }
+    return value;
+  }
+
+  const value = visit(root);
+  return { value, variables: used, steps };
+}
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import {
+  evaluateFormula,
+  FormulaError,
+  MAX_FORMULA_LENGTH,
+  parseFormula,
+  validateFormula,
+} from "./pricingFormula";
+
+const variables = {
+  boy: 50,
+  en: 40,
+  area: 2000,
+  perimeter: 180,
+  basePrice: 100,
+  pricePerCm2: 0.01,
+  minimumCharge: 150,
+  materialFactor: 1.5,
+  attributeCharge: 10,
+};
+
+function nested(depth, inner = "1") {
+  return "(".repeat(depth) + inner + ")".repeat(depth);
+}
+
+describe("evaluateFormula", () => {
+  it("öncelik sırasına göre hesaplar", () => {
+    expect(
+      evaluateFormula("basePrice + area * pricePerCm2", variables).value,
+    ).toBe(120);
+    expect(evaluateFormula("-2 * (3 + 4)", variables).value).toBe(-14);
+  });
+
+  it("yuvarlama fonksiyonları adım kabul eder", () => {
+    expect(evaluateFormula("ceil(perimeter, 25)", variables).value).toBe(200);
+    expect(evaluateFormula("floor(boy / 3)", variables).value).toBe(16);
+    expect(() => evaluateFormula("round(boy, 0)", variables)).toThrow(
+      FormulaError,
+    );
+  });
+
+  it("if yalnızca seçilen dalı hesaplar", () => {
+    expect(evaluateFormula("if(boy > en, 1, 1 / 0)", variables).value).toBe(1);
+  });
+
+  it("seçilmemiş seçenek değişkenleri 0 sayılır", () => {
+    expect(
+      evaluateFormula("charge_glass + value_matWidth", variables).value,
+    ).toBe(0);
+  });
+
+  it("sonlu olmayan sonucu reddeder", () => {
+    expect(() => evaluateFormula("basePrice / 0", variables)).toThrow(
+      /not a finite number/,
+    );
+  });
+
+  it("adımları MAX_STEPS ile sınırlar", () => {
+    const source = Array(60).fill("1").join(" + ");
+    const { value, steps } = evaluateFormula(source, variables);
+
+    expect(value).toBe(60);
+    expect(steps).toHaveLength(40);
+    expect(steps[0]).toEqual({ expression: "1 + 1", value: 2 });
+  });
+});
+
+describe("parseFormula", () => {
+  it("20 seviyeye kadar iç içe ifadeyi kabul eder", () => {
+    expect(evaluateFormula(nested(20), variables).value).toBe(1);
+    expect(evaluateFormula(`${"-".repeat(20)}1`, variables).value).toBe(1);
+  });
+
+  it("daha derin ifadeleri reddeder", () => {
+    expect(() => parseFormula(nested(21))).toThrow(/nested too deeply/);
+    expect(() => parseFormula(`${"-".repeat(21)}1`)).toThrow(
+      /nested too deeply/,
+    );
+    expect(() => parseFormula(`max(${nested(20)})`)).toThrow(
+      /nested too deeply/,
+    );
+  });
+
+  it("uzun formülü reddeder", () => {
+    expect(() => parseFormula("1".repeat(MAX_FORMULA_LENGTH + 1))).toThrow(
+      FormulaError,
+    );
+  });
+});
+
+describe("validateFormula", () => {
+  it("bilinmeyen değişken ve fonksiyonları bildirir", () => {
+    expect(validateFormula("area * pricePerCm2")).toBeNull();
+    expect(validateFormula("area * price")).toBe('Unknown variable "price"');
+    expect(validateFormula("constructor(1)")).toMatch(/Unknown function/);
+    expect(validateFormula("max(1,")).toMatch(/ends unexpectedly/);
+  });
+});
@@ -0,0 +1,93 @@
+// İmzalı fiyat teklifi (quote) token'ları. Token, /quote uç noktasının
+// hesapladığı fiyatı taşır; api.add-to-cart bu fiyatı birebir uygular.
+import crypto from "node:crypto";
+import { attributesSignature } from "./frameAttributes";
+import { LocalizedError } from "./messages";
+
+export const QUOTE_TTL_MS =
+  parseInt(process.env.QUOTE_TTL_MS || "", 10) || 15 * 60 * 1000;
+
+function getSecret() {
+  const secret =
+    process.env.QUOTE_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error("QUOTE_TOKEN_SECRET veya SHOPIFY_API_SECRET tanımlı değil");
+  }
+  return secret;
+}
+
+export class QuoteTokenError extends LocalizedError {
+  constructor(messageKey = "invalid_quote", errorType = "invalid_quote") {
+    super(messageKey, {}, errorType);
+    this.name = "QuoteTokenError";
+  }
+}
+
+function sign(encodedPayload) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+export function createQuoteToken(quote, now = Date.now()) {
+  const payload = { ...quote, iat: now, exp: now + QUOTE_TTL_MS };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString(
+    "base64url",
+  );
+
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: new Date(payload.exp).toISOString(),
+  };
+}
+
+export function verifyQuoteToken(token, now = Date.now()) {
+  const [encodedPayload, signature] = String(token || "").split(".");
+  if (!encodedPayload || !signature) {
+    throw new QuoteTokenError();
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new QuoteTokenError();
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+  } catch {
+    throw new QuoteTokenError();
+  }
+
+  if (!payload.exp || payload.exp < now) {
+    throw new QuoteTokenError("quote_expired", "quote_expired");
+  }
+
+  return payload;
+}
+
+// Token'ın gerçekten bu mağaza ve bu konfigürasyon için verildiğini doğrular.
+// Ek seçeneksiz eski tokenlar yalnızca ek seçeneksiz isteklere uyar.
+export function assertQuoteMatches(
+  payload,
+  { shop, baseVariantId, boy, en, materyal, attributes = {} },
+) {
+  const matches =
+    payload.shop === shop &&
+    String(payload.baseVariantId) === String(baseVariantId) &&
+    payload.boy === boy &&
+    payload.en === en &&
+    String(payload.materyal) === String(materyal) &&
+    attributesSignature(payload.attributes) === attributesSignature(attributes);
+
+  if (!matches) {
+    throw new QuoteTokenError("quote_mismatch");
+  }
+
+  return payload;
+}
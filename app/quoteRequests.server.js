@@ -0,0 +1,370 @@
+// B2B teklif talepleri (Quote). quote.server.js'teki imzalı fiyat teklifi
+// token'larıyla karıştırılmamalı: api.custom-product talebi kaydeder, personel
+// admin panelinde (app.quotes) fiyatı ve teslim süresini düzenleyip onaylar.
+// Ürün, taslak sipariş ve fatura yalnızca onayda oluşturulur; müşteri talebin
+// durumunu app proxy üzerinden (api.quote-status) sorgular.
+import crypto from "node:crypto";
+import prisma from "./db.server";
+import { logger } from "./logger.server";
+import { toGid } from "./adminClient.server";
+import {
+  createDraftOrder,
+  createProduct,
+  sendDraftOrderInvoice,
+  updateVariant,
+  updateVariantPrice,
+} from "./catalog.server";
+import {
+  recordCustomProductDraftOrder,
+  trackCustomProduct,
+} from "./customProducts.server";
+import { formatAttributes, getFrameAttributes } from "./frameAttributes";
+import { getShopSettings } from "./shopSettings.server";
+import { formatSize, fromCentimetres } from "./units";
+
+export const QUOTE_STATUS = {
+  PENDING: "pending",
+  // Onay sürüyor; aynı teklif iki kez onaylanıp iki taslak sipariş açılmasın
+  APPROVING: "approving",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  // Ödenmeyen taslak sipariş, ürünün süresi dolunca cleanup'ta silindi
+  EXPIRED: "expired",
+};
+
+// Onay sırasında süreç çökerse teklif bu süreden sonra yeniden onaylanabilir
+const APPROVAL_TIMEOUT_MS = 10 * 60 * 1000;
+
+function createAccessToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Storefront'tan gelen doğrulanmış talebi kaydeder. `price` başlangıçta
+ * sunucunun hesapladığı `requestedPrice`'tır; personel onaylamadan önce
+ * değiştirebilir.
+ */
+export async function createQuoteRequest(shopDomain, request) {
+  return prisma.quote.create({
+    data: {
+      ...request,
+      shopDomain,
+      accessToken: createAccessToken(),
+      price: request.requestedPrice,
+    },
+  });
+}
+
+// Admin kuyruğu: açık talepler eskiden yeniye, kararlananlar yeniden eskiye
+export async function listQuoteRequests(shopDomain, { take = 50 } = {}) {
+  const [open, decided] = await Promise.all([
+    prisma.quote.findMany({
+      where: {
+        shopDomain,
+        status: { in: [QUOTE_STATUS.PENDING, QUOTE_STATUS.APPROVING] },
+      },
+      orderBy: { createdAt: "asc" },
+      take,
+    }),
+    prisma.quote.findMany({
+      where: {
+        shopDomain,
+        status: {
+          in: [
+            QUOTE_STATUS.APPROVED,
+            QUOTE_STATUS.REJECTED,
+            QUOTE_STATUS.EXPIRED,
+          ],
+        },
+      },
+      orderBy: { decidedAt: "desc" },
+      take,
+    }),
+  ]);
+
+  return { open, decided };
+}
+
+export function findQuoteRequestByToken(shopDomain, accessToken) {
+  return prisma.quote.findFirst({ where: { shopDomain, accessToken } });
+}
+
+export function listCustomerQuoteRequests(shopDomain, customerId, take = 20) {
+  return prisma.quote.findMany({
+    where: { shopDomain, customerId: String(customerId) },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+/**
+ * Bekleyen talebin fiyatını, teslim süresini veya müşteri notunu günceller.
+ * Talep artık beklemede değilse false döner.
+ */
+export async function updateQuoteRequest(shopDomain, id, changes) {
+  const { count } = await prisma.quote.updateMany({
+    where: { id, shopDomain, status: QUOTE_STATUS.PENDING },
+    data: changes,
+  });
+  return count > 0;
+}
+
+export async function rejectQuoteRequest(shopDomain, id, changes = {}) {
+  const { count } = await prisma.quote.updateMany({
+    where: { id, shopDomain, status: QUOTE_STATUS.PENDING },
+    data: {
+      ...changes,
+      status: QUOTE_STATUS.REJECTED,
+      decidedAt: new Date(),
+      lastError: null,
+    },
+  });
+  return count > 0;
+}
+
+function describeQuote(quote, attributeSchema) {
+  return [
+    `Boy: ${quote.boy}cm, En: ${quote.en}cm, Materyal: ${quote.materyal}`,
+    formatAttributes(quote.attributes || {}, attributeSchema),
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function productInput(quote, attributeSchema) {
+  const area = Math.round(quote.boy * quote.en);
+  const attributes = formatAttributes(quote.attributes || {}, attributeSchema);
+
+  return {
+    title: `Özel Masa ${formatSize(quote.boy, quote.en)} - ${quote.materyal}`,
+    // Konfigürasyon okunabilir kalsın; teklif kimliği tekilliği sağlar
+    handle: `ozel-masa-${quote.boy}x${quote.en}-${quote.materyal}-${quote.id}`
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-"),
+    descriptionHtml: `
+            <h3>Özel Tasarım Masa</h3>
+            <ul>
+              <li><strong>Boy:</strong> ${quote.boy} cm</li>
+              <li><strong>En:</strong> ${quote.en} cm</li>
+              <li><strong>Materyal:</strong> ${quote.materyal}</li>
+              <li><strong>Alan:</strong> ${area.toLocaleString("tr-TR")} cm²</li>
+              ${attributes ? `<li><strong>Seçenekler:</strong> ${attributes}</li>` : ""}
+            </ul>
+            <p><em>Bu özel tasarım bir üründür.</em></p>
+          `,
+    productType: "Custom Furniture",
+    vendor: "Custom Design",
+    // Taslak sipariş faturasıyla satılabilmesi için ACTIVE olmalıdır. Hiçbir
+    // satış kanalında yayınlanmaz (createProduct yayınlamaz) ve seo.hidden ile
+    // mağaza aramasından da gizlenir.
+    status: "ACTIVE",
+    metafields: [
+      { namespace: "seo", key: "hidden", type: "number_integer", value: "1" },
+    ],
+    tags: ["custom", "masa", "özel", "teklif", quote.materyal.toLowerCase()],
+  };
+}
+
+function draftOrderInput(quote, attributeSchema) {
+  const note = [
+    `Teklif ${quote.id} - ${describeQuote(quote, attributeSchema)}`,
+    quote.leadTimeDays ? `Teslim süresi: ${quote.leadTimeDays} gün` : null,
+    quote.company ? `Firma: ${quote.company}` : null,
+    quote.customerNote ? `Müşteri notu: ${quote.customerNote}` : null,
+    quote.responseNote,
+  ];
+
+  return {
+    lineItems: [
+      {
+        variantId: toGid("ProductVariant", quote.variantId),
+        quantity: quote.quantity,
+      },
+    ],
+    note: note.filter(Boolean).join("\n"),
+    // Müşteri kaydı e-postayla eşleşir; customerId bağlamak read_customers ister
+    email: quote.email || undefined,
+    tags: ["teklif"],
+  };
+}
+
+// Her onaylı teklif kendi ürününü açar: fiyat teklife özgüdür ve başka bir
+// teklifin taslak siparişindeki ürünü değiştirmemelidir. Yarıda kalan onay
+// tekrarlanırsa teklifin kendi varyantı yeni fiyatla yeniden kullanılır.
+async function ensureQuoteVariant(client, quote, attributeSchema) {
+  if (quote.variantId) {
+    await updateVariantPrice(
+      client,
+      quote.productId,
+      quote.variantId,
+      quote.price,
+    );
+    return quote;
+  }
+
+  const product = await createProduct(
+    client,
+    productInput(quote, attributeSchema),
+  );
+  const variant = await updateVariant(client, product.legacyResourceId, {
+    id: product.variants.nodes[0].id,
+    price: String(quote.price),
+    inventoryPolicy: "CONTINUE",
+    taxable: true,
+    inventoryItem: {
+      sku: `CUSTOM-${quote.boy}x${quote.en}-${quote.materyal}-${quote.id}`,
+      tracked: false,
+      requiresShipping: true,
+    },
+  });
+
+  await trackCustomProduct(quote.shopDomain, {
+    productId: product.legacyResourceId,
+    variantId: variant.id,
+    baseVariantId: quote.baseVariantId,
+    boy: quote.boy,
+    en: quote.en,
+    unit: quote.unit,
+    materyal: quote.materyal,
+    attributes: quote.attributes,
+    price: quote.price,
+  });
+
+  return prisma.quote.update({
+    where: { id: quote.id },
+    data: {
+      productId: String(product.legacyResourceId),
+      variantId: String(variant.id),
+    },
+  });
+}
+
+/**
+ * Faturayı teklifin e-posta adresine gönderir. Gönderilemezse teklif onaylı
+ * kalır, hata `lastError`'a yazılır ve admin panelinden tekrar denenebilir.
+ */
+export async function sendQuoteInvoice(client, quote) {
+  try {
+    await sendDraftOrderInvoice(client, quote.draftOrderId);
+    return await prisma.quote.update({
+      where: { id: quote.id },
+      data: { invoiceSentAt: new Date(), lastError: null },
+    });
+  } catch (err) {
+    logger.error("Teklif faturası gönderilemedi", { quoteId: quote.id, err });
+    return prisma.quote.update({
+      where: { id: quote.id },
+      data: { lastError: `Invoice not sent: ${err.message}` },
+    });
+  }
+}
+
+/**
+ * Talebi onaylar: ürünü ve taslak siparişi oluşturur, e-posta varsa faturayı
+ * gönderir. `changes` personelin son fiyat/teslim süresi düzenlemeleridir.
+ * Taslak sipariş oluşturulamazsa talep beklemeye döner. { quote } veya
+ * { error } döndürür.
+ */
+export async function approveQuoteRequest(client, shopDomain, id, changes) {
+  const { count } = await prisma.quote.updateMany({
+    where: {
+      id,
+      shopDomain,
+      OR: [
+        { status: QUOTE_STATUS.PENDING },
+        {
+          status: QUOTE_STATUS.APPROVING,
+          updatedAt: { lt: new Date(Date.now() - APPROVAL_TIMEOUT_MS) },
+        },
+      ],
+    },
+    data: { ...changes, status: QUOTE_STATUS.APPROVING, lastError: null },
+  });
+  if (!count) {
+    return { error: "This quote is no longer pending" };
+  }
+
+  let quote = await prisma.quote.findUnique({ where: { id } });
+
+  try {
+    const attributeSchema = getFrameAttributes(
+      await getShopSettings(shopDomain),
+    );
+    quote = await ensureQuoteVariant(client, quote, attributeSchema);
+    const draftOrder = await createDraftOrder(
+      client,
+      draftOrderInput(quote, attributeSchema),
+    );
+    await recordCustomProductDraftOrder(
+      shopDomain,
+      quote.variantId,
+      draftOrder.legacyResourceId,
+    );
+
+    quote = await prisma.quote.update({
+      where: { id },
+      data: {
+        status: QUOTE_STATUS.APPROVED,
+        draftOrderId: String(draftOrder.legacyResourceId),
+        invoiceUrl: draftOrder.invoiceUrl,
+        decidedAt: new Date(),
+      },
+    });
+  } catch (err) {
+    logger.error("Teklif onaylanamadı", { quoteId: id, err });
+    await prisma.quote.update({
+      where: { id },
+      data: { status: QUOTE_STATUS.PENDING, lastError: err.message },
+    });
+    return { error: `Approval failed: ${err.message}` };
+  }
+
+  if (quote.email) {
+    quote = await sendQuoteInvoice(client, quote);
+  }
+
+  return { quote };
+}
+
+// Cleanup worker ürünün süresi dolunca açık taslak siparişlerini siler
+export async function expireQuoteRequests(shopDomain, draftOrderIds) {
+  const { count } = await prisma.quote.updateMany({
+    where: {
+      shopDomain,
+      status: QUOTE_STATUS.APPROVED,
+      draftOrderId: { in: draftOrderIds.map(String) },
+    },
+    data: { status: QUOTE_STATUS.EXPIRED, invoiceUrl: null },
+  });
+  return count;
+}
+
+/**
+ * Müşteriye gösterilen alanlar. Onay sürerken talep "pending" görünür;
+ * personelin fiyatı ve fatura bağlantısı yalnızca onaylı tekliflerde verilir.
+ */
+export function toPublicQuoteRequest(quote) {
+  const approved = quote.status === QUOTE_STATUS.APPROVED;
+
+  return {
+    id: quote.id,
+    status:
+      quote.status === QUOTE_STATUS.APPROVING
+        ? QUOTE_STATUS.PENDING
+        : quote.status,
+    size: formatSize(
+      fromCentimetres(quote.boy, quote.unit),
+      fromCentimetres(quote.en, quote.unit),
+      quote.unit,
+    ),
+    materyal: quote.materyal,
+    attributes: quote.attributes,
+    quantity: quote.quantity,
+    price: approved ? quote.price : quote.requestedPrice,
+    leadTimeDays: quote.leadTimeDays,
+    note: quote.responseNote,
+    invoiceUrl: approved ? quote.invoiceUrl : null,
+    createdAt: quote.createdAt,
+    decidedAt: quote.decidedAt,
+  };
+}
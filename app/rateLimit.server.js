@@ -0,0 +1,242 @@
+// App proxy uç noktaları için token bucket hız sınırı. Her istek hem
+// mağazanın hem de istemcinin (giriş yapmış müşteri, yoksa IP) kovasından bir
+// jeton harcar; kovalar dakikadaki dolum hızıyla kapasitelerine kadar dolar.
+// Durum veritabanında tutulur, böylece tüm instance'lar aynı kovayı paylaşır.
+import prisma from "./db.server";
+import { sendAlarm } from "./alarms.server";
+import { logger } from "./logger.server";
+import { rateLimitFailOpen } from "./metrics.server";
+
+// "kapasite/dakikadaki dolum": "30/10" 30 isteklik patlamaya, ardından
+// dakikada 10 isteğe izin verir. "off" sınırı kapatır.
+const DEFAULT_LIMITS = {
+  "add-to-cart": { shop: "600/300", client: "30/10" },
+  "custom-product": { shop: "60/20", client: "5/1" },
+};
+
+export const RATE_LIMIT_POLICIES = Object.keys(DEFAULT_LIMITS);
+
+// Eşzamanlı güncellemede kova başka bir istekçe değiştiyse yeniden okunur
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Bu süre dokunulmayan kova zaten dolmuştur; günlük taramada silinir
+const IDLE_BUCKET_MS = 24 * 60 * 60 * 1000;
+
+function parseLimit(value) {
+  if (value === "off") return null;
+
+  const match = /^(\d+)\/(\d+(?:\.\d+)?)$/.exec(value);
+  if (!match || !(Number(match[1]) > 0) || !(Number(match[2]) > 0)) {
+    return undefined;
+  }
+  return {
+    capacity: Number(match[1]),
+    refillPerSecond: Number(match[2]) / 60,
+  };
+}
+
+function envName(policy, scope) {
+  return `RATE_LIMIT_${policy}_${scope}`.replace(/-/g, "_").toUpperCase();
+}
+
+// Ortam değişkenleri: RATE_LIMIT_ADD_TO_CART_SHOP, RATE_LIMIT_ADD_TO_CART_CLIENT,
+// RATE_LIMIT_CUSTOM_PRODUCT_SHOP, RATE_LIMIT_CUSTOM_PRODUCT_CLIENT
+export const RATE_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_LIMITS).map(([policy, scopes]) => [
+    policy,
+    Object.fromEntries(
+      Object.entries(scopes).map(([scope, fallback]) => {
+        const name = envName(policy, scope);
+        let limit = parseLimit(process.env[name] || fallback);
+        if (limit === undefined) {
+          logger.warn("Hız sınırı ayarı geçersiz, varsayılan kullanılıyor", {
+            env: name,
+            fallback,
+          });
+          limit = parseLimit(fallback);
+        }
+        return [scope, limit];
+      }),
+    ),
+  ]),
+);
+
+function isUniqueViolation(err) {
+  return err?.code === "P2002";
+}
+
+// X-Forwarded-For'a adres ekleyen güvenilir vekil sayısı: Shopify app proxy
+// müşterinin IP'sini, Fly edge de app proxy'nin IP'sini ekler. Bunların
+// solundaki değerleri istemci kendisi gönderebilir. 0: başlığa güvenilmez.
+const DEFAULT_TRUSTED_PROXY_HOPS = 2;
+
+export function parseTrustedProxyHops(value) {
+  if (value === undefined || String(value).trim() === "") {
+    return DEFAULT_TRUSTED_PROXY_HOPS;
+  }
+
+  const hops = Number(value);
+  if (Number.isInteger(hops) && hops >= 0) return hops;
+
+  logger.warn("Güvenilir vekil sayısı geçersiz, varsayılan kullanılıyor", {
+    env: "RATE_LIMIT_TRUSTED_PROXIES",
+    fallback: DEFAULT_TRUSTED_PROXY_HOPS,
+  });
+  return DEFAULT_TRUSTED_PROXY_HOPS;
+}
+
+const TRUSTED_PROXY_HOPS = parseTrustedProxyHops(
+  process.env.RATE_LIMIT_TRUSTED_PROXIES,
+);
+
+/**
+ * İstemci kimliği: app proxy imzasının kapsadığı logged_in_customer_id, yoksa
+ * müşterinin IP'si. IP, X-Forwarded-For'un sağından TRUSTED_PROXY_HOPS'uncu
+ * değerdir; liste daha kısaysa veya vekile güvenilmiyorsa (0) platformun
+ * Fly-Client-IP başlığı kullanılır.
+ */
+export function clientKey(request, trustedProxyHops = TRUSTED_PROXY_HOPS) {
+  const customerId = new URL(request.url).searchParams.get(
+    "logged_in_customer_id",
+  );
+  if (customerId) return `customer:${customerId}`;
+
+  const forwarded = (request.headers.get("X-Forwarded-For") || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const ip =
+    (trustedProxyHops > 0 &&
+      forwarded.length >= trustedProxyHops &&
+      forwarded[forwarded.length - trustedProxyHops]) ||
+    request.headers.get("Fly-Client-IP") ||
+    "unknown";
+  return `ip:${ip}`;
+}
+
+function bucketState(limit, tokens) {
+  const { capacity, refillPerSecond } = limit;
+  return {
+    limit: capacity,
+    remaining: Math.max(0, Math.floor(tokens)),
+    // Kovanın tamamen dolmasına kalan süre
+    reset: Math.ceil((capacity - tokens) / refillPerSecond),
+    retryAfter: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerSecond),
+  };
+}
+
+/**
+ * Kovadan bir jeton harcamayı dener. Jeton yoksa kova değişmez.
+ * { allowed, limit, remaining, reset, retryAfter } döndürür (saniye).
+ */
+export async function takeToken(key, limit, now = new Date()) {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const bucket = await prisma.rateLimitBucket.findUnique({ where: { key } });
+
+    if (!bucket) {
+      try {
+        await prisma.rateLimitBucket.create({
+          data: { key, tokens: limit.capacity - 1, refilledAt: now },
+        });
+        return { allowed: true, ...bucketState(limit, limit.capacity - 1) };
+      } catch (err) {
+        if (!isUniqueViolation(err)) throw err;
+        continue;
+      }
+    }
+
+    const elapsed = Math.max(
+      0,
+      (now.getTime() - bucket.refilledAt.getTime()) / 1000,
+    );
+    const tokens = Math.min(
+      limit.capacity,
+      bucket.tokens + elapsed * limit.refillPerSecond,
+    );
+    if (tokens < 1) {
+      return { allowed: false, ...bucketState(limit, tokens) };
+    }
+
+    // İyimser kilit: kova okunduktan sonra değiştiyse yeniden dene
+    const { count } = await prisma.rateLimitBucket.updateMany({
+      where: { key, refilledAt: bucket.refilledAt, tokens: bucket.tokens },
+      data: { tokens: tokens - 1, refilledAt: now },
+    });
+    if (count) {
+      return { allowed: true, ...bucketState(limit, tokens - 1) };
+    }
+  }
+
+  throw new Error(`Rate limit bucket is contended: ${key}`);
+}
+
+/**
+ * İsteği `policy` sınırlarına göre sayar. Önce istemci kovası harcanır;
+ * reddedilen istemci mağazanın kovasını tüketmez. Başlıklar en dar kovayı
+ * gösterir. Veritabanı hatasında istek engellenmez (fail open) ve null döner;
+ * bu durum loglanır, sayılır ve alarm gönderilir.
+ */
+export async function checkRateLimit(request, policy, shopDomain) {
+  const limits = RATE_LIMITS[policy] || {};
+  const buckets = [
+    limits.client && {
+      key: `${policy}:${shopDomain}:${clientKey(request)}`,
+      limit: limits.client,
+    },
+    limits.shop && { key: `${policy}:${shopDomain}`, limit: limits.shop },
+  ].filter(Boolean);
+
+  try {
+    let narrowest = null;
+    for (const { key, limit } of buckets) {
+      const result = await takeToken(key, limit);
+      if (!result.allowed) return result;
+      if (!narrowest || result.remaining < narrowest.remaining) {
+        narrowest = result;
+      }
+    }
+    return narrowest;
+  } catch (err) {
+    logger.error("Hız sınırı kontrol edilemedi, istek sınırsız geçiyor", {
+      policy,
+      err,
+    });
+    rateLimitFailOpen.inc({ policy });
+    // Alarm durumu da veritabanında tutulur; aynı arızada gönderilemeyebilir,
+    // bu yüzden istek alarmı beklemez
+    sendAlarm({
+      key: "rate_limit_fail_open",
+      message: "Hız sınırı devre dışı: kova deposuna erişilemiyor",
+      details: { policy, error: String(err?.message || err) },
+    }).catch((alarmErr) =>
+      logger.error("Hız sınırı alarmı gönderilemedi", { err: alarmErr }),
+    );
+    return null;
+  }
+}
+
+// IETF RateLimit başlıkları; Retry-After yalnızca reddedilen isteklerde
+export function rateLimitHeaders(result) {
+  if (!result) return {};
+
+  return {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.reset),
+    ...(result.allowed ? {} : { "Retry-After": String(result.retryAfter) }),
+  };
+}
+
+export function withRateLimitHeaders(response, result) {
+  for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+export async function purgeIdleRateLimitBuckets(now = new Date()) {
+  const { count } = await prisma.rateLimitBucket.deleteMany({
+    where: { refilledAt: { lte: new Date(now.getTime() - IDLE_BUCKET_MS) } },
+  });
+  return count;
+}
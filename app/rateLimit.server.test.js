@@ -0,0 +1,258 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const { prisma, sendAlarm, rateLimitFailOpen } = vi.hoisted(() => ({
+  prisma: {
+    rateLimitBucket: {
+      findUnique: vi.fn(),
+      create: vi.fn(),
+      updateMany: vi.fn(),
+    },
+  },
+  sendAlarm: vi.fn(),
+  rateLimitFailOpen: { inc: vi.fn() },
+}));
+
+vi.mock("./db.server", () => ({ default: prisma }));
+vi.mock("./alarms.server", () => ({ sendAlarm }));
+vi.mock("./metrics.server", () => ({ rateLimitFailOpen }));
+vi.mock("./logger.server", () => ({
+  logger: { warn: vi.fn(), error: vi.fn() },
+}));
+
+import {
+  checkRateLimit,
+  clientKey,
+  parseTrustedProxyHops,
+  rateLimitHeaders,
+  takeToken,
+} from "./rateLimit.server";
+
+// 10 jetonluk kova, saniyede 1 jeton dolum
+const LIMIT = { capacity: 10, refillPerSecond: 1 };
+const NOW = new Date("2025-01-01T00:00:00Z");
+
+function secondsLater(seconds) {
+  return new Date(NOW.getTime() + seconds * 1000);
+}
+
+function proxyRequest(headers = {}, query = "") {
+  return new Request(`https://app.example.com/apps/frame${query}`, {
+    headers,
+  });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prisma.rateLimitBucket.updateMany.mockResolvedValue({ count: 1 });
+  sendAlarm.mockResolvedValue(undefined);
+});
+
+describe("takeToken", () => {
+  it("ilk istekte kovayı dolu oluşturup bir jeton harcar", async () => {
+    prisma.rateLimitBucket.findUnique.mockResolvedValue(null);
+
+    const result = await takeToken("k", LIMIT, NOW);
+
+    expect(prisma.rateLimitBucket.create).toHaveBeenCalledWith({
+      data: { key: "k", tokens: 9, refilledAt: NOW },
+    });
+    expect(result).toEqual({
+      allowed: true,
+      limit: 10,
+      remaining: 9,
+      reset: 1,
+      retryAfter: 0,
+    });
+  });
+
+  it("geçen süre kadar dolum ekler", async () => {
+    prisma.rateLimitBucket.findUnique.mockResolvedValue({
+      key: "k",
+      tokens: 2,
+      refilledAt: NOW,
+    });
+
+    const result = await takeToken("k", LIMIT, secondsLater(3));
+
+    expect(prisma.rateLimitBucket.updateMany).toHaveBeenCalledWith({
+      where: { key: "k", refilledAt: NOW, tokens: 2 },
+      data: { tokens: 4, refilledAt: secondsLater(3) },
+    });
+    expect(result).toMatchObject({ allowed: true, remaining: 4, reset: 6 });
+  });
+
+  it("dolum kapasiteyi aşmaz", async () => {
+    prisma.rateLimitBucket.findUnique.mockResolvedValue({
+      key: "k",
+      tokens: 5,
+      refilledAt: NOW,
+    });
+
+    const result = await takeToken("k", LIMIT, secondsLater(3600));
+
+    expect(prisma.rateLimitBucket.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ data: expect.objectContaining({ tokens: 9 }) }),
+    );
+    expect(result.remaining).toBe(9);
+  });
+
+  it("jeton yoksa reddeder, kovayı değiştirmez ve bekleme süresini verir", async () => {
+    prisma.rateLimitBucket.findUnique.mockResolvedValue({
+      key: "k",
+      tokens: 0,
+      refilledAt: NOW,
+    });
+
+    const result = await takeToken("k", LIMIT, secondsLater(0.25));
+
+    expect(prisma.rateLimitBucket.updateMany).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      allowed: false,
+      limit: 10,
+      remaining: 0,
+      reset: 10,
+      retryAfter: 1,
+    });
+  });
+
+  it("saat geri giderse jeton eklemez", async () => {
+    prisma.rateLimitBucket.findUnique.mockResolvedValue({
+      key: "k",
+      tokens: 0.5,
+      refilledAt: NOW,
+    });
+
+    const result = await takeToken("k", LIMIT, secondsLater(-60));
+
+    expect(result.allowed).toBe(false);
+  });
+
+  it("kova okunduktan sonra değiştiyse yeniden okur", async () => {
+    prisma.rateLimitBucket.findUnique
+      .mockResolvedValueOnce({ key: "k", tokens: 5, refilledAt: NOW })
+      .mockResolvedValueOnce({ key: "k", tokens: 1, refilledAt: NOW });
+    prisma.rateLimitBucket.updateMany
+      .mockResolvedValueOnce({ count: 0 })
+      .mockResolvedValueOnce({ count: 1 });
+
+    const result = await takeToken("k", LIMIT, NOW);
+
+    expect(prisma.rateLimitBucket.findUnique).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it("eşzamanlı oluşturmada mevcut kovayı kullanır", async () => {
+    prisma.rateLimitBucket.findUnique
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ key: "k", tokens: 9, refilledAt: NOW });
+    prisma.rateLimitBucket.create.mockRejectedValueOnce(
+      Object.assign(new Error("unique"), { code: "P2002" }),
+    );
+
+    const result = await takeToken("k", LIMIT, NOW);
+
+    expect(result).toMatchObject({ allowed: true, remaining: 8 });
+  });
+
+  it("sürekli çakışmada hata fırlatır", async () => {
+    prisma.rateLimitBucket.findUnique.mockResolvedValue({
+      key: "k",
+      tokens: 5,
+      refilledAt: NOW,
+    });
+    prisma.rateLimitBucket.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(takeToken("k", LIMIT, NOW)).rejects.toThrow(/contended/);
+    expect(prisma.rateLimitBucket.updateMany).toHaveBeenCalledTimes(5);
+  });
+});
+
+describe("parseTrustedProxyHops", () => {
+  it("boş değerde varsayılanı kullanır", () => {
+    expect(parseTrustedProxyHops(undefined)).toBe(2);
+    expect(parseTrustedProxyHops(" ")).toBe(2);
+  });
+
+  it("0 ve pozitif tam sayıları kabul eder", () => {
+    expect(parseTrustedProxyHops("0")).toBe(0);
+    expect(parseTrustedProxyHops("3")).toBe(3);
+  });
+
+  it("geçersiz değerde varsayılana döner", () => {
+    expect(parseTrustedProxyHops("-1")).toBe(2);
+    expect(parseTrustedProxyHops("1.5")).toBe(2);
+    expect(parseTrustedProxyHops("abc")).toBe(2);
+  });
+});
+
+describe("clientKey", () => {
+  it("giriş yapmış müşteriyi IP'ye tercih eder", () => {
+    const request = proxyRequest(
+      { "X-Forwarded-For": "1.1.1.1, 2.2.2.2" },
+      "?logged_in_customer_id=42",
+    );
+    expect(clientKey(request, 2)).toBe("customer:42");
+  });
+
+  it("istemcinin eklediği adresleri atlayıp güvenilir vekilin gördüğünü alır", () => {
+    const request = proxyRequest({
+      "X-Forwarded-For": "6.6.6.6, 1.1.1.1, 2.2.2.2",
+    });
+    expect(clientKey(request, 2)).toBe("ip:1.1.1.1");
+  });
+
+  it("liste kısaysa veya vekile güvenilmiyorsa Fly-Client-IP kullanır", () => {
+    const headers = {
+      "X-Forwarded-For": "6.6.6.6, 1.1.1.1",
+      "Fly-Client-IP": "9.9.9.9",
+    };
+    expect(clientKey(proxyRequest(headers), 3)).toBe("ip:9.9.9.9");
+    expect(clientKey(proxyRequest(headers), 0)).toBe("ip:9.9.9.9");
+    expect(clientKey(proxyRequest(), 2)).toBe("ip:unknown");
+  });
+});
+
+describe("checkRateLimit", () => {
+  it("veritabanı hatasında isteği geçirir, sayar ve alarm gönderir", async () => {
+    prisma.rateLimitBucket.findUnique.mockRejectedValue(new Error("db down"));
+
+    const result = await checkRateLimit(
+      proxyRequest(),
+      "add-to-cart",
+      "shop.myshopify.com",
+    );
+
+    expect(result).toBeNull();
+    expect(rateLimitFailOpen.inc).toHaveBeenCalledWith({
+      policy: "add-to-cart",
+    });
+    expect(sendAlarm).toHaveBeenCalledWith(
+      expect.objectContaining({ key: "rate_limit_fail_open" }),
+    );
+  });
+
+  it("alarm gönderilemese de isteği geçirir", async () => {
+    prisma.rateLimitBucket.findUnique.mockRejectedValue(new Error("db down"));
+    sendAlarm.mockRejectedValue(new Error("alarm down"));
+
+    await expect(
+      checkRateLimit(proxyRequest(), "add-to-cart", "shop.myshopify.com"),
+    ).resolves.toBeNull();
+  });
+});
+
+describe("rateLimitHeaders", () => {
+  it("Retry-After'ı yalnızca reddedilen istekte ekler", () => {
+    const state = { limit: 10, remaining: 0, reset: 10, retryAfter: 1 };
+
+    expect(rateLimitHeaders({ allowed: true, ...state })).toEqual({
+      "RateLimit-Limit": "10",
+      "RateLimit-Remaining": "0",
+      "RateLimit-Reset": "10",
+    });
+    expect(rateLimitHeaders({ allowed: false, ...state })).toMatchObject({
+      "Retry-After": "1",
+    });
+    expect(rateLimitHeaders(null)).toEqual({});
+  });
+});
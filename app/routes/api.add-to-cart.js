@@ -1,107 +1,31 @@
-// app/routes/api.custom-product.js
-import { json } from "@remix-run/node";
-
-const requestCache = new Map();
-const CACHE_DURATION = 5000;
-const MAX_CACHE_SIZE = 1000;
-
-const API_TIMEOUT = 10000;
-
-const MIN_PRICE = 0.01;
-const MAX_PRICE = 999999.99;
-
-const WEIGHT_PER_AREA = {
-  pamuk: 0.15,
-  polyester: 0.12,
-  keten: 0.18,
-  ipek: 0.08,
-  default: 0.15,
-};
-
+// app/routes/api.add-to-cart.js
+import {
+  createTranslator,
+  formatPrice,
+  resolveLocale,
+  translate,
+} from "../messages";
+
+// requestId göndermeyen istemciler için tekil anahtar; tekrar denemeler
+// ancak istemci aynı requestId'yi gönderirse yanıtı yeniden kullanır.
 function generateRequestId(boy, en, materyal) {
-  return `${boy}-${en}-${materyal}-${Date.now()}`;
-}
-
-function cleanupCache() {
-  const now = Date.now();
-
-  for (const [key, value] of requestCache.entries()) {
-    if (now - value.timestamp > CACHE_DURATION) {
-      requestCache.delete(key);
-    }
-  }
-
-  if (requestCache.size > MAX_CACHE_SIZE) {
-    const entries = Array.from(requestCache.entries());
-    entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-
-    const toDelete = Math.floor(MAX_CACHE_SIZE * 0.2);
-    for (let i = 0; i < toDelete; i++) {
-      requestCache.delete(entries[i][0]);
-    }
-  }
-}
-
-function validatePrice(price) {
-  const numPrice = parseFloat(String(price));
-
-  if (isNaN(numPrice)) {
-    throw new Error("Geçersiz fiyat formatı");
-  }
-
-  if (numPrice < MIN_PRICE) {
-    throw new Error(`Fiyat minimum ${MIN_PRICE} TL olmalıdır`);
-  }
-
-  if (numPrice > MAX_PRICE) {
-    throw new Error(`Fiyat maximum ${MAX_PRICE} TL olmalıdır`);
-  }
-
-  return Math.round(numPrice * 100) / 100;
-}
-
-function calculateWeight(boy, en, materyal) {
-  const area = boy * en;
-  const weightPerCm2 =
-    WEIGHT_PER_AREA[materyal.toLowerCase()] || WEIGHT_PER_AREA.default;
-  const calculatedWeight = area * weightPerCm2;
-
-  return Math.max(50, Math.min(50000, Math.round(calculatedWeight)));
-}
-
-async function withTimeout(promise, timeoutMs = API_TIMEOUT) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(
-        () => reject(new Error("API isteği zaman aşımına uğradı")),
-        timeoutMs,
-      ),
-    ),
-  ]);
+  return `${boy}-${en}-${materyal}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
 }
 
-async function findExistingVariant(admin, productId, boy, en, materyal) {
-  try {
-    const productResponse = await withTimeout(
-      admin.get({ path: `products/${productId}/variants` }),
-    );
-    const allVariants = productResponse.body?.variants || [];
-
-    return allVariants.find(
-      (variant) =>
-        variant.option1 === `${boy}` &&
-        variant.option2 === `${en}` &&
-        variant.option3 === `${materyal}`,
-    );
-  } catch (err) {
-    console.error("Mevcut varyant arama hatası:", err);
-    return null;
-  }
+// Hata yanıtı; errorType metrikler için bağlama da yazılır
+function errorResponse(context, status, body) {
+  context.outcome = null;
+  context.errorType = body.errorType;
+  return new Response(JSON.stringify({ success: false, ...body }), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
 }
 
 async function waitForVariantReady(
-  admin,
+  catalog,
+  logger,
+  client,
   variantId,
   expectedPrice,
   maxRetries = 8,
@@ -110,520 +34,805 @@ async function waitForVariantReady(
     try {
       await new Promise((resolve) => setTimeout(resolve, 600 * (i + 1)));
 
-      const response = await withTimeout(
-        admin.get({ path: `variants/${variantId}` }),
-      );
-
-      const variant = response.body?.variant;
+      const variant = await catalog.getVariant(client, variantId);
 
       if (variant && variant.price !== null && variant.price !== undefined) {
         const variantPrice = parseFloat(variant.price);
         const expected = parseFloat(expectedPrice);
 
-        console.log(
-          `✅ Varyant fiyatı doğrulandı (${i + 1}. deneme): ${variant.price} TL (Beklenen: ${expectedPrice})`,
-        );
-
         if (Math.abs(variantPrice - expected) < 0.01) {
-          console.log("✅ Fiyat tam eşleşti!");
+          logger.debug("Varyant fiyatı doğrulandı", {
+            attempt: i + 1,
+            price: variant.price,
+          });
           return variant;
-        } else {
-          console.warn(`⚠️ Fiyat eşleşmiyor: ${variantPrice} vs ${expected}`);
         }
+        logger.warn("Varyant fiyatı eşleşmiyor", {
+          attempt: i + 1,
+          price: variantPrice,
+          expectedPrice: expected,
+        });
       }
 
-      console.log(`⏳ Varyant henüz hazır değil (${i + 1}. deneme)`);
+      logger.debug("Varyant henüz hazır değil", { attempt: i + 1 });
     } catch (err) {
-      console.error(
-        `❌ Varyant kontrol hatası (${i + 1}. deneme):`,
-        err.message,
-      );
+      logger.warn("Varyant kontrol edilemedi", { attempt: i + 1, err });
     }
   }
 
+  const { variantReadyExhausted } = await import("../metrics.server");
+  variantReadyExhausted.inc();
+  logger.warn("Varyant fiyatı denemeler içinde doğrulanamadı", {
+    attempts: maxRetries,
+  });
+
   try {
-    const finalResponse = await admin.get({ path: `variants/${variantId}` });
-    const finalVariant = finalResponse.body?.variant;
-    console.log("🔍 Son kontrol - Variant price:", finalVariant?.price);
+    const finalVariant = await catalog.getVariant(client, variantId);
+    logger.debug("Varyant son kontrolü", { price: finalVariant?.price });
     return finalVariant;
   } catch (err) {
-    console.error("❌ Final variant kontrolü başarısız:", err);
+    logger.error("Varyant son kontrolü başarısız", err);
     return null;
   }
 }
 
-export async function action({ request }) {
+// Konfigürasyon kilidi altında çalışır: varyantı bulur veya oluşturur.
+// Sonuç (created | reused | line_item) `context.outcome`'a yazılır.
+async function addToCart(
+  context,
+  {
+    client,
+    session,
+    settings,
+    baseVariantId,
+    boy,
+    en,
+    unit,
+    materyal,
+    attributeInput,
+    clientPrice,
+    quoteToken,
+    requestId,
+    locale,
+  },
+) {
+  const catalog = await import("../catalog.server");
+  const { default: prisma } = await import("../db.server");
+  const { addLogContext, logger, RESPONSE_DEBUG } = await import(
+    "../logger.server"
+  );
+  const { pricesMatch, PRICE_MISMATCH_POLICY } = await import(
+    "../pricing.server"
+  );
+  const { configurationErrorBody, priceConfiguration } = await import(
+    "../configurationPricing.server"
+  );
+  const hostPool = await import("../hostPool.server");
+  const { getShopCurrency, CART_MODES } = await import(
+    "../shopSettings.server"
+  );
+  const { LINE_PROPERTIES } = await import("../cartTransform.server");
+  const { previewPath } = await import("../framePreview");
+  const { formatDimension, formatSize } = await import("../units");
+  const { describeAttributes, formatAttributes, variantOptionValue } =
+    await import("../frameAttributes");
+
+  const shopDomain = session.shop;
+  const t = createTranslator(locale);
+
+  let baseVariant;
   try {
-    // ✅ Dinamik import - Server-only modülleri burada yükle
-    const { authenticate } = await import("../shopify.server");
-    const { sessionStorage } = await import("../shopify.server");
-    const { shopifyApi, LATEST_API_VERSION } = await import(
-      "@shopify/shopify-api"
-    );
-    const { prisma } = await import("../db.server");
+    baseVariant = await catalog.getVariant(client, baseVariantId);
+    if (!baseVariant) throw new Error("Base variant bulunamadı");
+  } catch (err) {
+    logger.error("Base variant alınamadı", { baseVariantId, err });
 
-    const { session } = await authenticate.public.appProxy(request);
+    const isTimeout = err.message.includes("zaman aşımı");
+    return errorResponse(context, isTimeout ? 504 : 400, {
+      error: isTimeout ? t("timeout") : t("product_not_found"),
+      errorType: isTimeout ? "timeout" : "product_not_found",
+    });
+  }
 
-    const adminSession = await sessionStorage.loadSession(session.id);
-    if (!adminSession || !adminSession.id) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "Sistem hatası: Oturum bulunamadı. Lütfen sayfayı yenileyin.",
-          errorType: "session_not_found",
-        }),
-        { status: 401, headers: { "Content-Type": "application/json" } },
-      );
-    }
+  const currency = await getShopCurrency(client, settings);
+  const money = (amount) => formatPrice(Number(amount), currency, locale);
 
-    const api = shopifyApi({
-      apiKey: process.env.SHOPIFY_API_KEY,
-      apiSecretKey: process.env.SHOPIFY_API_SECRET || "",
-      scopes: process.env.SCOPES?.split(","),
-      hostName: (process.env.SHOPIFY_APP_URL || "").replace(/^https?:\/\//, ""),
-      apiVersion: LATEST_API_VERSION,
+  // Bilinmeyen veya pasif materyal reddedilir; imzalı teklif varsa
+  // teklifteki fiyat birebir uygulanır
+  let configuration;
+  try {
+    configuration = await priceConfiguration(shopDomain, {
+      settings,
+      baseVariantId,
+      baseVariant,
+      boy,
+      en,
+      unit,
+      materyal,
+      attributeInput,
+      quoteToken,
     });
+  } catch (err) {
+    const body = configurationErrorBody(err, locale);
+    if (!body) throw err;
+    return errorResponse(context, 400, body);
+  }
 
-    const admin = new api.clients.Rest({ session: adminSession });
+  // Fiyat, ağırlık ve kurallar kanonik cm ile; varyant başlığı ve satır
+  // özellikleri müşterinin birimiyle. Seçenekler normalize edilmiş metinden
+  // oluşur ("30" ile "30.0" aynı varyanta gider).
+  const { dimensions, material, attributeSchema, attributes, pricing } =
+    configuration;
+  const { boy: boyCm, en: enCm, unit: unitKey, input } = dimensions;
+  const calculatedPrice = pricing.price;
+  const calculatedWeight = configuration.weight;
+
+  // Ek seçenekler üçüncü seçenekte materyalin yanına yazılır; tam
+  // konfigürasyon varyantın metafield'ında saklanır
+  const options = [
+    formatDimension(input.boy, unitKey),
+    formatDimension(input.en, unitKey),
+    variantOptionValue(material.key, attributes, attributeSchema),
+  ];
+  const size = formatSize(input.boy, input.en, unitKey);
+  const area = Math.round(boyCm * enCm * 100) / 100;
+
+  // Sepette müşterinin dilinde görünen seçenekler ("Cam": "Standart cam")
+  const attributeProperties = Object.fromEntries(
+    describeAttributes(attributes, attributeSchema, locale).map(
+      ({ label, value }) => [label, value],
+    ),
+  );
 
-    const formData = await request.formData();
-    const baseVariantId = formData.get("baseVariantId");
-    const boy = formData.get("boy");
-    const en = formData.get("en");
-    const materyal = formData.get("materyal");
-    const calculatedPriceRaw = formData.get("calculatedPrice");
-    const requestId =
-      formData.get("requestId") || generateRequestId(boy, en, materyal);
+  const previewUrl = `https://${shopDomain}${previewPath({
+    boy: input.boy,
+    en: input.en,
+    unit: unitKey,
+    materyal: material.key,
+  })}`;
 
-    console.log("🔵 İstek alındı:", { boy, en, materyal, calculatedPriceRaw });
+  const priceOverridden =
+    clientPrice !== null && !pricesMatch(clientPrice, calculatedPrice);
 
-    if (!baseVariantId || !boy || !en || !materyal || !calculatedPriceRaw) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: "Eksik bilgi: Lütfen tüm alanları doldurun.",
-          errorType: "validation",
-        }),
-        { status: 400, headers: { "Content-Type": "application/json" } },
-      );
-    }
+  if (priceOverridden) {
+    logger.warn("İstemci fiyatı sunucu fiyatıyla eşleşmiyor", {
+      clientPrice,
+      calculatedPrice,
+      policy: PRICE_MISMATCH_POLICY,
+    });
 
-    let calculatedPrice;
-    try {
-      calculatedPrice = validatePrice(calculatedPriceRaw);
-    } catch (err) {
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: err.message,
-          errorType: "invalid_price",
-        }),
-        { status: 400, headers: { "Content-Type": "application/json" } },
-      );
+    if (PRICE_MISMATCH_POLICY === "reject") {
+      return errorResponse(context, 409, {
+        error: t("price_mismatch"),
+        errorType: "price_mismatch",
+        clientPrice,
+        price: calculatedPrice,
+        breakdown: pricing.breakdown,
+      });
     }
+  }
 
-    cleanupCache();
-    const cacheKey = `${boy}-${en}-${materyal}`;
-    if (requestCache.has(cacheKey)) {
-      const cachedRequest = requestCache.get(cacheKey);
-      if (Date.now() - cachedRequest.timestamp < 3000) {
-        return new Response(
-          JSON.stringify({
-            success: false,
-            error: "İşlem zaten devam ediyor. Lütfen bekleyin...",
-            errorType: "duplicate",
-            retryAfter: 3,
-          }),
-          { status: 429, headers: { "Content-Type": "application/json" } },
-        );
-      }
-    }
+  if (settings.cartMode === CART_MODES.LINE_ITEM_PROPERTIES) {
+    // Varyantsız mod: varyant oluşturulmaz, storefront base varyantı bu
+    // satır özellikleriyle sepete ekler. Satır fiyatını Cart Transform her
+    // sepet hesabında metafield'daki güncel kurallarla yeniden belirler;
+    // buradaki (veya teklifteki) fiyat bir tahmindir ve kurallar değişirse
+    // sepette yeni fiyat görünür.
+    context.outcome = "line_item";
+    return new Response(
+      JSON.stringify({
+        success: true,
+        mode: settings.cartMode,
+        message: t("ready_for_cart"),
+        variant: {
+          id: String(baseVariant.id),
+          gid: `gid://shopify/ProductVariant/${baseVariant.id}`,
+          price: calculatedPrice.toFixed(2),
+          price_numeric: calculatedPrice,
+          currency,
+          formatted_price: money(calculatedPrice),
+          weight: calculatedWeight,
+        },
+        product: {
+          id: String(baseVariant.product_id),
+          variant_id: String(baseVariant.id),
+          price: calculatedPrice.toFixed(2),
+        },
+        properties: {
+          [LINE_PROPERTIES.boy]: options[0],
+          [LINE_PROPERTIES.en]: options[1],
+          [LINE_PROPERTIES.materyal]: material.key,
+          ...attributeProperties,
+          ...(attributeSchema.length
+            ? { [LINE_PROPERTIES.attributes]: JSON.stringify(attributes) }
+            : {}),
+          [LINE_PROPERTIES.preview]: previewUrl,
+        },
+        pricing: pricing.breakdown,
+        previewUrl,
+        unit: unitKey,
+        size,
+        priceOverridden,
+        requestId: requestId,
+      }),
+      {
+        status: 200,
+        headers: {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+        },
+      },
+    );
+  }
 
-    requestCache.set(cacheKey, {
-      timestamp: Date.now(),
-      requestId: requestId,
-    });
+  const baseProductId = baseVariant.product_id;
+
+  const pool = await hostPool.getHostPool(shopDomain, baseProductId, () =>
+    catalog.countProductVariants(client, baseProductId),
+  );
 
-    const boyInt = parseInt(String(boy), 10);
-    const enInt = parseInt(String(en), 10);
-    const area = boyInt * enInt;
+  const existingVariant = await hostPool.findExistingVariantInPool(
+    client,
+    pool,
+    options,
+    attributes,
+  );
+  let productId = existingVariant?.product_id || baseProductId;
 
-    const calculatedWeight = calculateWeight(boyInt, enInt, materyal);
+  if (existingVariant) {
+    addLogContext({ variantId: String(existingVariant.id) });
+    logger.info("Mevcut varyant kullanılıyor");
 
-    let baseVariant;
     try {
-      const variantResponse = await withTimeout(
-        admin.get({ path: `variants/${baseVariantId}` }),
+      const updatedVariant = await catalog.updateVariantPrice(
+        client,
+        existingVariant.product_id,
+        existingVariant.id,
+        calculatedPrice.toFixed(2),
+      );
+
+      logger.info("Varyant fiyatı güncellendi", {
+        price: updatedVariant?.price,
+      });
+
+      context.outcome = "reused";
+      return new Response(
+        JSON.stringify({
+          success: true,
+          message: t("existing_variant_used"),
+          variant: {
+            id: String(updatedVariant?.id || existingVariant.id),
+            gid: `gid://shopify/ProductVariant/${updatedVariant?.id || existingVariant.id}`,
+            price: String(updatedVariant?.price || calculatedPrice),
+            currency,
+            formatted_price: money(updatedVariant?.price || calculatedPrice),
+          },
+          product: {
+            id: String(productId),
+            variant_id: String(updatedVariant?.id || existingVariant.id),
+            price: String(updatedVariant?.price || calculatedPrice),
+          },
+          properties: attributeProperties,
+          pricing: pricing.breakdown,
+          previewUrl,
+          unit: unitKey,
+          size,
+          priceOverridden,
+          usedExisting: true,
+          requestId: requestId,
+        }),
+        {
+          status: 200,
+          headers: {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+          },
+        },
       );
-      baseVariant = variantResponse.body?.variant;
-      if (!baseVariant) throw new Error("Base variant bulunamadı");
     } catch (err) {
-      console.error("Base variant getirme hatası:", err);
-      requestCache.delete(cacheKey);
+      logger.error("Varyant fiyatı güncellenemedi", err);
 
-      const isTimeout = err.message.includes("zaman aşımı");
+      context.outcome = "reused";
       return new Response(
         JSON.stringify({
-          success: false,
-          error: isTimeout
-            ? "İstek zaman aşımına uğradı. Lütfen tekrar deneyin."
-            : "Ürün bilgileri alınamadı. Lütfen sayfayı yenileyin.",
-          errorType: isTimeout ? "timeout" : "product_not_found",
+          success: true,
+          message: t("existing_variant_used"),
+          variant: {
+            id: String(existingVariant.id),
+            gid: `gid://shopify/ProductVariant/${existingVariant.id}`,
+            price: String(existingVariant.price || calculatedPrice),
+            currency,
+            formatted_price: money(existingVariant.price || calculatedPrice),
+          },
+          product: {
+            id: String(productId),
+            variant_id: String(existingVariant.id),
+            price: String(existingVariant.price || calculatedPrice),
+          },
+          properties: attributeProperties,
+          pricing: pricing.breakdown,
+          previewUrl,
+          unit: unitKey,
+          size,
+          priceOverridden,
+          usedExisting: true,
+          requestId: requestId,
         }),
         {
-          status: isTimeout ? 504 : 400,
-          headers: { "Content-Type": "application/json" },
+          status: 200,
+          headers: {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+          },
         },
       );
     }
+  }
 
-    const productId = baseVariant.product_id;
+  const timestamp = Date.now();
+  const randomSuffix = Math.random().toString(36).substring(2, 8);
 
-    const existingVariant = await findExistingVariant(
-      admin,
-      productId,
-      boy,
-      en,
-      materyal,
+  const priceString = calculatedPrice.toFixed(2);
+
+  const variantData = {
+    price: priceString,
+    sku: `CUSTOM-${timestamp}-${randomSuffix}`,
+    options,
+    weight: calculatedWeight,
+    configuration: {
+      boy: boyCm,
+      en: enCm,
+      unit: unitKey,
+      materyal: material.key,
+      attributes,
+    },
+  };
+
+  logger.debug("Yeni varyant oluşturuluyor", { variant: variantData });
+
+  let newVariant;
+  try {
+    const created = await hostPool.createVariantInPool(client, {
+      pool,
+      shopDomain,
+      baseProductId,
+      variant: variantData,
+    });
+    newVariant = created.variant;
+    productId = created.productId;
+
+    if (!newVariant) {
+      throw new Error("Shopify boş response döndü");
+    }
+
+    addLogContext({ variantId: String(newVariant.id) });
+    logger.info("Varyant oluşturuldu", {
+      productId: String(productId),
+      price: newVariant.price,
+    });
+
+    const readyVariant = await waitForVariantReady(
+      catalog,
+      logger,
+      client,
+      newVariant.id,
+      calculatedPrice,
     );
 
-    if (existingVariant) {
-      console.log("✅ Mevcut varyant bulundu:", existingVariant.id);
+    if (readyVariant) {
+      newVariant = readyVariant;
+      logger.debug("Varyant doğrulandı", { price: newVariant.price });
+    }
+
+    if (
+      !newVariant.price ||
+      newVariant.price === "0" ||
+      newVariant.price === "0.00"
+    ) {
+      logger.warn("Varyant fiyatı boş, elle güncelleniyor");
 
       try {
-        await withTimeout(
-          admin.put({
-            path: `variants/${existingVariant.id}`,
-            data: {
-              variant: {
-                id: existingVariant.id,
-                price: String(calculatedPrice),
-              },
-            },
-            type: "application/json",
-          }),
+        newVariant = await catalog.updateVariantPrice(
+          client,
+          productId,
+          newVariant.id,
+          priceString,
         );
 
-        await new Promise((resolve) => setTimeout(resolve, 300));
-        const updatedResponse = await admin.get({
-          path: `variants/${existingVariant.id}`,
+        logger.info("Varyant fiyatı elle güncellendi", {
+          price: newVariant.price,
         });
-        const updatedVariant = updatedResponse.body?.variant;
-
-        console.log("💰 Fiyat güncellendi:", updatedVariant?.price);
-
-        requestCache.delete(cacheKey);
+      } catch (updateErr) {
+        logger.error("Varyant fiyatı elle güncellenemedi", updateErr);
+      }
+    }
+  } catch (err) {
+    logger.error("Varyant oluşturulamadı", err);
 
-        return new Response(
-          JSON.stringify({
-            success: true,
-            message: "Mevcut ürün kullanıldı",
-            variant: {
-              id: String(updatedVariant?.id || existingVariant.id),
-              gid: `gid://shopify/ProductVariant/${updatedVariant?.id || existingVariant.id}`,
-              price: String(updatedVariant?.price || calculatedPrice),
-              formatted_price: `${updatedVariant?.price || calculatedPrice} TL`,
-            },
-            product: {
-              id: String(productId),
-              variant_id: String(updatedVariant?.id || existingVariant.id),
-              price: String(updatedVariant?.price || calculatedPrice),
-            },
-            usedExisting: true,
-            requestId: requestId,
-          }),
-          {
-            status: 200,
-            headers: {
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "*",
-            },
-          },
-        );
-      } catch (err) {
-        console.error("Fiyat güncelleme hatası:", err);
-        requestCache.delete(cacheKey);
+    const alreadyExists = (err.userErrors || []).some((e) =>
+      /already exists/i.test(e.message),
+    );
+    if (alreadyExists) {
+      logger.info("Varyant zaten var, yeniden aranıyor");
+      const retryVariant = await hostPool.findExistingVariantInPool(
+        client,
+        pool,
+        options,
+        attributes,
+      );
 
+      if (retryVariant) {
+        context.outcome = "reused";
         return new Response(
           JSON.stringify({
             success: true,
-            message: "Mevcut ürün kullanıldı",
+            message: t("existing_variant_used"),
             variant: {
-              id: String(existingVariant.id),
-              gid: `gid://shopify/ProductVariant/${existingVariant.id}`,
-              price: String(existingVariant.price || calculatedPrice),
-              formatted_price: `${existingVariant.price || calculatedPrice} TL`,
+              id: String(retryVariant.id),
+              gid: `gid://shopify/ProductVariant/${retryVariant.id}`,
+              price: String(retryVariant.price || calculatedPrice),
+              currency,
+              formatted_price: money(retryVariant.price || calculatedPrice),
             },
             product: {
-              id: String(productId),
-              variant_id: String(existingVariant.id),
-              price: String(existingVariant.price || calculatedPrice),
+              id: String(retryVariant.product_id || productId),
+              variant_id: String(retryVariant.id),
+              price: String(retryVariant.price || calculatedPrice),
             },
+            properties: attributeProperties,
+            pricing: pricing.breakdown,
+            previewUrl,
+            unit: unitKey,
+            size,
+            priceOverridden,
             usedExisting: true,
             requestId: requestId,
           }),
           {
             status: 200,
-            headers: {
-              "Content-Type": "application/json",
-              "Access-Control-Allow-Origin": "*",
-            },
+            headers: { "Content-Type": "application/json" },
           },
         );
       }
     }
 
-    const timestamp = Date.now();
-    const randomSuffix = Math.random().toString(36).substring(2, 8);
+    const isTimeout = err.message.includes("zaman aşımı");
+    return errorResponse(context, isTimeout ? 504 : 500, {
+      error: isTimeout ? t("creation_timeout") : t("creation_failed"),
+      errorType: isTimeout ? "timeout" : "creation_failed",
+      ...(RESPONSE_DEBUG && { details: err.message }),
+    });
+  }
 
-    const priceString = calculatedPrice.toFixed(2);
+  if (!newVariant) {
+    throw new Error("Shopify variant oluşturulamadı (boş response).");
+  }
 
-    const variantData = {
-      variant: {
-        product_id: productId,
-        price: priceString,
-        sku: `CUSTOM-${timestamp}-${randomSuffix}`,
-        inventory_management: "shopify",
-        inventory_policy: "continue",
-        inventory_quantity: 9999,
-        requires_shipping: true,
-        taxable: true,
-        option1: `${boy}`,
-        option2: `${en}`,
-        option3: `${materyal}`,
-        weight: calculatedWeight,
-        weight_unit: "g",
-        compare_at_price: null,
+  const scheduledDeletionAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+  try {
+    await prisma.temporaryProduct.create({
+      data: {
+        productId: String(productId),
+        variantId: String(newVariant.id),
+        baseVariantId: String(baseVariantId),
+        scheduledDeletionAt,
+        boy: boyCm,
+        en: enCm,
+        unit: unitKey,
+        materyal: material.key,
+        attributes,
+        calculatedPrice: calculatedPrice,
+        area,
+        shopDomain,
+        sessionId: session.id,
       },
-    };
+    });
 
-    console.log("📦 Yeni varyant oluşturuluyor:", {
-      price: priceString,
-      priceType: typeof priceString,
-      weight: calculatedWeight,
-      fullData: variantData,
+    await prisma.cleanupLog.create({
+      data: {
+        action: "variant_created",
+        shopDomain,
+        productId: String(productId),
+        variantId: String(newVariant.id),
+        message: `Temporary variant created: ${[size, material.key, formatAttributes(attributes, attributeSchema)].filter(Boolean).join(", ")}, ${calculatedWeight}g, ${newVariant.price} ${currency}`,
+      },
     });
+  } catch (dbErr) {
+    logger.error("Geçici varyant kaydı yazılamadı", dbErr);
+  }
 
-    let newVariant;
-    try {
-      const variantResponse = await withTimeout(
-        admin.post({
-          path: `products/${productId}/variants`,
-          data: variantData,
-          type: "application/json",
-        }),
-      );
-      newVariant = variantResponse.body?.variant;
+  const finalPrice = newVariant.price || calculatedPrice;
+  const finalPriceString = String(finalPrice);
+
+  const debug = {
+    originalPrice: newVariant.price,
+    calculatedPrice: calculatedPrice,
+    priceString: priceString,
+  };
+  logger.debug("Sepete ekleme yanıtı hazır", debug);
+
+  context.outcome = "created";
+  return new Response(
+    JSON.stringify({
+      success: true,
+      message: t("variant_created"),
+      variant: {
+        id: String(newVariant.id),
+        gid: `gid://shopify/ProductVariant/${newVariant.id}`,
+        price: finalPriceString,
+        price_numeric: parseFloat(finalPrice),
+        currency,
+        formatted_price: money(finalPrice),
+        weight: calculatedWeight,
+      },
+      product: {
+        id: String(productId),
+        variant_id: String(newVariant.id),
+        price: finalPriceString,
+      },
+      ...(RESPONSE_DEBUG && { debug }),
+      properties: attributeProperties,
+      pricing: pricing.breakdown,
+      previewUrl,
+      unit: unitKey,
+      size,
+      priceOverridden,
+      usedExisting: false,
+      requestId: requestId,
+    }),
+    {
+      status: 200,
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Cache-Control": "no-cache",
+      },
+    },
+  );
+}
 
-      if (!newVariant) {
-        throw new Error("Shopify boş response döndü");
-      }
+// Hız sınırı kontrolünden sonraki her yanıt kalan hakkı RateLimit-*
+// başlıklarıyla bildirir; sonuç `context.rateLimit`'e yazılır. Metrik sonucu
+// `context.outcome` veya (hata yanıtlarında) `context.errorType`'tır.
+async function handleAddToCart(request, context) {
+  // Form okunana kadar Accept-Language; sonra storefront'un gönderdiği `locale`
+  let locale = resolveLocale(request);
 
-      console.log("🆕 Varyant oluşturuldu - İlk response:", {
-        id: newVariant.id,
-        price: newVariant.price,
-        priceType: typeof newVariant.price,
+  try {
+    // ✅ Dinamik import - Server-only modülleri burada yükle
+    const { authenticate } = await import("../shopify.server");
+    const { addLogContext, logger } = await import("../logger.server");
+    const { createAdminClient } = await import("../adminClient.server");
+    const { validatePrice } = await import("../pricing.server");
+    const { normalizeMaterialKey } = await import("../materials");
+    const { getShopSettings } = await import("../shopSettings.server");
+    const { canonicalDimensions } = await import("../dimensions");
+    const { getUnitSettings } = await import("../units");
+    const { attributesSignature, parseAttributeInput, AttributeError } =
+      await import("../frameAttributes");
+
+    const { session, admin } = await authenticate.public.appProxy(request);
+
+    if (!session || !admin) {
+      return errorResponse(context, 401, {
+        error: translate(locale, "session_not_found"),
+        errorType: "session_not_found",
       });
+    }
 
-      const readyVariant = await waitForVariantReady(
-        admin,
-        newVariant.id,
-        calculatedPrice,
-      );
-
-      if (readyVariant) {
-        newVariant = readyVariant;
-        console.log("✅ Varyant doğrulandı. Final price:", newVariant.price);
-      }
-
-      if (
-        !newVariant.price ||
-        newVariant.price === "0" ||
-        newVariant.price === "0.00"
-      ) {
-        console.warn("⚠️ Fiyat 0 veya null, manuel güncelleme yapılıyor...");
-
-        try {
-          await admin.put({
-            path: `variants/${newVariant.id}`,
-            data: {
-              variant: {
-                id: newVariant.id,
-                price: priceString,
-              },
-            },
-            type: "application/json",
-          });
-
-          await new Promise((resolve) => setTimeout(resolve, 500));
-          const updatedResponse = await admin.get({
-            path: `variants/${newVariant.id}`,
-          });
-          newVariant = updatedResponse.body?.variant;
-
-          console.log("🔄 Manuel güncelleme sonrası price:", newVariant.price);
-        } catch (updateErr) {
-          console.error("❌ Manuel fiyat güncelleme hatası:", updateErr);
-        }
-      }
-    } catch (err) {
-      console.error("❌ Variant oluşturma hatası:", err);
-      requestCache.delete(cacheKey);
-
-      if (err.response?.body?.errors?.base?.[0]?.includes("already exists")) {
-        console.log("🔄 Varyant zaten var, tekrar aranıyor...");
-        const retryVariant = await findExistingVariant(
-          admin,
-          productId,
-          boy,
-          en,
-          materyal,
-        );
+    const shopDomain = session.shop;
+    const client = createAdminClient(admin, shopDomain);
+    addLogContext({ shop: shopDomain });
 
-        if (retryVariant) {
-          return new Response(
-            JSON.stringify({
-              success: true,
-              message: "Mevcut ürün kullanıldı",
-              variant: {
-                id: String(retryVariant.id),
-                gid: `gid://shopify/ProductVariant/${retryVariant.id}`,
-                price: String(retryVariant.price || calculatedPrice),
-                formatted_price: `${retryVariant.price || calculatedPrice} TL`,
-              },
-              product: {
-                id: String(productId),
-                variant_id: String(retryVariant.id),
-                price: String(retryVariant.price || calculatedPrice),
-              },
-              usedExisting: true,
-              requestId: requestId,
-            }),
-            {
-              status: 200,
-              headers: { "Content-Type": "application/json" },
-            },
-          );
-        }
-      }
-
-      const isTimeout = err.message.includes("zaman aşımı");
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: isTimeout
-            ? "Ürün oluşturma zaman aşımına uğradı. Lütfen tekrar deneyin."
-            : "Ürün oluşturulurken bir hata oluştu.",
-          errorType: isTimeout ? "timeout" : "creation_failed",
-          details: err.message,
+    const formData = await request.formData();
+    locale = resolveLocale(request, formData);
+
+    const { checkRateLimit } = await import("../rateLimit.server");
+    const rateLimit = await checkRateLimit(request, "add-to-cart", shopDomain);
+    context.rateLimit = rateLimit;
+    if (rateLimit && !rateLimit.allowed) {
+      return errorResponse(context, 429, {
+        error: translate(locale, "rate_limited", {
+          seconds: rateLimit.retryAfter,
         }),
-        {
-          status: isTimeout ? 504 : 500,
-          headers: { "Content-Type": "application/json" },
-        },
-      );
+        errorType: "rate_limited",
+        retryAfter: rateLimit.retryAfter,
+      });
     }
 
-    if (!newVariant) {
-      requestCache.delete(cacheKey);
-      throw new Error("Shopify variant oluşturulamadı (boş response).");
-    }
+    const baseVariantId = formData.get("baseVariantId");
+    const boy = formData.get("boy");
+    const en = formData.get("en");
+    const unit = formData.get("unit");
+    const materyal = formData.get("materyal");
+    const attributesRaw = formData.get("attributes");
+    const calculatedPriceRaw = formData.get("calculatedPrice");
+    const quoteToken = formData.get("quoteToken");
+    const requestId =
+      formData.get("requestId") || generateRequestId(boy, en, materyal);
 
-    const scheduledDeletionAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    // İstemcinin requestId'si tekrar denemelerde de aynı kalır; loglar onunla
+    // ilişkilendirilir
+    addLogContext({ requestId: String(requestId) });
+    logger.info("Sepete ekleme isteği alındı", {
+      boy,
+      en,
+      unit,
+      materyal,
+      attributes: attributesRaw,
+      calculatedPriceRaw,
+    });
 
-    try {
-      await prisma.temporaryProduct.create({
-        data: {
-          productId: String(productId),
-          variantId: String(newVariant.id),
-          scheduledDeletionAt,
-          boy: boyInt,
-          en: enInt,
-          materyal: String(materyal),
-          calculatedPrice: calculatedPrice,
-          area,
-          shopDomain: session?.shop || adminSession?.shop || "",
-          sessionId: adminSession.id,
-        },
+    if (!baseVariantId || !boy || !en || !materyal) {
+      return errorResponse(context, 400, {
+        error: translate(locale, "missing_fields"),
+        errorType: "validation",
       });
+    }
 
-      await prisma.cleanupLog.create({
-        data: {
-          action: "variant_created",
-          productId: String(productId),
-          variantId: String(newVariant.id),
-          message: `Temporary variant created: ${boy}×${en}cm, ${materyal}, ${calculatedWeight}g, ${newVariant.price} TL`,
-        },
+    // Şemaya göre doğrulama addToCart'ta; burada yalnızca biçim denetlenir
+    let attributeInput;
+    try {
+      attributeInput = parseAttributeInput(attributesRaw);
+    } catch (err) {
+      if (!(err instanceof AttributeError)) throw err;
+      return errorResponse(context, 400, {
+        error: err.localize(locale),
+        errorType: err.errorType,
       });
-    } catch (dbErr) {
-      console.error("DB kaydı oluşturulamadı:", dbErr);
     }
 
-    requestCache.delete(cacheKey);
+    let clientPrice = null;
+    try {
+      if (calculatedPriceRaw) {
+        clientPrice = validatePrice(calculatedPriceRaw);
+      }
+    } catch (err) {
+      return errorResponse(context, 400, {
+        error: err.localize(locale),
+        errorType: "invalid_price",
+      });
+    }
 
-    const finalPrice = newVariant.price || calculatedPrice;
-    const finalPriceString = String(finalPrice);
+    const {
+      beginIdempotentRequest,
+      completeIdempotentRequest,
+      keepIdempotentRequestAlive,
+      releaseIdempotentRequest,
+      requestHash,
+      withConfigurationLock,
+      configurationLockKey,
+      IdempotencyError,
+    } = await import("../idempotency.server");
+
+    // Kilit ve tekrar anahtarı normalize edilmiş konfigürasyondan üretilir:
+    // "30 cm" ile "300 mm", "12" ile "12.0", "Keten" ile "keten" aynıdır.
+    // Çözülemeyen ölçü addToCart'ta reddedilir; anahtarda ham metin kalır.
+    const settings = await getShopSettings(shopDomain);
+    const size = canonicalDimensions(
+      { boy, en, unit },
+      getUnitSettings(settings),
+    ) || { boy: String(boy), en: String(en) };
+    const configuration = {
+      baseVariantId: String(baseVariantId),
+      boy: size.boy,
+      en: size.en,
+      materyal: normalizeMaterialKey(materyal),
+      attributes: attributesSignature(attributeInput),
+    };
+    const hash = requestHash([configuration, quoteToken || null, clientPrice]);
 
-    console.log("🎉 Response hazırlanıyor:", {
-      variantId: newVariant.id,
-      price: finalPrice,
-      priceString: finalPriceString,
-      calculatedPrice,
-      match: finalPrice == calculatedPrice,
-    });
+    let replay;
+    try {
+      replay = await beginIdempotentRequest(
+        shopDomain,
+        String(requestId),
+        hash,
+      );
+    } catch (err) {
+      if (!(err instanceof IdempotencyError)) throw err;
+      const mismatch = err.errorType === "request_mismatch";
+      if (mismatch) {
+        logger.warn("requestId farklı bir istek gövdesiyle tekrar kullanıldı");
+      }
+      return errorResponse(context, mismatch ? 422 : 409, {
+        error: err.localize(locale),
+        errorType: err.errorType,
+        ...(!mismatch && { retryAfter: 3 }),
+      });
+    }
 
-    return new Response(
-      JSON.stringify({
-        success: true,
-        message: "Yeni ürün oluşturuldu",
-        variant: {
-          id: String(newVariant.id),
-          gid: `gid://shopify/ProductVariant/${newVariant.id}`,
-          price: finalPriceString,
-          price_numeric: parseFloat(finalPrice),
-          formatted_price: `${finalPrice} TL`,
-          weight: calculatedWeight,
-        },
-        product: {
-          id: String(productId),
-          variant_id: String(newVariant.id),
-          price: finalPriceString,
-        },
-        debug: {
-          originalPrice: newVariant.price,
-          calculatedPrice: calculatedPrice,
-          priceString: priceString,
-        },
-        usedExisting: false,
-        requestId: requestId,
-      }),
-      {
-        status: 200,
+    if (replay) {
+      logger.info("Tekrar deneme, kayıtlı yanıt döndürülüyor");
+      context.outcome = "replayed";
+      return new Response(replay.body, {
+        status: replay.status,
         headers: {
           "Content-Type": "application/json",
           "Access-Control-Allow-Origin": "*",
-          "Cache-Control": "no-cache",
+          "Idempotent-Replayed": "true",
         },
-      },
+      });
+    }
+
+    // Varyant oluşturma + hazır olma beklemesi LOCK_TTL_MS'i aşabilir; anahtar
+    // iş bitene kadar canlı tutulur
+    const stopHeartbeat = keepIdempotentRequestAlive(
+      shopDomain,
+      String(requestId),
     );
+    let response;
+    try {
+      response = await withConfigurationLock(
+        configurationLockKey(shopDomain, configuration),
+        () =>
+          addToCart(context, {
+            client,
+            session,
+            settings,
+            baseVariantId,
+            boy,
+            en,
+            unit,
+            materyal,
+            attributeInput,
+            clientPrice,
+            quoteToken,
+            requestId,
+            locale,
+          }),
+      );
+    } catch (err) {
+      await releaseIdempotentRequest(shopDomain, String(requestId));
+      if (!(err instanceof IdempotencyError)) throw err;
+      return errorResponse(context, 503, {
+        error: err.localize(locale),
+        errorType: err.errorType,
+        retryAfter: 3,
+      });
+    } finally {
+      stopHeartbeat();
+    }
+
+    await completeIdempotentRequest(shopDomain, String(requestId), response);
+    return response;
   } catch (error) {
-    console.error("Variant oluşturma hatası:", error);
-    return new Response(
-      JSON.stringify({
-        success: false,
-        error: "Sistem hatası: Lütfen daha sonra tekrar deneyin.",
-        errorType: "system_error",
-        details:
-          process.env.NODE_ENV === "development" ? error.stack : undefined,
-      }),
-      {
-        status: 500,
-        headers: { "Content-Type": "application/json" },
-      },
-    );
+    const { logger, RESPONSE_DEBUG } = await import("../logger.server");
+    logger.error("Sepete ekleme başarısız", error);
+    return errorResponse(context, 500, {
+      error: translate(locale, "system_error"),
+      errorType: "system_error",
+      details: RESPONSE_DEBUG ? error.stack : undefined,
+    });
   }
 }
 
+export async function action({ request }) {
+  const { correlationId, logger, runWithLogContext } = await import(
+    "../logger.server"
+  );
+  const { withRateLimitHeaders } = await import("../rateLimit.server");
+  const { recordAddToCart } = await import("../metrics.server");
+
+  return runWithLogContext(
+    { route: "add-to-cart", requestId: correlationId(request) },
+    async () => {
+      const startedAt = Date.now();
+      const context = { rateLimit: null, outcome: null, errorType: null };
+      const response = await handleAddToCart(request, context);
+      const durationMs = Date.now() - startedAt;
+
+      logger.info("Sepete ekleme isteği tamamlandı", {
+        status: response.status,
+        durationMs,
+      });
+      recordAddToCart(context, durationMs / 1000);
+      return withRateLimitHeaders(response, context.rateLimit);
+    },
+  );
+}
+
 export async function loader({ request }) {
   if (request.method === "OPTIONS") {
     return new Response(null, {
@@ -634,8 +843,13 @@ export async function loader({ request }) {
       },
     });
   }
-  return new Response(JSON.stringify({ error: "Method not allowed" }), {
-    status: 405,
-    headers: { "Content-Type": "application/json" },
-  });
+  return new Response(
+    JSON.stringify({
+      error: translate(resolveLocale(request), "method_not_allowed"),
+    }),
+    {
+      status: 405,
+      headers: { "Content-Type": "application/json" },
+    },
+  );
 }
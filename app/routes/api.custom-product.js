@@ -1,171 +1,247 @@
-// app/routes/api.custom-product.jsx
+// app/routes/api.custom-product.js
+// B2B teklif talebi: ürün veya taslak sipariş oluşturmaz, talebi kaydeder.
+// Personel admin panelinde (Quotes) fiyatı ve teslim süresini düzenleyip
+// onaylar; taslak sipariş ve fatura onayda oluşturulur. Talep edilen fiyat
+// api.quote ile aynı hatta sunucuda hesaplanır. Müşteri durumu
+// /apps/customizer/quote-status ile sorgular.
+import { resolveLocale, translate } from "../messages";
+
+const MAX_QUANTITY = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Expose-Headers":
+        "Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset",
+    },
+  });
+}
+
+// Serbest metin alanları kırpılır ve uzunlukları sınırlanır
+function textField(formData, name, maxLength = 200) {
+  const value = String(formData.get(name) ?? "").trim();
+  return value ? value.slice(0, maxLength) : null;
+}
+
+// Hız sınırı kontrolünden sonraki her yanıt kalan hakkı RateLimit-*
+// başlıklarıyla bildirir; sonuç `context.rateLimit`'e yazılır.
+async function handleQuoteRequest(request, context) {
+  let locale = resolveLocale(request);
 
-// Handle POST (create custom product + draft order)
-export async function action({ request }) {
   try {
     // ✅ Dinamik import - tüm server-only modüller
-    const {
-      authenticate,
-      sessionStorage,
-      default: shopify,
-    } = await import("../shopify.server");
-
-    const { shopifyApi, LATEST_API_VERSION } = await import(
-      "@shopify/shopify-api"
+    const { authenticate } = await import("../shopify.server");
+    const { addLogContext } = await import("../logger.server");
+    const { createAdminClient } = await import("../adminClient.server");
+    const { getVariant } = await import("../catalog.server");
+    const { getShopSettings } = await import("../shopSettings.server");
+    const { configurationErrorBody, priceConfiguration } = await import(
+      "../configurationPricing.server"
+    );
+    const { parseAttributeInput } = await import("../frameAttributes");
+    const { createQuoteRequest, toPublicQuoteRequest } = await import(
+      "../quoteRequests.server"
     );
 
     // authenticate via app proxy
-    const { session } = await authenticate.public.appProxy(request);
-
-    // load admin session
-    const adminSession = await sessionStorage.loadSession(session.id);
-    if (!adminSession) {
-      throw new Error("Admin session bulunamadı");
+    const { session, admin } = await authenticate.public.appProxy(request);
+    if (!session || !admin) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "session_not_found"),
+          errorType: "session_not_found",
+        },
+        401,
+      );
     }
 
-    // setup shopify admin client
-    const api = shopifyApi({
-      apiKey: process.env.SHOPIFY_API_KEY,
-      apiSecretKey: process.env.SHOPIFY_API_SECRET || "",
-      scopes: process.env.SCOPES?.split(","),
-      hostName: process.env.SHOPIFY_APP_URL?.replace(/^https?:\/\//, ""),
-      apiVersion: LATEST_API_VERSION,
-    });
-
-    const admin = new api.clients.Rest({ session: adminSession });
-
     // get form data
     const formData = await request.formData();
-    const boy = formData.get("boy");
-    const en = formData.get("en");
+    locale = resolveLocale(request, formData);
+    addLogContext({ shop: session.shop });
+
+    const { checkRateLimit } = await import("../rateLimit.server");
+    const rateLimit = await checkRateLimit(
+      request,
+      "custom-product",
+      session.shop,
+    );
+    context.rateLimit = rateLimit;
+    if (rateLimit && !rateLimit.allowed) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "rate_limited", {
+            seconds: rateLimit.retryAfter,
+          }),
+          errorType: "rate_limited",
+          retryAfter: rateLimit.retryAfter,
+        },
+        429,
+      );
+    }
+
+    const baseVariantId = formData.get("baseVariantId");
     const materyal = formData.get("materyal");
-    const calculatedPrice = formData.get("calculatedPrice");
 
-    if (!boy || !en || !materyal || !calculatedPrice) {
-      return new Response(
-        JSON.stringify({
+    if (
+      !baseVariantId ||
+      !formData.get("boy") ||
+      !formData.get("en") ||
+      !materyal
+    ) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "custom_product_missing_fields"),
+          errorType: "validation",
+        },
+        400,
+      );
+    }
+
+    // App proxy imzası logged_in_customer_id'yi de kapsar
+    const customerId =
+      new URL(request.url).searchParams.get("logged_in_customer_id") || null;
+    const email = textField(formData, "email");
+
+    if (!email && !customerId) {
+      return jsonResponse(
+        {
           success: false,
-          error: "Eksik parametreler: boy, en, materyal ve fiyat gerekli",
-        }),
+          error: translate(locale, "quote_request_contact_required"),
+          errorType: "validation",
+        },
+        400,
+      );
+    }
+    if (email && !EMAIL_PATTERN.test(email)) {
+      return jsonResponse(
         {
-          status: 400,
-          headers: { "Content-Type": "application/json" },
+          success: false,
+          error: translate(locale, "quote_request_invalid_email"),
+          errorType: "validation",
         },
+        400,
       );
     }
 
-    const productTitle = `Özel Masa ${boy}×${en}cm - ${materyal}`;
-    const productHandle = `ozel-masa-${boy}x${en}-${materyal
-      .toLowerCase()
-      .replace(/\s+/g, "-")}-${Date.now()}`;
-    const area = parseInt(boy) * parseInt(en);
-
-    // 1. create product
-    const productResponse = await admin.post({
-      path: "products",
-      data: {
-        product: {
-          title: productTitle,
-          handle: productHandle,
-          body_html: `
-            <h3>Özel Tasarım Masa</h3>
-            <ul>
-              <li><strong>Boy:</strong> ${boy} cm</li>
-              <li><strong>En:</strong> ${en} cm</li>
-              <li><strong>Materyal:</strong> ${materyal}</li>
-              <li><strong>Alan:</strong> ${area.toLocaleString("tr-TR")} cm²</li>
-            </ul>
-            <p><em>Bu özel tasarım bir üründür.</em></p>
-          `,
-          product_type: "Custom Furniture",
-          vendor: "Custom Design",
-          status: "active",
-          tags: `custom,masa,özel,${materyal.toLowerCase()}`,
-          published_scope: "global",
-          variants: [
-            {
-              price: calculatedPrice,
-              sku: `CUSTOM-${Date.now()}`,
-              inventory_management: null,
-              inventory_policy: "continue",
-              requires_shipping: true,
-              taxable: true,
-              option1: "Default",
-            },
-          ],
+    const quantity = Number(formData.get("quantity") || 1);
+    if (
+      !Number.isInteger(quantity) ||
+      quantity < 1 ||
+      quantity > MAX_QUANTITY
+    ) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "quote_request_invalid_quantity", {
+            max: MAX_QUANTITY,
+          }),
+          errorType: "validation",
         },
-      },
-      type: "application/json",
-    });
+        400,
+      );
+    }
+
+    const client = createAdminClient(admin, session.shop);
+    const baseVariant = await getVariant(client, baseVariantId);
 
-    const product = productResponse.body.product;
-
-    // 2. create draft order
-    const draftOrderResponse = await admin.post({
-      path: "draft_orders",
-      data: {
-        draft_order: {
-          line_items: [
-            {
-              variant_id: product.variants[0].id,
-              quantity: 1,
-              title: product.title,
-              price: calculatedPrice,
-            },
-          ],
-          note: `Özel masa - Boy: ${boy}cm, En: ${en}cm, Materyal: ${materyal}`,
+    if (!baseVariant) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "product_not_found"),
+          errorType: "product_not_found",
         },
-      },
-      type: "application/json",
+        400,
+      );
+    }
+
+    const settings = await getShopSettings(session.shop);
+
+    // İstemcinin gösterdiği fiyat kullanılmaz; ölçü, materyal ve ek
+    // seçenekler doğrulanıp fiyat sunucuda hesaplanır
+    let configuration;
+    try {
+      configuration = await priceConfiguration(session.shop, {
+        settings,
+        baseVariantId,
+        baseVariant,
+        boy: formData.get("boy"),
+        en: formData.get("en"),
+        unit: formData.get("unit"),
+        materyal,
+        attributeInput: parseAttributeInput(formData.get("attributes")),
+      });
+    } catch (err) {
+      const body = configurationErrorBody(err, locale);
+      if (!body) throw err;
+      return jsonResponse(body, 400);
+    }
+
+    const { dimensions, material, attributes, pricing } = configuration;
+    const quote = await createQuoteRequest(session.shop, {
+      baseVariantId: String(baseVariant.id),
+      boy: dimensions.boy,
+      en: dimensions.en,
+      unit: dimensions.unit,
+      materyal: material.key,
+      attributes,
+      quantity,
+      requestedPrice: pricing.price,
+      customerId,
+      email,
+      name: textField(formData, "name"),
+      company: textField(formData, "company"),
+      customerNote: textField(formData, "note", 2000),
     });
 
-    const draftOrder = draftOrderResponse.body.draft_order;
-
-    return new Response(
-      JSON.stringify({
-        success: true,
-        product: {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          variant_id: product.variants[0].id,
-          price: product.variants[0].price,
-          url: `/products/${product.handle}`,
-        },
-        draft_order: {
-          id: draftOrder.id,
-          invoice_url: draftOrder.invoice_url,
-        },
-      }),
-      {
-        status: 200,
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type",
-        },
+    return jsonResponse({
+      success: true,
+      message: translate(locale, "quote_request_created"),
+      quote: {
+        ...toPublicQuoteRequest(quote),
+        // Durum sorgusu için saklanmalı: /apps/customizer/quote-status?token=...
+        token: quote.accessToken,
       },
-    );
+    });
   } catch (error) {
-    console.error("Ürün oluşturma hatası:", error);
-    return new Response(
-      JSON.stringify({
-        success: false,
-        error: "Ürün oluşturulamadı: " + error.message,
-        details: error.stack,
-      }),
+    const { logger } = await import("../logger.server");
+    logger.error("Teklif talebi kaydedilemedi", error);
+    return jsonResponse(
       {
-        status: 500,
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*",
-        },
+        success: false,
+        error: translate(locale, "quote_request_failed"),
+        errorType: "system_error",
       },
+      500,
     );
   }
 }
 
+// Handle POST (create quote request)
+export async function action({ request }) {
+  const { correlationId, runWithLogContext } = await import("../logger.server");
+  const { withRateLimitHeaders } = await import("../rateLimit.server");
+
+  return runWithLogContext(
+    { route: "custom-product", requestId: correlationId(request) },
+    async () => {
+      const context = { rateLimit: null };
+      const response = await handleQuoteRequest(request, context);
+      return withRateLimitHeaders(response, context.rateLimit);
+    },
+  );
+}
+
 // Handle preflight OPTIONS (CORS)
 export async function loader({ request }) {
   if (request.method === "OPTIONS") {
@@ -178,7 +254,8 @@ export async function loader({ request }) {
     });
   }
 
-  return new Response(JSON.stringify({ error: "Method not allowed" }), {
+  const error = translate(resolveLocale(request), "method_not_allowed");
+  return new Response(JSON.stringify({ error }), {
     status: 405,
     headers: { "Content-Type": "application/json" },
   });
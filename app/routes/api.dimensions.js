@@ -0,0 +1,115 @@
+// app/routes/api.dimensions.js
+// Base ürünün ölçü kuralları, mağazanın sunduğu birimler, aktif materyaller
+// ve ek çerçeve seçenekleri: /apps/customizer/dimensions?productId=..&locale=..
+// Storefront bloğu göndermeden önce aynı kurallarla doğrulama yapar; asıl
+// kontrol yine /quote ve /add-to-cart'ta sunucuda yapılır.
+import { resolveLocale, translate } from "../messages";
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      ...headers,
+    },
+  });
+}
+
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      },
+    });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const locale = resolveLocale(request, params);
+
+  try {
+    const { authenticate } = await import("../shopify.server");
+    const { getDimensionRule } = await import("../dimensions.server");
+    const { getShopSettings } = await import("../shopSettings.server");
+    const { getUnitSettings } = await import("../units");
+    const { getActiveMaterials } = await import("../materials.server");
+    const { getFrameAttributes, toStorefrontAttributes } = await import(
+      "../frameAttributes"
+    );
+
+    const { session } = await authenticate.public.appProxy(request);
+
+    if (!session) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "session_not_found"),
+          errorType: "session_not_found",
+        },
+        401,
+      );
+    }
+
+    const productId = params
+      .get("productId")
+      ?.replace("gid://shopify/Product/", "");
+
+    if (!productId) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "missing_product_id"),
+          errorType: "validation",
+        },
+        400,
+      );
+    }
+
+    const [rules, settings, materials] = await Promise.all([
+      getDimensionRule(session.shop, productId),
+      getShopSettings(session.shop),
+      getActiveMaterials(session.shop),
+    ]);
+
+    // Kural değişikliği birkaç dakika içinde storefront'a yansır
+    return jsonResponse(
+      {
+        success: true,
+        productId,
+        rules,
+        units: getUnitSettings(settings),
+        materials: materials.map(
+          ({ key, name, swatchColor, swatchImageUrl }) => ({
+            key,
+            name,
+            swatchColor,
+            swatchImageUrl,
+          }),
+        ),
+        // Etiketler istenen dilde; fiyatlar yalnızca /quote yanıtında
+        attributes: toStorefrontAttributes(
+          getFrameAttributes(settings),
+          locale,
+        ),
+      },
+      200,
+      { "Cache-Control": "public, max-age=300" },
+    );
+  } catch (error) {
+    if (error instanceof Response) throw error;
+
+    const { logger } = await import("../logger.server");
+    logger.error("Ölçü kuralı alınamadı", error);
+    return jsonResponse(
+      {
+        success: false,
+        error: translate(locale, "system_error"),
+        errorType: "system_error",
+      },
+      500,
+    );
+  }
+}
@@ -0,0 +1,78 @@
+// app/routes/api.preview.js
+// Ölçekli SVG önizleme: /apps/customizer/preview?boy=..&en=..&unit=..&materyal=..
+// Storefront bloğu canlı önizleme için, siparişler ise _preview satır
+// özelliğindeki bağlantı üzerinden kullanır.
+import { resolveLocale, translate } from "../messages";
+
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      },
+    });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const locale = resolveLocale(request, params);
+
+  try {
+    const { authenticate } = await import("../shopify.server");
+    const { renderFramePreviewSvg } = await import("../framePreview");
+    const { isUnit } = await import("../units");
+    const { findMaterial, getMaterials } = await import("../materials.server");
+
+    // İmza doğrulaması; önizleme için Admin API gerekmez
+    const { session } = await authenticate.public.appProxy(request);
+
+    const boy = Number(params.get("boy"));
+    const en = Number(params.get("en"));
+    const unit = params.get("unit") || "cm";
+    const materyal = params.get("materyal");
+
+    const sizesValid = [boy, en].every((v) => Number.isFinite(v) && v > 0);
+
+    if (!sizesValid || !isUnit(unit) || !materyal) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: translate(locale, "missing_fields"),
+          errorType: "validation",
+        }),
+        { status: 400, headers: { "Content-Type": "application/json" } },
+      );
+    }
+
+    // Pasif veya silinmiş materyaller de çizilir: eski siparişlerin önizlemesi
+    const material = session
+      ? findMaterial(await getMaterials(session.shop), materyal)
+      : null;
+
+    const svg = renderFramePreviewSvg({ boy, en, materyal, unit, material });
+    return new Response(svg, {
+      status: 200,
+      headers: {
+        "Content-Type": "image/svg+xml; charset=utf-8",
+        "Access-Control-Allow-Origin": "*",
+        // Sorgu parametreleri ve materyal rengi; renk değişikliği en geç
+        // bir gün içinde yansır
+        "Cache-Control": "public, max-age=86400",
+      },
+    });
+  } catch (error) {
+    if (error instanceof Response) throw error;
+
+    const { logger } = await import("../logger.server");
+    logger.error("Önizleme oluşturulamadı", error);
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: translate(locale, "system_error"),
+        errorType: "system_error",
+      }),
+      { status: 500, headers: { "Content-Type": "application/json" } },
+    );
+  }
+}
@@ -0,0 +1,111 @@
+// app/routes/api.quote-status.js
+// B2B teklif talebinin durumu: /apps/customizer/quote-status?token=..
+// Token, api.custom-product yanıtında döner. Token verilmezse giriş yapmış
+// müşterinin (logged_in_customer_id) son talepleri listelenir.
+import { formatPrice, resolveLocale, translate } from "../messages";
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      },
+    });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const locale = resolveLocale(request, params);
+
+  try {
+    const { authenticate } = await import("../shopify.server");
+    const { getShopSettings } = await import("../shopSettings.server");
+    const {
+      findQuoteRequestByToken,
+      listCustomerQuoteRequests,
+      toPublicQuoteRequest,
+    } = await import("../quoteRequests.server");
+
+    const { session } = await authenticate.public.appProxy(request);
+
+    if (!session) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "session_not_found"),
+          errorType: "session_not_found",
+        },
+        401,
+      );
+    }
+
+    const token = params.get("token");
+    const customerId = params.get("logged_in_customer_id");
+
+    if (!token && !customerId) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "missing_fields"),
+          errorType: "validation",
+        },
+        400,
+      );
+    }
+
+    // Para birimi yalnızca kayıtlıysa biçimlendirilir; bu uç nokta Admin
+    // API'ye gitmez
+    const { currencyCode } = await getShopSettings(session.shop);
+    const present = (quote) => {
+      const publicQuote = toPublicQuoteRequest(quote);
+      return {
+        ...publicQuote,
+        currency: currencyCode,
+        formatted_price: currencyCode
+          ? formatPrice(publicQuote.price, currencyCode, locale)
+          : publicQuote.price.toFixed(2),
+      };
+    };
+
+    if (token) {
+      const quote = await findQuoteRequestByToken(session.shop, token);
+      if (!quote) {
+        return jsonResponse(
+          {
+            success: false,
+            error: translate(locale, "quote_request_not_found"),
+            errorType: "quote_request_not_found",
+          },
+          404,
+        );
+      }
+      return jsonResponse({ success: true, quote: present(quote) });
+    }
+
+    const quotes = await listCustomerQuoteRequests(session.shop, customerId);
+    return jsonResponse({ success: true, quotes: quotes.map(present) });
+  } catch (error) {
+    const { logger } = await import("../logger.server");
+    logger.error("Teklif durumu alınamadı", error);
+    return jsonResponse(
+      {
+        success: false,
+        error: translate(locale, "system_error"),
+        errorType: "system_error",
+      },
+      500,
+    );
+  }
+}
@@ -0,0 +1,163 @@
+// app/routes/api.quote.js
+// Salt okunur fiyat teklifi: varyant oluşturmaz veya güncellemez.
+import { formatPrice, resolveLocale, translate } from "../messages";
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+async function handleQuote(request, params) {
+  const locale = resolveLocale(request, params);
+
+  try {
+    const { authenticate } = await import("../shopify.server");
+    const { createAdminClient } = await import("../adminClient.server");
+    const { getVariant } = await import("../catalog.server");
+    const { configurationErrorBody, priceConfiguration } = await import(
+      "../configurationPricing.server"
+    );
+    const { createQuoteToken } = await import("../quote.server");
+    const { getShopCurrency, getShopSettings } = await import(
+      "../shopSettings.server"
+    );
+    const { formatSize } = await import("../units");
+    const { parseAttributeInput } = await import("../frameAttributes");
+
+    const { session, admin } = await authenticate.public.appProxy(request);
+
+    if (!session || !admin) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "session_not_found"),
+          errorType: "session_not_found",
+        },
+        401,
+      );
+    }
+
+    const baseVariantId = params.get("baseVariantId");
+    const materyal = params.get("materyal");
+
+    if (
+      !baseVariantId ||
+      !params.get("boy") ||
+      !params.get("en") ||
+      !materyal
+    ) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "missing_fields"),
+          errorType: "validation",
+        },
+        400,
+      );
+    }
+
+    const client = createAdminClient(admin, session.shop);
+    const baseVariant = await getVariant(client, baseVariantId);
+
+    if (!baseVariant) {
+      return jsonResponse(
+        {
+          success: false,
+          error: translate(locale, "product_not_found"),
+          errorType: "product_not_found",
+        },
+        400,
+      );
+    }
+
+    const settings = await getShopSettings(session.shop);
+
+    let configuration;
+    try {
+      configuration = await priceConfiguration(session.shop, {
+        settings,
+        baseVariantId,
+        baseVariant,
+        boy: params.get("boy"),
+        en: params.get("en"),
+        unit: params.get("unit"),
+        materyal,
+        attributeInput: parseAttributeInput(params.get("attributes")),
+      });
+    } catch (err) {
+      const body = configurationErrorBody(err, locale);
+      if (!body) throw err;
+      return jsonResponse(body, 400);
+    }
+
+    // Fiyat kanonik cm ile hesaplanır; teklif tokenı da cm taşır
+    const { dimensions, material, attributes, pricing, weight } = configuration;
+    const { boy, en, unit, input } = dimensions;
+    const currency = await getShopCurrency(client, settings);
+
+    const { token, expiresAt } = createQuoteToken({
+      shop: session.shop,
+      baseVariantId: String(baseVariantId),
+      boy,
+      en,
+      materyal: material.key,
+      attributes,
+      price: pricing.price,
+      weight,
+      breakdown: pricing.breakdown,
+    });
+
+    return jsonResponse({
+      success: true,
+      mode: settings.cartMode,
+      quote: {
+        unit,
+        size: formatSize(input.boy, input.en, unit),
+        attributes,
+        price: pricing.price.toFixed(2),
+        price_numeric: pricing.price,
+        currency,
+        formatted_price: formatPrice(pricing.price, currency, locale),
+        weight,
+        breakdown: pricing.breakdown,
+        token,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    const { logger } = await import("../logger.server");
+    logger.error("Fiyat teklifi başarısız", error);
+    return jsonResponse(
+      {
+        success: false,
+        error: translate(locale, "system_error"),
+        errorType: "system_error",
+      },
+      500,
+    );
+  }
+}
+
+export async function loader({ request }) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      },
+    });
+  }
+
+  return handleQuote(request, new URL(request.url).searchParams);
+}
+
+export async function action({ request }) {
+  return handleQuote(request, await request.formData());
+}
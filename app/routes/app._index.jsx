@@ -1,240 +1,686 @@
-import { useEffect } from "react";
-import { useFetcher } from "react-router";
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { createAdminClient } from "../adminClient.server";
+import { syncPricingConfig } from "../cartTransform.server";
+import { calculatePrice, DEFAULT_PRICING_RULE } from "../pricing";
+import {
+  ATTRIBUTE_VARIABLE_PREFIXES,
+  DEFAULT_FORMULA,
+  FORMULA_VARIABLES,
+  validateFormula,
+} from "../pricingFormula";
+import { checkDimensions, DEFAULT_DIMENSION_RULE } from "../dimensions";
+import { getMaterials } from "../materials.server";
+
+const SAMPLE_SIZE = { boy: 30, en: 40 };
+
+const LIMIT_FIELDS = ["minBoy", "maxBoy", "minEn", "maxEn", "step"];
+
+// Boş bırakılan oran/alan sınırı "sınırsız" demektir
+function limitsToForm(limits) {
+  return {
+    ...Object.fromEntries(LIMIT_FIELDS.map((f) => [f, String(limits[f])])),
+    maxAspectRatio: limits.maxAspectRatio ? String(limits.maxAspectRatio) : "",
+    maxArea: limits.maxArea ? String(limits.maxArea) : "",
+  };
+}
+
+// Kuralda çarpanı olmayan materyal (katalogdan yeni eklenmiş) 1 ile başlar
+function multiplierFor(multipliers, key) {
+  return String(multipliers[key] ?? multipliers.default ?? 1);
+}
+
+function emptyForm(materials) {
+  return {
+    productId: "",
+    productTitle: "",
+    basePrice: "0",
+    pricePerCm2: String(DEFAULT_PRICING_RULE.pricePerCm2),
+    minimumCharge: String(DEFAULT_PRICING_RULE.minimumCharge),
+    rounding: String(DEFAULT_PRICING_RULE.rounding),
+    formula: "",
+    materialMultipliers: Object.fromEntries(
+      materials.map((m) => [
+        m.key,
+        multiplierFor(DEFAULT_PRICING_RULE.materialMultipliers, m.key),
+      ]),
+    ),
+    limits: limitsToForm(DEFAULT_DIMENSION_RULE),
+  };
+}
+
+function ruleToForm(rule, materials) {
+  const multipliers = {
+    ...DEFAULT_PRICING_RULE.materialMultipliers,
+    ...(rule.materialMultipliers || {}),
+  };
+
+  return {
+    productId: rule.productId,
+    productTitle: rule.productTitle || "",
+    basePrice: "0",
+    pricePerCm2: String(rule.pricePerCm2),
+    minimumCharge: String(rule.minimumCharge),
+    rounding: String(rule.rounding),
+    formula: rule.formula || "",
+    materialMultipliers: Object.fromEntries(
+      materials.map((m) => [m.key, multiplierFor(multipliers, m.key)]),
+    ),
+    limits: limitsToForm(rule.dimensions || DEFAULT_DIMENSION_RULE),
+  };
+}
+
+function formToRule(form) {
+  return {
+    pricePerCm2: parseFloat(form.pricePerCm2),
+    minimumCharge: parseFloat(form.minimumCharge),
+    rounding: parseFloat(form.rounding),
+    formula: String(form.formula || "").trim() || null,
+    materialMultipliers: {
+      ...Object.fromEntries(
+        Object.entries(form.materialMultipliers).map(([key, value]) => [
+          key,
+          parseFloat(value),
+        ]),
+      ),
+      default: DEFAULT_PRICING_RULE.materialMultipliers.default,
+    },
+  };
+}
+
+function formatLimits(limits) {
+  const d = limits || DEFAULT_DIMENSION_RULE;
+  return `${d.minBoy}–${d.maxBoy} × ${d.minEn}–${d.maxEn}`;
+}
+
+function formToLimits(form) {
+  const { limits } = form;
+  return {
+    ...Object.fromEntries(LIMIT_FIELDS.map((f) => [f, Number(limits[f])])),
+    maxAspectRatio: limits.maxAspectRatio
+      ? parseFloat(limits.maxAspectRatio)
+      : null,
+    maxArea: limits.maxArea ? Number(limits.maxArea) : null,
+  };
+}
+
+function validateLimits(limits) {
+  const errors = {};
+
+  for (const f of LIMIT_FIELDS.filter((f) => f !== "step")) {
+    if (!(Number.isInteger(limits[f]) && limits[f] >= 1)) {
+      errors[f] = "Must be a whole number of at least 1";
+    }
+  }
+  if (!(limits.step >= 0.1)) {
+    errors.step = "Step must be at least 0.1 cm";
+  }
+  if (!errors.minBoy && !errors.maxBoy && limits.minBoy > limits.maxBoy) {
+    errors.maxBoy = "Maximum height must not be less than the minimum";
+  }
+  if (!errors.minEn && !errors.maxEn && limits.minEn > limits.maxEn) {
+    errors.maxEn = "Maximum width must not be less than the minimum";
+  }
+  if (limits.maxAspectRatio !== null && !(limits.maxAspectRatio >= 1)) {
+    errors.maxAspectRatio = "Aspect ratio must be 1 or more";
+  }
+  if (
+    limits.maxArea !== null &&
+    !(Number.isInteger(limits.maxArea) && limits.maxArea >= 1)
+  ) {
+    errors.maxArea = "Maximum area must be a whole number of at least 1";
+  }
+
+  return errors;
+}
+
+function validateRule(rule) {
+  const errors = {};
+
+  if (!(rule.pricePerCm2 >= 0)) {
+    errors.pricePerCm2 = "Price per cm² must be zero or more";
+  }
+  if (!(rule.minimumCharge >= 0)) {
+    errors.minimumCharge = "Minimum charge must be zero or more";
+  }
+  if (!(rule.rounding > 0)) {
+    errors.rounding = "Rounding step must be greater than zero";
+  }
+  for (const [key, value] of Object.entries(rule.materialMultipliers)) {
+    if (!(value > 0)) {
+      errors[`material_${key}`] = "Multiplier must be greater than zero";
+    }
+  }
+  if (rule.formula) {
+    const formulaError = validateFormula(rule.formula);
+    if (formulaError) errors.formula = formulaError;
+  }
+
+  return errors;
+}
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
 
-  return null;
+  const [rules, dimensionRules, materials] = await Promise.all([
+    prisma.pricingRule.findMany({
+      where: { shopDomain: session.shop },
+      orderBy: { updatedAt: "desc" },
+    }),
+    prisma.dimensionRule.findMany({ where: { shopDomain: session.shop } }),
+    getMaterials(session.shop),
+  ]);
+
+  return {
+    materials,
+    rules: rules.map((rule) => ({
+      ...rule,
+      dimensions:
+        dimensionRules.find((d) => d.productId === rule.productId) || null,
+    })),
+  };
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
-      },
-    },
-  );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyReactRouterTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
-    {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
-      },
-    },
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const client = createAdminClient(admin, session.shop);
+
+  if (intent === "delete") {
+    const rule = await prisma.pricingRule.findFirst({
+      where: { id: String(formData.get("id")), shopDomain: session.shop },
+    });
+    if (rule) {
+      await prisma.$transaction([
+        prisma.pricingRule.delete({ where: { id: rule.id } }),
+        prisma.dimensionRule.deleteMany({
+          where: { shopDomain: session.shop, productId: rule.productId },
+        }),
+      ]);
+    }
+    await syncPricingConfig(client, session.shop);
+    return { deleted: true };
+  }
+
+  const productId = String(formData.get("productId") || "").replace(
+    "gid://shopify/Product/",
+    "",
   );
-  const variantResponseJson = await variantResponse.json();
+  if (!productId) {
+    return { errors: { productId: "Select a base product" } };
+  }
 
-  return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
+  const form = JSON.parse(String(formData.get("rule")));
+  const rule = formToRule(form);
+  const limits = formToLimits(form);
+  const errors = { ...validateRule(rule), ...validateLimits(limits) };
+  if (Object.keys(errors).length) {
+    return { errors };
+  }
+
+  const data = {
+    productTitle: String(formData.get("productTitle") || "") || null,
+    pricePerCm2: rule.pricePerCm2,
+    minimumCharge: rule.minimumCharge,
+    rounding: rule.rounding,
+    formula: rule.formula,
+    materialMultipliers: rule.materialMultipliers,
+  };
+
+  const where = {
+    shopDomain_productId: { shopDomain: session.shop, productId },
   };
+  await prisma.$transaction([
+    prisma.pricingRule.upsert({
+      where,
+      create: { shopDomain: session.shop, productId, ...data },
+      update: data,
+    }),
+    prisma.dimensionRule.upsert({
+      where,
+      create: { shopDomain: session.shop, productId, ...limits },
+      update: limits,
+    }),
+  ]);
+  await syncPricingConfig(client, session.shop);
+
+  return { saved: true };
 };
 
 export default function Index() {
+  const { rules, materials } = useLoaderData();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
-  const isLoading =
+  const [form, setForm] = useState(() => emptyForm(materials));
+  const [sample, setSample] = useState({
+    ...SAMPLE_SIZE,
+    materyal: materials[0]?.key,
+  });
+
+  const isSaving =
     ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
-  const productId = fetcher.data?.product?.id.replace(
-    "gid://shopify/Product/",
-    "",
-  );
+    fetcher.formData?.get("intent") === "save";
+  const errors = fetcher.data?.errors || {};
 
   useEffect(() => {
-    if (productId) {
-      shopify.toast.show("Product created");
+    if (fetcher.data?.saved) {
+      shopify.toast.show("Pricing rule saved");
+    } else if (fetcher.data?.deleted) {
+      shopify.toast.show("Pricing rule deleted");
     }
-  }, [productId, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+  }, [fetcher.data, shopify]);
+
+  const sampleErrors = useMemo(() => {
+    const limits = formToLimits(form);
+    if (Object.keys(validateLimits(limits)).length) return [];
+    return checkDimensions({ ...sample, unit: "cm" }, limits).errors;
+  }, [form, sample]);
+
+  const sampleMaterial = materials.find((m) => m.key === sample.materyal);
+
+  const preview = useMemo(() => {
+    const rule = formToRule(form);
+    if (Object.keys(validateRule(rule)).length) return null;
+
+    try {
+      return calculatePrice(
+        {
+          boy: Number(sample.boy),
+          en: Number(sample.en),
+          materyal: sample.materyal,
+          basePrice: form.basePrice,
+          priceFactor: sampleMaterial?.priceFactor,
+        },
+        rule,
+      );
+    } catch {
+      return null;
+    }
+  }, [form, sample, sampleMaterial]);
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.currentTarget.value }));
+
+  const setLimit = (field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      limits: { ...prev.limits, [field]: e.currentTarget.value },
+    }));
+
+  const setMultiplier = (material) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      materialMultipliers: {
+        ...prev.materialMultipliers,
+        [material]: e.currentTarget.value,
+      },
+    }));
+
+  const selectProduct = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      action: "select",
+      multiple: false,
+    });
+    const product = selection?.[0];
+    if (!product) return;
+
+    const productId = product.id.replace("gid://shopify/Product/", "");
+    const existing = rules.find((rule) => rule.productId === productId);
+
+    setForm({
+      ...(existing ? ruleToForm(existing, materials) : emptyForm(materials)),
+      productId,
+      productTitle: product.title,
+      basePrice: String(product.variants?.[0]?.price ?? "0"),
+    });
+  };
+
+  const saveRule = () =>
+    fetcher.submit(
+      {
+        intent: "save",
+        productId: form.productId,
+        productTitle: form.productTitle,
+        rule: JSON.stringify(form),
+      },
+      { method: "POST" },
+    );
+
+  const deleteRule = (id) =>
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
 
   return (
     <s-page>
-      <ui-title-bar title="React Router app template">
-        <button variant="primary" onClick={generateProduct}>
-          Generate a product
+      <ui-title-bar title="Pricing rules">
+        <button variant="primary" onClick={selectProduct}>
+          Add rule
         </button>
       </ui-title-bar>
 
-      <s-section heading="Congrats on creating a new Shopify app 🎉">
-        <s-paragraph>
-          This embedded app template uses{" "}
-          <s-link
-            href="https://shopify.dev/docs/apps/tools/app-bridge"
-            target="_blank"
-          >
-            App Bridge
-          </s-link>{" "}
-          interface examples like an{" "}
-          <s-link href="/app/additional">additional page in the app nav</s-link>
-          , as well as an{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            Admin GraphQL
-          </s-link>{" "}
-          mutation demo, to provide a starting point for app development.
-        </s-paragraph>
+      <s-section heading="Rules by base product">
+        {rules.length === 0 ? (
+          <s-paragraph>
+            No pricing rules yet. Products without a rule use the default
+            pricing ({DEFAULT_PRICING_RULE.pricePerCm2} per cm², minimum{" "}
+            {DEFAULT_PRICING_RULE.minimumCharge}).
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Product</s-table-header>
+              <s-table-header>Price per cm²</s-table-header>
+              <s-table-header>Minimum</s-table-header>
+              <s-table-header>Rounding</s-table-header>
+              <s-table-header>Pricing</s-table-header>
+              <s-table-header>Size (cm)</s-table-header>
+              <s-table-header>Actions</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rules.map((rule) => (
+                <s-table-row key={rule.id}>
+                  <s-table-cell>
+                    {rule.productTitle || `#${rule.productId}`}
+                  </s-table-cell>
+                  <s-table-cell>{rule.pricePerCm2}</s-table-cell>
+                  <s-table-cell>{rule.minimumCharge}</s-table-cell>
+                  <s-table-cell>{rule.rounding}</s-table-cell>
+                  <s-table-cell>
+                    {rule.formula ? (
+                      <s-badge tone="info">Formula</s-badge>
+                    ) : (
+                      <s-badge>Area</s-badge>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>{formatLimits(rule.dimensions)}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small-200">
+                      <s-button
+                        onClick={() => setForm(ruleToForm(rule, materials))}
+                      >
+                        Edit
+                      </s-button>
+                      <s-button
+                        tone="critical"
+                        variant="tertiary"
+                        onClick={() => deleteRule(rule.id)}
+                      >
+                        Delete
+                      </s-button>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
       </s-section>
-      <s-section heading="Get started with products">
-        <s-paragraph>
-          Generate a product with GraphQL and get the JSON output for that
-          product. Learn more about the{" "}
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-            target="_blank"
+
+      <s-section heading="Edit rule">
+        <s-stack direction="block" gap="base">
+          <s-stack direction="inline" gap="base">
+            <s-text>
+              {form.productId
+                ? form.productTitle || `#${form.productId}`
+                : "No product selected"}
+            </s-text>
+            <s-button onClick={selectProduct}>Select product</s-button>
+          </s-stack>
+          {errors.productId && (
+            <s-text tone="critical">{errors.productId}</s-text>
+          )}
+          <s-number-field
+            label="Price per cm²"
+            min={0}
+            step={0.001}
+            value={form.pricePerCm2}
+            onChange={setField("pricePerCm2")}
+            error={errors.pricePerCm2}
+          ></s-number-field>
+          <s-number-field
+            label="Minimum charge"
+            min={0}
+            step={0.01}
+            value={form.minimumCharge}
+            onChange={setField("minimumCharge")}
+            error={errors.minimumCharge}
+          ></s-number-field>
+          <s-number-field
+            label="Rounding step"
+            details="Prices are rounded up to a multiple of this value"
+            min={0.01}
+            step={0.01}
+            value={form.rounding}
+            onChange={setField("rounding")}
+            error={errors.rounding}
+          ></s-number-field>
+          <s-heading>Pricing formula</s-heading>
+          <s-paragraph>
+            Optional. Leave empty to charge the base price plus area × price per
+            cm² × material multiplier, with the minimum charge. A formula
+            replaces that calculation; the result is still rounded up to the
+            rounding step.
+          </s-paragraph>
+          <s-text-area
+            label="Formula"
+            placeholder="max(perimeter * 0.12 * materialFactor + area * 0.01 + 25 + attributeCharge, minimumCharge)"
+            rows={3}
+            value={form.formula}
+            onChange={setField("formula")}
+            error={errors.formula}
+          ></s-text-area>
+          <s-button
+            variant="tertiary"
+            onClick={() =>
+              setForm((prev) => ({ ...prev, formula: DEFAULT_FORMULA }))
+            }
           >
-            productCreate
-          </s-link>{" "}
-          mutation in our API references.
-        </s-paragraph>
-        <s-stack direction="inline" gap="base">
+            Start from the default formula
+          </s-button>
+          <s-unordered-list>
+            {Object.entries(FORMULA_VARIABLES).map(([name, description]) => (
+              <s-list-item key={name}>
+                <code>{name}</code>: {description}
+              </s-list-item>
+            ))}
+            <s-list-item>
+              <code>{ATTRIBUTE_VARIABLE_PREFIXES[0]}key</code>: surcharge of one
+              frame attribute, <code>{ATTRIBUTE_VARIABLE_PREFIXES[1]}key</code>:
+              value of a number attribute (0 when not chosen)
+            </s-list-item>
+            <s-list-item>
+              Operators <code>+ - * /</code>, comparisons{" "}
+              <code>{"< <= > >= == !="}</code> (1 or 0) and the functions{" "}
+              <code>min</code>, <code>max</code>, <code>abs</code>,{" "}
+              <code>round(x, step)</code>, <code>ceil(x, step)</code>,{" "}
+              <code>floor(x, step)</code>, <code>if(test, then, else)</code>
+            </s-list-item>
+          </s-unordered-list>
+          <s-heading>Material multipliers</s-heading>
+          <s-paragraph>
+            Applied on top of each material&apos;s price factor from the
+            Materials page.
+          </s-paragraph>
+          <s-stack direction="inline" gap="base">
+            {materials.map((material) => (
+              <s-number-field
+                key={material.key}
+                label={material.name}
+                min={0}
+                step={0.05}
+                value={form.materialMultipliers[material.key]}
+                onChange={setMultiplier(material.key)}
+                error={errors[`material_${material.key}`]}
+              ></s-number-field>
+            ))}
+          </s-stack>
+          <s-heading>Size limits</s-heading>
+          <s-stack direction="inline" gap="base">
+            <s-number-field
+              label="Min height (boy, cm)"
+              min={1}
+              step={1}
+              value={form.limits.minBoy}
+              onChange={setLimit("minBoy")}
+              error={errors.minBoy}
+            ></s-number-field>
+            <s-number-field
+              label="Max height (boy, cm)"
+              min={1}
+              step={1}
+              value={form.limits.maxBoy}
+              onChange={setLimit("maxBoy")}
+              error={errors.maxBoy}
+            ></s-number-field>
+            <s-number-field
+              label="Min width (en, cm)"
+              min={1}
+              step={1}
+              value={form.limits.minEn}
+              onChange={setLimit("minEn")}
+              error={errors.minEn}
+            ></s-number-field>
+            <s-number-field
+              label="Max width (en, cm)"
+              min={1}
+              step={1}
+              value={form.limits.maxEn}
+              onChange={setLimit("maxEn")}
+              error={errors.maxEn}
+            ></s-number-field>
+          </s-stack>
+          <s-stack direction="inline" gap="base">
+            <s-number-field
+              label="Step (cm)"
+              details="Centimetre and millimetre sizes must be the minimum plus a multiple of this step. Inch sizes use the inch precision from Settings"
+              min={0.1}
+              step={0.1}
+              value={form.limits.step}
+              onChange={setLimit("step")}
+              error={errors.step}
+            ></s-number-field>
+            <s-number-field
+              label="Max aspect ratio"
+              details="Long side ÷ short side. Leave empty for no limit"
+              min={1}
+              step={0.1}
+              value={form.limits.maxAspectRatio}
+              onChange={setLimit("maxAspectRatio")}
+              error={errors.maxAspectRatio}
+            ></s-number-field>
+            <s-number-field
+              label="Max area (cm²)"
+              details="Leave empty for no limit"
+              min={1}
+              step={1}
+              value={form.limits.maxArea}
+              onChange={setLimit("maxArea")}
+              error={errors.maxArea}
+            ></s-number-field>
+          </s-stack>
           <s-button
-            onClick={generateProduct}
-            {...(isLoading ? { loading: true } : {})}
+            variant="primary"
+            onClick={saveRule}
+            {...(isSaving ? { loading: true } : {})}
           >
-            Generate a product
+            Save rule
           </s-button>
-          {fetcher.data?.product && (
-            <s-button
-              href={`shopify:admin/products/${productId}`}
-              target="_blank"
-              variant="tertiary"
-            >
-              View product
-            </s-button>
-          )}
         </s-stack>
-        {fetcher.data?.product && (
-          <s-section heading="productCreate mutation">
-            <s-stack direction="block" gap="base">
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.product, null, 2)}</code>
-                </pre>
-              </s-box>
-
-              <s-heading>productVariantsBulkUpdate mutation</s-heading>
-              <s-box
-                padding="base"
-                borderWidth="base"
-                borderRadius="base"
-                background="subdued"
-              >
-                <pre style={{ margin: 0 }}>
-                  <code>{JSON.stringify(fetcher.data.variant, null, 2)}</code>
-                </pre>
-              </s-box>
-            </s-stack>
-          </s-section>
-        )}
       </s-section>
 
-      <s-section slot="aside" heading="App template specs">
-        <s-paragraph>
-          <s-text>Framework: </s-text>
-          <s-link href="https://reactrouter.com/" target="_blank">
-            React Router
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Interface: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/app-home/using-polaris-components"
-            target="_blank"
-          >
-            Polaris web components
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>API: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
+      <s-section slot="aside" heading="Price preview">
+        <s-stack direction="block" gap="base">
+          <s-number-field
+            label="Height (boy, cm)"
+            min={1}
+            value={String(sample.boy)}
+            onChange={(e) =>
+              setSample((prev) => ({ ...prev, boy: e.currentTarget.value }))
+            }
+          ></s-number-field>
+          <s-number-field
+            label="Width (en, cm)"
+            min={1}
+            value={String(sample.en)}
+            onChange={(e) =>
+              setSample((prev) => ({ ...prev, en: e.currentTarget.value }))
+            }
+          ></s-number-field>
+          <s-select
+            label="Material"
+            value={sample.materyal}
+            onChange={(e) =>
+              setSample((prev) => ({
+                ...prev,
+                materyal: e.currentTarget.value,
+              }))
+            }
           >
-            GraphQL
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Database: </s-text>
-          <s-link href="https://www.prisma.io/" target="_blank">
-            Prisma
-          </s-link>
-        </s-paragraph>
-      </s-section>
-
-      <s-section slot="aside" heading="Next steps">
-        <s-unordered-list>
-          <s-list-item>
-            Build an{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/getting-started/build-app-example"
-              target="_blank"
-            >
-              example app
-            </s-link>
-          </s-list-item>
-          <s-list-item>
-            Explore Shopify&apos;s API with{" "}
-            <s-link
-              href="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-              target="_blank"
+            {materials.map((material) => (
+              <s-option key={material.key} value={material.key}>
+                {material.name}
+              </s-option>
+            ))}
+          </s-select>
+          <s-number-field
+            label="Base variant price"
+            min={0}
+            step={0.01}
+            value={form.basePrice}
+            onChange={setField("basePrice")}
+          ></s-number-field>
+          {sampleErrors.length > 0 && (
+            <s-banner tone="warning">
+              Customers can&apos;t order this size:{" "}
+              {sampleErrors.map((error) => error.field).join(", ")} outside the
+              size limits.
+            </s-banner>
+          )}
+          {preview ? (
+            <s-box
+              padding="base"
+              borderWidth="base"
+              borderRadius="base"
+              background="subdued"
             >
-              GraphiQL
-            </s-link>
-          </s-list-item>
-        </s-unordered-list>
+              <s-heading>{preview.price.toFixed(2)}</s-heading>
+              {preview.breakdown.formula ? (
+                <s-stack direction="block" gap="small-200">
+                  {preview.breakdown.steps.map((step, i) => (
+                    <s-paragraph key={i}>
+                      <code>{step.expression}</code> = {step.value}
+                    </s-paragraph>
+                  ))}
+                  <s-paragraph>
+                    Formula result: {preview.breakdown.subtotal}
+                  </s-paragraph>
+                </s-stack>
+              ) : (
+                <>
+                  <s-paragraph>
+                    Area: {preview.breakdown.area} cm² × {form.pricePerCm2} ×{" "}
+                    {preview.breakdown.materialMultiplier} ={" "}
+                    {preview.breakdown.areaCharge}
+                  </s-paragraph>
+                  <s-paragraph>
+                    Base price + area: {preview.breakdown.subtotal}
+                    {preview.breakdown.minimumApplied &&
+                      ` (minimum ${preview.breakdown.minimumCharge} applied)`}
+                  </s-paragraph>
+                </>
+              )}
+            </s-box>
+          ) : (
+            <s-paragraph>
+              Fix the highlighted fields to see a price.
+            </s-paragraph>
+          )}
+        </s-stack>
       </s-section>
     </s-page>
   );
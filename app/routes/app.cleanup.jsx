@@ -0,0 +1,231 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  getCleanupStats,
+  retryCleanupItem,
+  runCleanupPass,
+} from "../cleanup.server";
+import { CLEANUP_STATUS } from "../cleanupJobs.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const stats = await getCleanupStats({ shopDomain: session.shop });
+
+  return {
+    ...stats,
+    failedItems: stats.failedItems.map((item) => ({
+      ...item,
+      isDeadLetter: item.cleanupStatus === CLEANUP_STATUS.DEAD_LETTER,
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "run_pass") {
+    const stats = await runCleanupPass({ shopDomain: session.shop });
+    return { intent, stats };
+  }
+
+  if (intent === "retry") {
+    const result = await retryCleanupItem(
+      session.shop,
+      String(formData.get("id")),
+    );
+    return { intent, ...result };
+  }
+
+  return { error: "Unknown action" };
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+export default function Cleanup() {
+  const {
+    stats,
+    recentErrors,
+    alarms,
+    pendingDeletion,
+    deadLetter,
+    failedItems,
+    lastRun,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const busyIntent =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formData?.get("intent");
+  const busyId = busyIntent === "retry" && fetcher.formData?.get("id");
+
+  useEffect(() => {
+    const data = fetcher.data;
+    if (!data) return;
+
+    if (data.intent === "run_pass") {
+      const { deleted, skipped, errors } = data.stats;
+      shopify.toast.show(
+        `Cleanup pass finished: ${deleted} deleted, ${skipped} skipped, ${errors} errors`,
+      );
+    } else if (data.intent === "retry") {
+      shopify.toast.show(
+        data.deleted ? "Variant deleted" : `Retry failed: ${data.error}`,
+        { isError: !data.deleted },
+      );
+    }
+  }, [fetcher.data, shopify]);
+
+  const runPass = () =>
+    fetcher.submit({ intent: "run_pass" }, { method: "POST" });
+
+  const retry = (id) =>
+    fetcher.submit({ intent: "retry", id }, { method: "POST" });
+
+  return (
+    <s-page>
+      <ui-title-bar title="Cleanup">
+        <button
+          variant="primary"
+          onClick={runPass}
+          disabled={busyIntent === "run_pass"}
+        >
+          Run cleanup pass
+        </button>
+      </ui-title-bar>
+
+      {alarms.length > 0 && (
+        <s-banner tone="critical" heading="Cleanup alarms in the last 24 hours">
+          <s-unordered-list>
+            {alarms.map((alarm) => (
+              <s-list-item key={alarm.id}>
+                {formatDate(alarm.createdAt)}: {alarm.message}
+              </s-list-item>
+            ))}
+          </s-unordered-list>
+        </s-banner>
+      )}
+
+      <s-section heading="Overview">
+        <s-stack direction="inline" gap="large-200">
+          <s-stack direction="block" gap="small-200">
+            <s-text>Pending deletion</s-text>
+            <s-heading>{pendingDeletion}</s-heading>
+          </s-stack>
+          <s-stack direction="block" gap="small-200">
+            <s-text>Dead letter</s-text>
+            <s-heading>{deadLetter}</s-heading>
+          </s-stack>
+          <s-stack direction="block" gap="small-200">
+            <s-text>Last cleanup pass</s-text>
+            <s-heading>{formatDate(lastRun)}</s-heading>
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Last 24 hours by action">
+        {stats.length === 0 ? (
+          <s-paragraph>No cleanup activity in the last 24 hours.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Action</s-table-header>
+              <s-table-header>Count</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {stats.map((row) => (
+                <s-table-row key={row.action}>
+                  <s-table-cell>{row.action}</s-table-cell>
+                  <s-table-cell>{row._count}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Failing items">
+        {failedItems.length === 0 ? (
+          <s-paragraph>No failing cleanup items.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Variant</s-table-header>
+              <s-table-header>Size</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Attempts</s-table-header>
+              <s-table-header>Next retry</s-table-header>
+              <s-table-header>Last error</s-table-header>
+              <s-table-header>Actions</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {failedItems.map((item) => (
+                <s-table-row key={item.id}>
+                  <s-table-cell>{item.variantId}</s-table-cell>
+                  <s-table-cell>
+                    {item.boy}×{item.en} cm, {item.materyal}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {item.isDeadLetter ? (
+                      <s-badge tone="critical">Dead letter</s-badge>
+                    ) : (
+                      <s-badge tone="warning">Retrying</s-badge>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>{item.cleanupAttempts}</s-table-cell>
+                  <s-table-cell>{formatDate(item.nextCleanupAt)}</s-table-cell>
+                  <s-table-cell>{item.lastCleanupError || "—"}</s-table-cell>
+                  <s-table-cell>
+                    <s-button
+                      onClick={() => retry(item.id)}
+                      {...(busyId === item.id ? { loading: true } : {})}
+                    >
+                      Retry now
+                    </s-button>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Recent errors">
+        {recentErrors.length === 0 ? (
+          <s-paragraph>No errors in the last 24 hours.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Time</s-table-header>
+              <s-table-header>Action</s-table-header>
+              <s-table-header>Variant</s-table-header>
+              <s-table-header>Message</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {recentErrors.map((log) => (
+                <s-table-row key={log.id}>
+                  <s-table-cell>{formatDate(log.createdAt)}</s-table-cell>
+                  <s-table-cell>{log.action}</s-table-cell>
+                  <s-table-cell>{log.variantId || "—"}</s-table-cell>
+                  <s-table-cell>{log.message}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,78 @@
+import { useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { listCustomerDataRequests } from "../shopData.server";
+
+// customers/data_request webhook'unun kaydettiği veriler. Mağaza sahibi
+// talebi buradan müşteriye iletir; kayıt müşteri silinince kaldırılır.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { requests: await listCustomerDataRequests(session.shop) };
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function summarize(data) {
+  const variants = data?.variants?.length || 0;
+  const quotes = data?.quotes?.length || 0;
+  return `${variants} ordered variant(s), ${quotes} quote request(s)`;
+}
+
+export default function DataRequests() {
+  const { requests } = useLoaderData();
+
+  return (
+    <s-page>
+      <ui-title-bar title="Data requests"></ui-title-bar>
+
+      <s-section heading="Customer data requests">
+        <s-paragraph>
+          Shopify sends these when a customer asks for their data. Send the
+          records below to the customer; they are deleted when the customer is
+          redacted.
+        </s-paragraph>
+        {requests.length === 0 ? (
+          <s-paragraph>No data requests yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Received</s-table-header>
+              <s-table-header>Customer</s-table-header>
+              <s-table-header>Request</s-table-header>
+              <s-table-header>Records</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {requests.map((item) => (
+                <s-table-row key={item.id}>
+                  <s-table-cell>{formatDate(item.createdAt)}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="block" gap="none">
+                      <s-text>{item.email || "—"}</s-text>
+                      {item.customerId && (
+                        <s-text color="subdued">#{item.customerId}</s-text>
+                      )}
+                    </s-stack>
+                  </s-table-cell>
+                  <s-table-cell>{item.dataRequestId || "—"}</s-table-cell>
+                  <s-table-cell>
+                    <details>
+                      <summary>{summarize(item.data)}</summary>
+                      <pre>{JSON.stringify(item.data, null, 2)}</pre>
+                    </details>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -17,8 +17,13 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <ui-nav-menu>
         <Link to="/app" rel="home">
-          Home
+          Pricing rules
         </Link>
+        <Link to="/app/quotes">Quotes</Link>
+        <Link to="/app/materials">Materials</Link>
+        <Link to="/app/cleanup">Cleanup</Link>
+        <Link to="/app/data-requests">Data requests</Link>
+        <Link to="/app/settings">Settings</Link>
         <Link to="/app/additional">Additional page</Link>
       </ui-nav-menu>
       <Outlet />
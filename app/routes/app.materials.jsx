@@ -0,0 +1,374 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { createAdminClient } from "../adminClient.server";
+import { syncPricingConfig } from "../cartTransform.server";
+import { getMaterials } from "../materials.server";
+import {
+  MATERIAL_KEY_PATTERN,
+  normalizeMaterialKey,
+  SWATCH_COLOR_PATTERN,
+} from "../materials";
+
+function emptyForm(position = 0) {
+  return {
+    id: "",
+    key: "",
+    name: "",
+    density: "0.15",
+    priceFactor: "1",
+    swatchColor: "",
+    swatchImageUrl: "",
+    active: true,
+    position: String(position),
+  };
+}
+
+function materialToForm(material) {
+  return {
+    id: material.id,
+    key: material.key,
+    name: material.name,
+    density: String(material.density),
+    priceFactor: String(material.priceFactor),
+    swatchColor: material.swatchColor || "",
+    swatchImageUrl: material.swatchImageUrl || "",
+    active: material.active,
+    position: String(material.position),
+  };
+}
+
+function formToMaterial(form) {
+  return {
+    key: normalizeMaterialKey(form.key),
+    name: String(form.name || "").trim(),
+    density: parseFloat(form.density),
+    priceFactor: parseFloat(form.priceFactor),
+    swatchColor: String(form.swatchColor || "").trim() || null,
+    swatchImageUrl: String(form.swatchImageUrl || "").trim() || null,
+    active: Boolean(form.active),
+    position: Number(form.position),
+  };
+}
+
+function validateMaterialForm(material) {
+  const errors = {};
+
+  if (!MATERIAL_KEY_PATTERN.test(material.key)) {
+    errors.key = "Use lowercase letters, numbers and dashes";
+  }
+  if (!material.name) {
+    errors.name = "Enter a display name";
+  }
+  if (!(material.density > 0)) {
+    errors.density = "Density must be greater than zero";
+  }
+  if (!(material.priceFactor > 0)) {
+    errors.priceFactor = "Price factor must be greater than zero";
+  }
+  if (
+    material.swatchColor &&
+    !SWATCH_COLOR_PATTERN.test(material.swatchColor)
+  ) {
+    errors.swatchColor = "Use a hex colour such as #d8c8a8";
+  }
+  if (
+    material.swatchImageUrl &&
+    !/^https:\/\/\S+$/.test(material.swatchImageUrl)
+  ) {
+    errors.swatchImageUrl = "Use an https:// image URL";
+  }
+  if (!(Number.isInteger(material.position) && material.position >= 0)) {
+    errors.position = "Position must be a whole number of at least 0";
+  }
+
+  return errors;
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { materials: await getMaterials(session.shop) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const client = createAdminClient(admin, session.shop);
+
+  if (intent === "delete") {
+    const material = await prisma.material.findFirst({
+      where: { id: String(formData.get("id")), shopDomain: session.shop },
+    });
+    if (!material) return { deleted: true };
+
+    // Boş katalog varsayılanlarla yeniden doldurulacağından son materyal kalır
+    const count = await prisma.material.count({
+      where: { shopDomain: session.shop },
+    });
+    if (count <= 1) {
+      return { error: "Keep at least one material. Deactivate it instead." };
+    }
+
+    await prisma.material.delete({ where: { id: material.id } });
+    await syncPricingConfig(client, session.shop);
+    return { deleted: true };
+  }
+
+  const form = JSON.parse(String(formData.get("material")));
+  const material = formToMaterial(form);
+  const errors = validateMaterialForm(material);
+  if (Object.keys(errors).length) {
+    return { errors };
+  }
+
+  if (form.id) {
+    const existing = await prisma.material.findFirst({
+      where: { id: String(form.id), shopDomain: session.shop },
+    });
+    if (!existing) {
+      return { error: "This material no longer exists" };
+    }
+
+    // Anahtar varyant seçeneklerinde ve sepet satırlarında kullanıldığı için
+    // değiştirilemez
+    await prisma.material.update({
+      where: { id: existing.id },
+      data: { ...material, key: existing.key },
+    });
+  } else {
+    const duplicate = await prisma.material.findUnique({
+      where: {
+        shopDomain_key: { shopDomain: session.shop, key: material.key },
+      },
+    });
+    if (duplicate) {
+      return { errors: { key: "A material with this key already exists" } };
+    }
+
+    await prisma.material.create({
+      data: { shopDomain: session.shop, ...material },
+    });
+  }
+  await syncPricingConfig(client, session.shop);
+
+  return { saved: true };
+};
+
+export default function Materials() {
+  const { materials } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [form, setForm] = useState(() => emptyForm(materials.length));
+
+  const isSaving =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formData?.get("intent") === "save";
+  const errors = fetcher.data?.errors || {};
+
+  useEffect(() => {
+    if (fetcher.data?.saved) {
+      shopify.toast.show("Material saved");
+    } else if (fetcher.data?.deleted) {
+      shopify.toast.show("Material deleted");
+    }
+  }, [fetcher.data, shopify]);
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.currentTarget.value }));
+
+  const saveMaterial = () =>
+    fetcher.submit(
+      { intent: "save", material: JSON.stringify(form) },
+      { method: "POST" },
+    );
+
+  const deleteMaterial = (id) =>
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
+
+  return (
+    <s-page>
+      <ui-title-bar title="Materials">
+        <button
+          variant="primary"
+          onClick={() => setForm(emptyForm(materials.length))}
+        >
+          Add material
+        </button>
+      </ui-title-bar>
+
+      <s-section heading="Material catalog">
+        <s-stack direction="block" gap="base">
+          {fetcher.data?.error && (
+            <s-banner tone="critical">{fetcher.data.error}</s-banner>
+          )}
+          <s-paragraph>
+            Shoppers can only order active materials. The storefront sends the
+            key, and the same key appears in variant titles and cart lines.
+          </s-paragraph>
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Swatch</s-table-header>
+              <s-table-header>Name</s-table-header>
+              <s-table-header>Key</s-table-header>
+              <s-table-header>Density (g/cm²)</s-table-header>
+              <s-table-header>Price factor</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Actions</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {materials.map((material) => (
+                <s-table-row key={material.id}>
+                  <s-table-cell>
+                    {material.swatchImageUrl ? (
+                      <s-thumbnail
+                        src={material.swatchImageUrl}
+                        alt={material.name}
+                        size="small-200"
+                      ></s-thumbnail>
+                    ) : (
+                      <span
+                        style={{
+                          display: "inline-block",
+                          width: 24,
+                          height: 24,
+                          borderRadius: 4,
+                          border: "1px solid #c9cccf",
+                          background: material.swatchColor || "transparent",
+                        }}
+                      />
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>{material.name}</s-table-cell>
+                  <s-table-cell>{material.key}</s-table-cell>
+                  <s-table-cell>{material.density}</s-table-cell>
+                  <s-table-cell>{material.priceFactor}</s-table-cell>
+                  <s-table-cell>
+                    {material.active ? (
+                      <s-badge tone="success">Active</s-badge>
+                    ) : (
+                      <s-badge>Inactive</s-badge>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small-200">
+                      <s-button
+                        onClick={() => setForm(materialToForm(material))}
+                      >
+                        Edit
+                      </s-button>
+                      <s-button
+                        tone="critical"
+                        variant="tertiary"
+                        onClick={() => deleteMaterial(material.id)}
+                      >
+                        Delete
+                      </s-button>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        </s-stack>
+      </s-section>
+
+      <s-section heading={form.id ? `Edit ${form.name}` : "New material"}>
+        <s-stack direction="block" gap="base">
+          <s-stack direction="inline" gap="base">
+            <s-text-field
+              label="Key"
+              details={
+                form.id
+                  ? "The key can't be changed once orders may use it"
+                  : "Sent by the storefront, e.g. keten"
+              }
+              value={form.key}
+              disabled={Boolean(form.id)}
+              onChange={setField("key")}
+              error={errors.key}
+            ></s-text-field>
+            <s-text-field
+              label="Display name"
+              value={form.name}
+              onChange={setField("name")}
+              error={errors.name}
+            ></s-text-field>
+          </s-stack>
+          <s-stack direction="inline" gap="base">
+            <s-number-field
+              label="Density (g/cm²)"
+              details="Used for the shipping weight of each size"
+              min={0}
+              step={0.01}
+              value={form.density}
+              onChange={setField("density")}
+              error={errors.density}
+            ></s-number-field>
+            <s-number-field
+              label="Price factor"
+              details="Multiplies the area charge on top of the product's material multiplier"
+              min={0}
+              step={0.05}
+              value={form.priceFactor}
+              onChange={setField("priceFactor")}
+              error={errors.priceFactor}
+            ></s-number-field>
+            <s-number-field
+              label="Position"
+              details="Lower numbers are listed first"
+              min={0}
+              step={1}
+              value={form.position}
+              onChange={setField("position")}
+              error={errors.position}
+            ></s-number-field>
+          </s-stack>
+          <s-stack direction="inline" gap="base">
+            <s-text-field
+              label="Swatch colour"
+              details="Hex colour used in the size preview"
+              placeholder="#d8c8a8"
+              value={form.swatchColor}
+              onChange={setField("swatchColor")}
+              error={errors.swatchColor}
+            ></s-text-field>
+            <s-url-field
+              label="Swatch image"
+              details="Optional https:// image shown instead of the colour"
+              value={form.swatchImageUrl}
+              onChange={setField("swatchImageUrl")}
+              error={errors.swatchImageUrl}
+            ></s-url-field>
+          </s-stack>
+          <s-checkbox
+            label="Active"
+            details="Inactive materials are hidden on the storefront and can't be added to the cart"
+            checked={form.active}
+            onChange={(e) =>
+              setForm((prev) => ({
+                ...prev,
+                active: e.currentTarget.checked,
+              }))
+            }
+          ></s-checkbox>
+          <s-button
+            variant="primary"
+            onClick={saveMaterial}
+            {...(isSaving ? { loading: true } : {})}
+          >
+            Save material
+          </s-button>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,460 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { createAdminClient } from "../adminClient.server";
+import { getShopSettings } from "../shopSettings.server";
+import {
+  approveQuoteRequest,
+  listQuoteRequests,
+  QUOTE_STATUS,
+  rejectQuoteRequest,
+  sendQuoteInvoice,
+  updateQuoteRequest,
+} from "../quoteRequests.server";
+import {
+  CUSTOM_PRODUCT_EXPIRY_ACTION,
+  CUSTOM_PRODUCT_TTL_MS,
+} from "../customProducts.server";
+import prisma from "../db.server";
+import { formatAttributes, getFrameAttributes } from "../frameAttributes";
+import { formatPrice } from "../messages";
+import { MAX_PRICE, MIN_PRICE } from "../pricing";
+import { formatSize, fromCentimetres } from "../units";
+
+const MAX_LEAD_TIME_DAYS = 365;
+
+function quoteToForm(quote) {
+  return {
+    id: quote.id,
+    price: String(quote.price),
+    leadTimeDays: quote.leadTimeDays === null ? "" : String(quote.leadTimeDays),
+    responseNote: quote.responseNote || "",
+  };
+}
+
+function formToChanges(form) {
+  const leadTime = String(form.leadTimeDays ?? "").trim();
+
+  return {
+    price: Math.round(parseFloat(form.price) * 100) / 100,
+    leadTimeDays: leadTime ? Number(leadTime) : null,
+    responseNote: String(form.responseNote || "").trim() || null,
+  };
+}
+
+function validateChanges(changes) {
+  const errors = {};
+
+  if (!(changes.price >= MIN_PRICE && changes.price <= MAX_PRICE)) {
+    errors.price = `Price must be between ${MIN_PRICE} and ${MAX_PRICE}`;
+  }
+  if (
+    changes.leadTimeDays !== null &&
+    !(
+      Number.isInteger(changes.leadTimeDays) &&
+      changes.leadTimeDays >= 0 &&
+      changes.leadTimeDays <= MAX_LEAD_TIME_DAYS
+    )
+  ) {
+    errors.leadTimeDays = `Enter whole days between 0 and ${MAX_LEAD_TIME_DAYS}`;
+  }
+  if (changes.responseNote && changes.responseNote.length > 2000) {
+    errors.responseNote = "Keep the note under 2000 characters";
+  }
+
+  return errors;
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [{ open, decided }, settings] = await Promise.all([
+    listQuoteRequests(session.shop),
+    getShopSettings(session.shop),
+  ]);
+
+  // Ek seçenekler personelin okuyacağı metne çevrilir
+  const attributeSchema = getFrameAttributes(settings);
+  const withAttributes = (quote) => ({
+    ...quote,
+    attributesText: formatAttributes(
+      quote.attributes || {},
+      attributeSchema,
+      "en",
+    ),
+  });
+
+  return {
+    open: open.map(withAttributes),
+    decided: decided.map(withAttributes),
+    currencyCode: settings.currencyCode,
+    expiry: {
+      action:
+        CUSTOM_PRODUCT_EXPIRY_ACTION === "delete" ? "deleted" : "archived",
+      days: Math.round(CUSTOM_PRODUCT_TTL_MS / (24 * 60 * 60 * 1000)),
+    },
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const client = createAdminClient(admin, session.shop);
+
+  if (intent === "send_invoice") {
+    const quote = await prisma.quote.findFirst({
+      where: {
+        id: String(formData.get("id")),
+        shopDomain: session.shop,
+        status: QUOTE_STATUS.APPROVED,
+      },
+    });
+    if (!quote?.draftOrderId || !quote.email) {
+      return { intent, error: "This quote has no draft order to invoice" };
+    }
+
+    const updated = await sendQuoteInvoice(client, quote);
+    return updated.invoiceSentAt
+      ? { intent, sent: true }
+      : { intent, error: updated.lastError };
+  }
+
+  const form = JSON.parse(String(formData.get("quote")));
+  const changes = formToChanges(form);
+
+  if (intent === "reject") {
+    const rejected = await rejectQuoteRequest(session.shop, String(form.id), {
+      responseNote: changes.responseNote,
+    });
+    return rejected
+      ? { intent, rejected: true }
+      : { intent, error: "This quote is no longer pending" };
+  }
+
+  const errors = validateChanges(changes);
+  if (Object.keys(errors).length) {
+    return { intent, errors };
+  }
+
+  if (intent === "approve") {
+    const result = await approveQuoteRequest(
+      client,
+      session.shop,
+      String(form.id),
+      changes,
+    );
+    if (result.error) return { intent, error: result.error };
+    return {
+      intent,
+      approved: true,
+      invoiceSent: Boolean(result.quote.invoiceSentAt),
+    };
+  }
+
+  const saved = await updateQuoteRequest(
+    session.shop,
+    String(form.id),
+    changes,
+  );
+  return saved
+    ? { intent, saved: true }
+    : { intent, error: "This quote is no longer pending" };
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function describeSize(quote) {
+  return formatSize(
+    fromCentimetres(quote.boy, quote.unit),
+    fromCentimetres(quote.en, quote.unit),
+    quote.unit,
+  );
+}
+
+function customerDetails(quote) {
+  return (
+    <s-stack direction="block" gap="none">
+      <s-text>{quote.company || quote.name || "—"}</s-text>
+      {quote.company && quote.name && <s-text>{quote.name}</s-text>}
+      <s-text color="subdued">
+        {quote.email ||
+          (quote.customerId ? `Customer ${quote.customerId}` : "")}
+      </s-text>
+    </s-stack>
+  );
+}
+
+// Bileşen istemcide de çalıştığı için QUOTE_STATUS (.server) kullanılamaz
+const STATUS_BADGES = {
+  pending: { tone: "attention", label: "Pending" },
+  approving: { tone: "info", label: "Approving" },
+  approved: { tone: "success", label: "Approved" },
+  rejected: { tone: "neutral", label: "Rejected" },
+  expired: { tone: "warning", label: "Expired" },
+};
+
+function statusBadge(status) {
+  const badge = STATUS_BADGES[status] || STATUS_BADGES.pending;
+  return <s-badge tone={badge.tone}>{badge.label}</s-badge>;
+}
+
+export default function Quotes() {
+  const { open, decided, currencyCode, expiry } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [form, setForm] = useState(null);
+
+  const busyIntent =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    fetcher.formData?.get("intent");
+  const busyId = busyIntent === "send_invoice" && fetcher.formData?.get("id");
+  const errors = fetcher.data?.errors || {};
+  const selected = form && open.find((quote) => quote.id === form.id);
+
+  const money = (amount) =>
+    currencyCode
+      ? formatPrice(amount, currencyCode, "en")
+      : Number(amount).toFixed(2);
+
+  useEffect(() => {
+    const data = fetcher.data;
+    if (!data) return;
+
+    if (data.error) {
+      shopify.toast.show(data.error, { isError: true });
+    } else if (data.approved) {
+      shopify.toast.show(
+        data.invoiceSent
+          ? "Quote approved and invoice sent"
+          : "Quote approved. Share the invoice link with the customer",
+      );
+      setForm(null);
+    } else if (data.rejected) {
+      shopify.toast.show("Quote rejected");
+      setForm(null);
+    } else if (data.saved) {
+      shopify.toast.show("Quote saved");
+    } else if (data.sent) {
+      shopify.toast.show("Invoice sent");
+    }
+  }, [fetcher.data, shopify]);
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.currentTarget.value }));
+
+  const submit = (intent) =>
+    fetcher.submit({ intent, quote: JSON.stringify(form) }, { method: "POST" });
+
+  const sendInvoice = (id) =>
+    fetcher.submit({ intent: "send_invoice", id }, { method: "POST" });
+
+  const busy = (intent) => (busyIntent === intent ? { loading: true } : {});
+
+  return (
+    <s-page>
+      <ui-title-bar title="Quotes"></ui-title-bar>
+
+      <s-section heading="Open requests">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Shoppers request a quote for a custom size. Nothing is created in
+            the store until you approve the request: approval creates the
+            product and a draft order, and emails the invoice when the request
+            has an email address. Approved quotes for the same size and material
+            share one product. Products that are not ordered are {expiry.action}{" "}
+            {expiry.days} days after their last draft order, and unpaid draft
+            orders are deleted.
+          </s-paragraph>
+          {open.length === 0 ? (
+            <s-paragraph>No open quote requests.</s-paragraph>
+          ) : (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Received</s-table-header>
+                <s-table-header>Customer</s-table-header>
+                <s-table-header>Size</s-table-header>
+                <s-table-header>Material</s-table-header>
+                <s-table-header>Quantity</s-table-header>
+                <s-table-header>Requested price</s-table-header>
+                <s-table-header>Status</s-table-header>
+                <s-table-header>Actions</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {open.map((quote) => (
+                  <s-table-row key={quote.id}>
+                    <s-table-cell>{formatDate(quote.createdAt)}</s-table-cell>
+                    <s-table-cell>{customerDetails(quote)}</s-table-cell>
+                    <s-table-cell>{describeSize(quote)}</s-table-cell>
+                    <s-table-cell>
+                      {[quote.materyal, quote.attributesText]
+                        .filter(Boolean)
+                        .join(", ")}
+                    </s-table-cell>
+                    <s-table-cell>{quote.quantity}</s-table-cell>
+                    <s-table-cell>{money(quote.requestedPrice)}</s-table-cell>
+                    <s-table-cell>
+                      <s-stack direction="block" gap="small-200">
+                        {statusBadge(quote.status)}
+                        {quote.lastError && (
+                          <s-text tone="critical">{quote.lastError}</s-text>
+                        )}
+                      </s-stack>
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-button onClick={() => setForm(quoteToForm(quote))}>
+                        Review
+                      </s-button>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-stack>
+      </s-section>
+
+      {selected && (
+        <s-section heading={`Review quote for ${describeSize(selected)}`}>
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              {`${selected.quantity} × ${describeSize(selected)}, ${selected.materyal}. Requested at ${money(selected.requestedPrice)} per piece.`}
+            </s-paragraph>
+            {selected.customerNote && (
+              <s-banner heading="Customer note">
+                {selected.customerNote}
+              </s-banner>
+            )}
+            <s-stack direction="inline" gap="base">
+              <s-number-field
+                label="Unit price"
+                details="Price per piece on the draft order"
+                min={MIN_PRICE}
+                step={0.01}
+                value={form.price}
+                onChange={setField("price")}
+                error={errors.price}
+              ></s-number-field>
+              <s-number-field
+                label="Lead time (days)"
+                details="Optional. Shown to the customer and on the draft order"
+                min={0}
+                max={MAX_LEAD_TIME_DAYS}
+                step={1}
+                value={form.leadTimeDays}
+                onChange={setField("leadTimeDays")}
+                error={errors.leadTimeDays}
+              ></s-number-field>
+            </s-stack>
+            <s-text-area
+              label="Note to the customer"
+              details="Shown on the quote status and the draft order"
+              rows={3}
+              value={form.responseNote}
+              onChange={setField("responseNote")}
+              error={errors.responseNote}
+            ></s-text-area>
+            <s-stack direction="inline" gap="base">
+              <s-button
+                variant="primary"
+                onClick={() => submit("approve")}
+                {...busy("approve")}
+              >
+                Approve and create draft order
+              </s-button>
+              <s-button onClick={() => submit("save")} {...busy("save")}>
+                Save
+              </s-button>
+              <s-button
+                tone="critical"
+                variant="tertiary"
+                onClick={() => submit("reject")}
+                {...busy("reject")}
+              >
+                Reject
+              </s-button>
+            </s-stack>
+          </s-stack>
+        </s-section>
+      )}
+
+      <s-section heading="Decided">
+        {decided.length === 0 ? (
+          <s-paragraph>No decided quotes yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Decided</s-table-header>
+              <s-table-header>Customer</s-table-header>
+              <s-table-header>Size</s-table-header>
+              <s-table-header>Quantity</s-table-header>
+              <s-table-header>Unit price</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Draft order</s-table-header>
+              <s-table-header>Invoice</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {decided.map((quote) => (
+                <s-table-row key={quote.id}>
+                  <s-table-cell>{formatDate(quote.decidedAt)}</s-table-cell>
+                  <s-table-cell>{customerDetails(quote)}</s-table-cell>
+                  <s-table-cell>
+                    {[describeSize(quote), quote.materyal, quote.attributesText]
+                      .filter(Boolean)
+                      .join(", ")}
+                  </s-table-cell>
+                  <s-table-cell>{quote.quantity}</s-table-cell>
+                  <s-table-cell>{money(quote.price)}</s-table-cell>
+                  <s-table-cell>{statusBadge(quote.status)}</s-table-cell>
+                  <s-table-cell>
+                    {quote.draftOrderId ? (
+                      <s-link
+                        href={`shopify://admin/draft_orders/${quote.draftOrderId}`}
+                        target="_blank"
+                      >
+                        #{quote.draftOrderId}
+                      </s-link>
+                    ) : (
+                      "—"
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {quote.invoiceSentAt ? (
+                      `Sent ${formatDate(quote.invoiceSentAt)}`
+                    ) : quote.draftOrderId && quote.email ? (
+                      <s-stack direction="block" gap="small-200">
+                        {quote.lastError && (
+                          <s-text tone="critical">{quote.lastError}</s-text>
+                        )}
+                        <s-button
+                          onClick={() => sendInvoice(quote.id)}
+                          {...(busyId === quote.id ? { loading: true } : {})}
+                        >
+                          Send invoice
+                        </s-button>
+                      </s-stack>
+                    ) : quote.invoiceUrl ? (
+                      <s-link href={quote.invoiceUrl} target="_blank">
+                        Invoice link
+                      </s-link>
+                    ) : (
+                      "—"
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
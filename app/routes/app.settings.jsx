@@ -0,0 +1,329 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { createAdminClient } from "../adminClient.server";
+import { logger } from "../logger.server";
+import { setCartMode, syncPricingConfig } from "../cartTransform.server";
+import {
+  CART_MODES,
+  getShopSettings,
+  updateShopSettings,
+} from "../shopSettings.server";
+import { getUnitSettings, isUnit, PRECISION_OPTIONS, UNITS } from "../units";
+import {
+  DEFAULT_FRAME_ATTRIBUTES,
+  getFrameAttributes,
+  validateAttributeSchema,
+} from "../frameAttributes";
+
+const UNIT_NAMES = { cm: "Centimetres", mm: "Millimetres", in: "Inches" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings(session.shop);
+
+  return {
+    cartMode: settings.cartMode,
+    cartModes: CART_MODES,
+    unitSettings: getUnitSettings(settings),
+    frameAttributes: getFrameAttributes(settings),
+  };
+};
+
+// Birim hassasiyeti fonksiyonun ölçü kontrolüne girdiği için Cart Transform
+// metafield'ı da güncellenir
+async function saveUnits(client, shopDomain, formData) {
+  const units = JSON.parse(String(formData.get("units") || "[]"));
+  const unitPrecision = JSON.parse(String(formData.get("unitPrecision")));
+
+  if (!units.length || !units.every(isUnit)) {
+    return { error: "Enable at least one unit" };
+  }
+  for (const unit of units) {
+    if (!PRECISION_OPTIONS[unit].includes(unitPrecision[unit])) {
+      return { error: `Unknown precision for ${unit}` };
+    }
+  }
+
+  await updateShopSettings(shopDomain, {
+    units,
+    unitPrecision: Object.fromEntries(units.map((u) => [u, unitPrecision[u]])),
+  });
+  await syncPricingConfig(client, shopDomain);
+  return { saved: true };
+}
+
+// Şema fiyat hesabına girdiği için Cart Transform metafield'ı da güncellenir
+async function saveFrameAttributes(client, shopDomain, formData) {
+  let frameAttributes;
+  try {
+    frameAttributes = JSON.parse(String(formData.get("frameAttributes")));
+  } catch {
+    return { attributeErrors: ["The schema is not valid JSON"] };
+  }
+
+  const attributeErrors = validateAttributeSchema(frameAttributes);
+  if (attributeErrors.length) {
+    return { attributeErrors };
+  }
+
+  await updateShopSettings(shopDomain, { frameAttributes });
+  await syncPricingConfig(client, shopDomain);
+  return { saved: true };
+}
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "units") {
+    return saveUnits(
+      createAdminClient(admin, session.shop),
+      session.shop,
+      formData,
+    );
+  }
+  if (formData.get("intent") === "attributes") {
+    return saveFrameAttributes(
+      createAdminClient(admin, session.shop),
+      session.shop,
+      formData,
+    );
+  }
+
+  const cartMode = String(formData.get("cartMode"));
+
+  if (!Object.values(CART_MODES).includes(cartMode)) {
+    return { error: "Unknown cart mode" };
+  }
+
+  try {
+    await setCartMode(
+      createAdminClient(admin, session.shop),
+      session.shop,
+      cartMode,
+    );
+  } catch (err) {
+    logger.error("Sepet modu değiştirilemedi", { shop: session.shop, err });
+    return { error: err.message };
+  }
+
+  return { saved: true };
+};
+
+export default function Settings() {
+  const { cartMode, cartModes, unitSettings, frameAttributes } =
+    useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [mode, setMode] = useState(cartMode);
+  const [enabledUnits, setEnabledUnits] = useState(
+    unitSettings.map((setting) => setting.unit),
+  );
+  const [precision, setPrecision] = useState(() => ({
+    ...Object.fromEntries(
+      Object.keys(UNITS).map((unit) => [unit, UNITS[unit].precision]),
+    ),
+    ...Object.fromEntries(
+      unitSettings.map((setting) => [setting.unit, setting.precision]),
+    ),
+  }));
+
+  const [attributeSchema, setAttributeSchema] = useState(() =>
+    JSON.stringify(frameAttributes, null, 2),
+  );
+
+  const savingIntent =
+    ["loading", "submitting"].includes(fetcher.state) &&
+    (fetcher.formData?.get("intent") || "cart_mode");
+
+  useEffect(() => {
+    if (fetcher.data?.saved) {
+      shopify.toast.show("Settings saved");
+    }
+  }, [fetcher.data, shopify]);
+
+  const save = () => fetcher.submit({ cartMode: mode }, { method: "POST" });
+
+  // İlk sıradaki birim storefront'ta varsayılan olarak seçilir
+  const toggleUnit = (unit) => (e) =>
+    setEnabledUnits((prev) =>
+      e.currentTarget.checked
+        ? [...prev, unit]
+        : prev.filter((enabled) => enabled !== unit),
+    );
+
+  const setDefaultUnit = (e) => {
+    const unit = e.currentTarget.value;
+    setEnabledUnits((prev) => [unit, ...prev.filter((u) => u !== unit)]);
+  };
+
+  const saveUnits = () =>
+    fetcher.submit(
+      {
+        intent: "units",
+        units: JSON.stringify(enabledUnits),
+        unitPrecision: JSON.stringify(precision),
+      },
+      { method: "POST" },
+    );
+
+  const saveAttributes = () =>
+    fetcher.submit(
+      { intent: "attributes", frameAttributes: attributeSchema },
+      { method: "POST" },
+    );
+
+  return (
+    <s-page>
+      <ui-title-bar title="Settings"></ui-title-bar>
+
+      <s-section heading="Cart mode">
+        <s-stack direction="block" gap="base">
+          {fetcher.data?.error && (
+            <s-banner tone="critical">{fetcher.data.error}</s-banner>
+          )}
+          <s-choice-list
+            label="How custom sizes are added to the cart"
+            name="cartMode"
+            values={[mode]}
+            onChange={(e) => setMode(e.currentTarget.values[0])}
+          >
+            <s-choice value={cartModes.VARIANT}>
+              Create a variant for each size
+              <s-text slot="details">
+                The add-to-cart endpoint creates a temporary variant at the
+                calculated price. The cleanup worker removes it later.
+              </s-text>
+            </s-choice>
+            <s-choice value={cartModes.LINE_ITEM_PROPERTIES}>
+              Base variant with line item properties
+              <s-text slot="details">
+                The base variant is added with boy, en and materyal properties,
+                and the frame-cart-transform function sets the price and title.
+                No variants are created.
+              </s-text>
+            </s-choice>
+          </s-choice-list>
+          <s-button
+            variant="primary"
+            onClick={save}
+            {...(savingIntent === "cart_mode" ? { loading: true } : {})}
+          >
+            Save
+          </s-button>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Units">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Shoppers can enter sizes in any enabled unit. Prices, weights and
+            size limits are always calculated in centimetres; the chosen unit is
+            shown in variant titles and cart lines.
+          </s-paragraph>
+          {Object.keys(UNITS).map((unit) => (
+            <s-stack key={unit} direction="inline" gap="base">
+              <s-checkbox
+                label={`${UNIT_NAMES[unit]} (${UNITS[unit].label})`}
+                checked={enabledUnits.includes(unit)}
+                onChange={toggleUnit(unit)}
+              ></s-checkbox>
+              <s-select
+                label="Precision"
+                labelAccessibilityVisibility="exclusive"
+                value={String(precision[unit])}
+                disabled={!enabledUnits.includes(unit)}
+                onChange={(e) =>
+                  setPrecision((prev) => ({
+                    ...prev,
+                    [unit]: Number(e.currentTarget.value),
+                  }))
+                }
+              >
+                {PRECISION_OPTIONS[unit].map((step) => (
+                  <s-option key={step} value={String(step)}>
+                    {step} {UNITS[unit].label}
+                  </s-option>
+                ))}
+              </s-select>
+            </s-stack>
+          ))}
+          {enabledUnits.length > 1 && (
+            <s-select
+              label="Default unit"
+              value={enabledUnits[0]}
+              onChange={setDefaultUnit}
+            >
+              {enabledUnits.map((unit) => (
+                <s-option key={unit} value={unit}>
+                  {UNIT_NAMES[unit]}
+                </s-option>
+              ))}
+            </s-select>
+          )}
+          <s-button
+            variant="primary"
+            onClick={saveUnits}
+            disabled={!enabledUnits.length}
+            {...(savingIntent === "units" ? { loading: true } : {})}
+          >
+            Save units
+          </s-button>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Frame attributes">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Extra options such as moulding profile, glazing, mat and backing.
+            Each select option or number attribute can add a price and a weight
+            per piece (fixed), per cm of perimeter, per cm² of area or, for
+            number attributes, per cm² of a border as wide as the value. Leave
+            the list empty to offer only size and material.
+          </s-paragraph>
+          {fetcher.data?.attributeErrors && (
+            <s-banner tone="critical">
+              <s-unordered-list>
+                {fetcher.data.attributeErrors.map((error) => (
+                  <s-list-item key={error}>{error}</s-list-item>
+                ))}
+              </s-unordered-list>
+            </s-banner>
+          )}
+          <s-text-area
+            label="Attribute schema (JSON)"
+            details='Labels can be plain text or one text per language, e.g. {"tr": "Cam", "en": "Glazing"}'
+            rows={16}
+            value={attributeSchema}
+            onChange={(e) => setAttributeSchema(e.currentTarget.value)}
+          ></s-text-area>
+          <s-stack direction="inline" gap="base">
+            <s-button
+              variant="primary"
+              onClick={saveAttributes}
+              {...(savingIntent === "attributes" ? { loading: true } : {})}
+            >
+              Save attributes
+            </s-button>
+            <s-button
+              onClick={() =>
+                setAttributeSchema(
+                  JSON.stringify(DEFAULT_FRAME_ATTRIBUTES, null, 2),
+                )
+              }
+            >
+              Use frame defaults
+            </s-button>
+          </s-stack>
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
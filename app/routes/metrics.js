@@ -0,0 +1,33 @@
+// app/routes/metrics.js
+// Prometheus scrape uç noktası: GET /metrics, "Authorization: Bearer
+// <METRICS_TOKEN>" ister. METRICS_TOKEN tanımlı değilse uç nokta kapalıdır
+// (404). Metrikler için bkz. metrics.server.js.
+
+export async function loader({ request }) {
+  const { METRICS_TOKEN, renderMetrics, scrapeAuthorized } = await import(
+    "../metrics.server"
+  );
+  if (!METRICS_TOKEN) {
+    return new Response("Not Found", { status: 404 });
+  }
+
+  if (!scrapeAuthorized(request)) {
+    return new Response("Unauthorized", {
+      status: 401,
+      headers: { "WWW-Authenticate": 'Bearer realm="metrics"' },
+    });
+  }
+
+  try {
+    return new Response(await renderMetrics(), {
+      headers: {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    const { logger } = await import("../logger.server");
+    logger.error("Metrikler oluşturulamadı", error);
+    return new Response("Metrics unavailable", { status: 500 });
+  }
+}
@@ -1,10 +1,11 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { logger } from "../logger.server";
 
 export const action = async ({ request }) => {
   const { payload, session, topic, shop } = await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
+  logger.info("Webhook alındı", { topic, shop });
   const current = payload.current;
 
   if (session) {
@@ -1,16 +1,18 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { purgeShopData } from "../shopData.server";
+import { logger } from "../logger.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, topic } = await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
+  logger.info("Webhook alındı", { topic, shop });
 
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
-  // If this webhook already ran, the session may have been deleted previously.
-  if (session) {
-    await db.session.deleteMany({ where: { shop } });
-  }
+  // The purge is idempotent, so repeated deliveries simply delete nothing.
+  // Uygulama kaldırıldıktan sonra Admin API erişimi olmadığından geçici
+  // varyantlar temizlenemez; kayıtları tutmak worker'ı boşuna çalıştırır.
+  const purged = await purgeShopData(shop);
+  logger.info("Mağaza verileri silindi", { shop, purged });
 
   return new Response();
 };
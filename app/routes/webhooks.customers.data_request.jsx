@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import { recordCustomerDataRequest } from "../shopData.server";
+import { logger } from "../logger.server";
+
+// GDPR customers/data_request: müşteriyle ilişkili tuttuğumuz veriler
+// kaydedilir ve admin panelinde (Data requests) mağaza sahibine gösterilir;
+// müşteriye iletilmesi mağaza sahibindedir. Loglara yalnızca kaydın kimliği
+// yazılır.
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook alındı", { topic, shop });
+
+  const record = await recordCustomerDataRequest(shop, {
+    dataRequestId: payload.data_request?.id,
+    customer: payload.customer,
+    orders: payload.orders_requested,
+  });
+
+  logger.info("Müşteri veri talebi kaydedildi", {
+    shop,
+    recordId: record.id,
+    dataRequestId: record.dataRequestId,
+  });
+
+  return new Response();
+};
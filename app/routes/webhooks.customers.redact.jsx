@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { redactCustomerData } from "../shopData.server";
+import { logger } from "../logger.server";
+
+// GDPR customers/redact: müşterinin sipariş ID'leri, teklif taleplerindeki
+// iletişim bilgileri ve saklanan veri talepleri silinir.
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook alındı", { topic, shop });
+
+  const redacted = await redactCustomerData(shop, {
+    customer: payload.customer,
+    orders: payload.orders_to_redact,
+  });
+  logger.info("Müşteri verileri silindi", { shop, records: redacted });
+
+  return new Response();
+};
@@ -0,0 +1,63 @@
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { logger } from "../logger.server";
+
+// orders/create ve orders/paid: siparişteki geçici varyantları "sipariş
+// edildi" olarak işaretler, böylece cleanup worker onları silmez.
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook alındı", { topic, shop });
+
+  const orderId = String(payload.id);
+  const variantIds = [
+    ...new Set(
+      (payload.line_items || [])
+        .map((item) => item.variant_id)
+        .filter(Boolean)
+        .map(String),
+    ),
+  ];
+
+  if (!variantIds.length) {
+    return new Response();
+  }
+
+  const temporaryProducts = await db.temporaryProduct.findMany({
+    where: {
+      shopDomain: shop,
+      variantId: { in: variantIds },
+    },
+  });
+
+  // Aynı sipariş için hem orders/create hem orders/paid gelir; webhook'lar
+  // tekrar da gönderilebilir ve eşzamanlı işlenebilir. Sipariş satırının
+  // benzersiz kısıtı siparişi yalnızca bir kez kaydeder.
+  for (const item of temporaryProducts) {
+    await db.temporaryProduct.updateMany({
+      where: { id: item.id, isOrdered: false },
+      data: { isOrdered: true },
+    });
+
+    try {
+      await db.temporaryProductOrder.create({
+        data: { temporaryProductId: item.id, orderId },
+      });
+    } catch (err) {
+      if (err?.code !== "P2002") throw err;
+      continue;
+    }
+
+    await db.cleanupLog.create({
+      data: {
+        action: "ordered",
+        shopDomain: shop,
+        productId: item.productId,
+        variantId: item.variantId,
+        message: `Temporary variant ordered (${topic}, order ${orderId})`,
+      },
+    });
+  }
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { purgeShopData } from "../shopData.server";
+import { logger } from "../logger.server";
+
+// GDPR shop/redact: kaldırmadan 48 saat sonra gelir. app/uninstalled zaten
+// temizlemiş olsa da kalan her şey burada tekrar silinir.
+export const action = async ({ request }) => {
+  const { shop, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook alındı", { topic, shop });
+
+  const purged = await purgeShopData(shop);
+  logger.info("Mağaza verileri silindi", { shop, purged });
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { updateShopSettings } from "../shopSettings.server";
+import { logger } from "../logger.server";
+
+// Mağaza para birimi değiştiğinde fiyat yanıtları yeni birimle biçimlenir
+export const action = async ({ request }) => {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+
+  logger.info("Webhook alındı", { topic, shop });
+
+  if (payload.currency) {
+    await updateShopSettings(shop, { currencyCode: payload.currency });
+  }
+
+  return new Response();
+};
@@ -0,0 +1,237 @@
+// Mağaza kapsamlı verilerin silinmesi (app/uninstalled, shop/redact) ve
+// müşteri GDPR webhook'ları için yardımcılar.
+import prisma from "./db.server";
+import { RATE_LIMIT_POLICIES } from "./rateLimit.server";
+
+/**
+ * Mağazaya ait tüm kayıtları tek transaction'da siler. Silinen kayıt
+ * sayılarını tablo bazında döndürür. Tekrar çağrılması güvenlidir.
+ */
+export async function purgeShopData(shopDomain) {
+  const temporaryProducts = await prisma.temporaryProduct.findMany({
+    where: { shopDomain },
+    select: { variantId: true },
+  });
+  const variantIds = temporaryProducts.map((item) => item.variantId);
+
+  const [
+    cleanupLogs,
+    temporaryProductOrders,
+    temporaryProductsDeleted,
+    hostProducts,
+    pricingRules,
+    dimensionRules,
+    materials,
+    quotes,
+    customerDataRequests,
+    shopSettings,
+    idempotencyKeys,
+    configurationLocks,
+    rateLimitBuckets,
+    sessions,
+  ] = await prisma.$transaction([
+    // Eski loglarda shopDomain yok; onlar varyant ID'leri üzerinden bulunur
+    prisma.cleanupLog.deleteMany({
+      where: {
+        OR: [
+          { shopDomain },
+          ...(variantIds.length ? [{ variantId: { in: variantIds } }] : []),
+        ],
+      },
+    }),
+    prisma.temporaryProductOrder.deleteMany({
+      where: { temporaryProduct: { shopDomain } },
+    }),
+    prisma.temporaryProduct.deleteMany({ where: { shopDomain } }),
+    prisma.hostProduct.deleteMany({ where: { shopDomain } }),
+    prisma.pricingRule.deleteMany({ where: { shopDomain } }),
+    prisma.dimensionRule.deleteMany({ where: { shopDomain } }),
+    prisma.material.deleteMany({ where: { shopDomain } }),
+    prisma.quote.deleteMany({ where: { shopDomain } }),
+    prisma.customerDataRequest.deleteMany({ where: { shopDomain } }),
+    prisma.shopSettings.deleteMany({ where: { shopDomain } }),
+    prisma.idempotencyKey.deleteMany({ where: { shopDomain } }),
+    prisma.configurationLock.deleteMany({
+      where: { key: { startsWith: `${shopDomain}:` } },
+    }),
+    // Kova anahtarları "<policy>:<shop>" veya "<policy>:<shop>:<istemci>"
+    prisma.rateLimitBucket.deleteMany({
+      where: {
+        OR: RATE_LIMIT_POLICIES.flatMap((policy) => [
+          { key: `${policy}:${shopDomain}` },
+          { key: { startsWith: `${policy}:${shopDomain}:` } },
+        ]),
+      },
+    }),
+    prisma.session.deleteMany({ where: { shop: shopDomain } }),
+  ]);
+
+  return {
+    cleanupLogs: cleanupLogs.count,
+    temporaryProductOrders: temporaryProductOrders.count,
+    temporaryProducts: temporaryProductsDeleted.count,
+    hostProducts: hostProducts.count,
+    pricingRules: pricingRules.count,
+    dimensionRules: dimensionRules.count,
+    materials: materials.count,
+    quotes: quotes.count,
+    customerDataRequests: customerDataRequests.count,
+    shopSettings: shopSettings.count,
+    idempotencyKeys: idempotencyKeys.count,
+    configurationLocks: configurationLocks.count,
+    rateLimitBuckets: rateLimitBuckets.count,
+    sessions: sessions.count,
+  };
+}
+
+function toOrderIds(orders) {
+  return (orders || []).map(String);
+}
+
+function findByOrderIds(shopDomain, orderIds) {
+  if (!orderIds.length) return [];
+
+  return prisma.temporaryProduct.findMany({
+    where: { shopDomain, orders: { some: { orderId: { in: orderIds } } } },
+    include: { orders: true },
+  });
+}
+
+// Müşterinin teklif talepleri: giriş yapmış müşteriler customerId, misafirler
+// e-posta ile bulunur. Teklif, taslak siparişi ödenmeden de müşteriye aittir;
+// bu yüzden sipariş üzerinden eşleştirme yapılmaz.
+function customerFilter(customer) {
+  const email = customer?.email ? String(customer.email) : null;
+  return [
+    ...(customer?.id ? [{ customerId: String(customer.id) }] : []),
+    ...(email
+      ? [{ email: { in: [...new Set([email, email.toLowerCase()])] } }]
+      : []),
+  ];
+}
+
+function findCustomerQuotes(shopDomain, customer) {
+  const or = customerFilter(customer);
+  if (!or.length) return [];
+
+  return prisma.quote.findMany({ where: { shopDomain, OR: or } });
+}
+
+/**
+ * customers/data_request: müşterinin siparişleriyle ilişkili özel ölçü
+ * varyantlarını ve teklif taleplerini (iletişim bilgileriyle) döndürür.
+ */
+export async function getCustomerData(shopDomain, { customer, orders }) {
+  const items = await findByOrderIds(shopDomain, toOrderIds(orders));
+  const quotes = await findCustomerQuotes(shopDomain, customer);
+
+  const variants = items.map((item) => ({
+    variantId: item.variantId,
+    productId: item.productId,
+    boy: item.boy,
+    en: item.en,
+    materyal: item.materyal,
+    calculatedPrice: item.calculatedPrice,
+    orderIds: item.orders.map((order) => order.orderId),
+    createdAt: item.createdAt,
+  }));
+
+  return {
+    variants,
+    quotes: quotes.map((quote) => ({
+      id: quote.id,
+      status: quote.status,
+      boy: quote.boy,
+      en: quote.en,
+      unit: quote.unit,
+      materyal: quote.materyal,
+      quantity: quote.quantity,
+      price: quote.price,
+      customerId: quote.customerId,
+      email: quote.email,
+      name: quote.name,
+      company: quote.company,
+      customerNote: quote.customerNote,
+      draftOrderId: quote.draftOrderId,
+      createdAt: quote.createdAt,
+    })),
+  };
+}
+
+/**
+ * customers/data_request: müşterinin verilerini toplayıp mağaza sahibinin
+ * admin panelinde görmesi için saklar. Kaydı döndürür; loglara yalnızca
+ * kimliği yazılmalıdır.
+ */
+export async function recordCustomerDataRequest(
+  shopDomain,
+  { dataRequestId, customer, orders },
+) {
+  const data = await getCustomerData(shopDomain, { customer, orders });
+
+  return prisma.customerDataRequest.create({
+    data: {
+      shopDomain,
+      dataRequestId: dataRequestId ? String(dataRequestId) : null,
+      customerId: customer?.id ? String(customer.id) : null,
+      email: customer?.email ? String(customer.email) : null,
+      data,
+    },
+  });
+}
+
+export function listCustomerDataRequests(shopDomain, take = 50) {
+  return prisma.customerDataRequest.findMany({
+    where: { shopDomain },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+/**
+ * customers/redact: müşterinin sipariş ID'lerini kayıtlardan çıkarır.
+ * Kayıtlar siparişli kalır, böylece cleanup worker varyantları silmez.
+ * Teklif taleplerinin iletişim bilgileri silinir; ölçü ve fiyat kalır.
+ * Müşteri için saklanan veri talepleri silinir. Güncellenen ve silinen kayıt
+ * sayılarını döndürür.
+ */
+export async function redactCustomerData(shopDomain, { customer, orders }) {
+  const orderIds = toOrderIds(orders);
+  const items = await findByOrderIds(shopDomain, orderIds);
+
+  if (items.length) {
+    await prisma.temporaryProductOrder.deleteMany({
+      where: {
+        temporaryProductId: { in: items.map((item) => item.id) },
+        orderId: { in: orderIds },
+      },
+    });
+  }
+
+  const quotes = await findCustomerQuotes(shopDomain, customer);
+  if (quotes.length) {
+    await prisma.quote.updateMany({
+      where: { id: { in: quotes.map((quote) => quote.id) } },
+      data: {
+        customerId: null,
+        email: null,
+        name: null,
+        company: null,
+        customerNote: null,
+      },
+    });
+  }
+
+  const or = customerFilter(customer);
+  const dataRequests = or.length
+    ? await prisma.customerDataRequest.deleteMany({
+        where: { shopDomain, OR: or },
+      })
+    : { count: 0 };
+
+  return {
+    variants: items.length,
+    quotes: quotes.length,
+    dataRequests: dataRequests.count,
+  };
+}
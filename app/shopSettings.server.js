@@ -0,0 +1,55 @@
+import prisma from "./db.server";
+
+export const CART_MODES = {
+  VARIANT: "variant",
+  LINE_ITEM_PROPERTIES: "line_item_properties",
+};
+
+export async function getShopSettings(shopDomain) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopDomain },
+  });
+
+  return (
+    settings || {
+      shopDomain,
+      cartMode: CART_MODES.VARIANT,
+      cartTransformId: null,
+      units: ["cm"],
+      unitPrecision: {},
+      currencyCode: null,
+      frameAttributes: [],
+    }
+  );
+}
+
+export async function updateShopSettings(shopDomain, data) {
+  return prisma.shopSettings.upsert({
+    where: { shopDomain },
+    create: { shopDomain, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Fiyat yanıtlarında kullanılan mağaza para birimi. Ayarlarda yoksa Admin
+ * API'den bir kez okunup saklanır; değişiklikleri shop/update webhook'u yazar.
+ */
+export async function getShopCurrency(client, settings) {
+  if (settings.currencyCode) return settings.currencyCode;
+
+  const data = await client.request(
+    `#graphql
+      query customizerShopCurrency {
+        shop {
+          currencyCode
+        }
+      }`,
+    {},
+    { cost: 1 },
+  );
+
+  const currencyCode = data.shop.currencyCode;
+  await updateShopSettings(settings.shopDomain, { currencyCode });
+  return currencyCode;
+}
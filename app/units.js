@@ -0,0 +1,121 @@
+// Ölçü birimleri. Sunucu her ölçüyü kanonik birime (cm) çevirerek fiyat,
+// ağırlık ve ölçü kurallarını hesaplar; müşterinin seçtiği birim yalnızca
+// gösterimde (varyant başlığı, satır özellikleri, yanıtlar) kullanılır.
+// Cart Transform fonksiyonu da kullandığı için saf tutulmalıdır.
+
+export const CANONICAL_UNIT = "cm";
+
+// precision: mağaza ayarı yoksa kabul edilen en küçük adım (birimin kendisiyle)
+// metric: ürünün cm cinsinden adım kuralı (DimensionRule.step) uygulanır mı
+export const UNITS = {
+  cm: { label: "cm", toCm: 1, precision: 1, metric: true },
+  mm: { label: "mm", toCm: 0.1, precision: 1, metric: true },
+  in: { label: "in", toCm: 2.54, precision: 0.125, metric: false },
+};
+
+// Ayarlarda seçilebilen hassasiyetler. Kanonik değer 0.01 cm'ye yuvarlandığı
+// için bundan küçük adımlar (ör. 1/64 inç) ayırt edilemez.
+export const PRECISION_OPTIONS = {
+  cm: [1, 0.5, 0.1],
+  mm: [10, 5, 1],
+  in: [1, 0.5, 0.25, 0.125, 0.0625],
+};
+
+const EPSILON = 1e-6;
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export function isUnit(unit) {
+  return Object.prototype.hasOwnProperty.call(UNITS, unit);
+}
+
+/**
+ * Mağaza ayarlarından storefront'un sunduğu birimleri ve hassasiyetlerini
+ * döndürür. İlk birim varsayılandır. Ayar yoksa yalnızca tam santimetre.
+ */
+export function getUnitSettings(settings) {
+  const units = (settings?.units || [CANONICAL_UNIT]).filter(isUnit);
+  const precision = settings?.unitPrecision || {};
+
+  return (units.length ? units : [CANONICAL_UNIT]).map((unit) => ({
+    unit,
+    label: UNITS[unit].label,
+    precision: PRECISION_OPTIONS[unit].includes(precision[unit])
+      ? precision[unit]
+      : UNITS[unit].precision,
+  }));
+}
+
+export function toCentimetres(value, unit = CANONICAL_UNIT) {
+  return roundTo(value * UNITS[unit].toCm, 2);
+}
+
+export function fromCentimetres(cm, unit = CANONICAL_UNIT) {
+  return cm / UNITS[unit].toCm;
+}
+
+export function isMultipleOf(value, step) {
+  const steps = value / step;
+  return Math.abs(steps - Math.round(steps)) < EPSILON;
+}
+
+/**
+ * Değeri hassasiyet adımına yuvarlar. Alt sınırlar yukarı ("ceil"), üst
+ * sınırlar aşağı ("floor") yuvarlanır ki gösterilen sınır gerçekten geçerli olsun.
+ */
+export function roundToPrecision(value, precision, mode = "round") {
+  const steps = value / precision;
+  const rounded =
+    mode === "ceil"
+      ? Math.ceil(steps - EPSILON)
+      : mode === "floor"
+        ? Math.floor(steps + EPSILON)
+        : Math.round(steps);
+  return roundTo(rounded * precision, 4);
+}
+
+// 30 -> "30 cm", 12.125 -> "12.125 in". "30.0" ile "30" aynı metni üretir.
+export function formatDimension(value, unit = CANONICAL_UNIT) {
+  return `${roundTo(Number(value), 4)} ${UNITS[unit].label}`;
+}
+
+export function formatSize(boy, en, unit = CANONICAL_UNIT) {
+  return `${roundTo(Number(boy), 4)}×${roundTo(Number(en), 4)} ${UNITS[unit].label}`;
+}
+
+export function formatArea(cm2, unit = CANONICAL_UNIT) {
+  const area = cm2 / UNITS[unit].toCm ** 2;
+  return `${roundTo(area, 2)} ${UNITS[unit].label}²`;
+}
+
+// Düz ondalık sayı: "12", "12.5". Number()'ın kabul ettiği "1e2", "0x1e",
+// "Infinity" gibi biçimler ölçü olarak geçersizdir. Storefront
+// (frame-configurator.js) aynı kalıbı kullanır.
+const DECIMAL = String.raw`\d+(?:\.\d+)?`;
+const DECIMAL_PATTERN = new RegExp(`^${DECIMAL}$`);
+const DIMENSION_PATTERN = new RegExp(`^\\s*(${DECIMAL})\\s*([a-z]*)\\s*$`, "i");
+
+// Ham ölçü metnini sayıya çevirir; düz ondalık sayı değilse null
+export function parseDecimal(text) {
+  const value = String(text ?? "").trim();
+  return DECIMAL_PATTERN.test(value) ? Number(value) : null;
+}
+
+/**
+ * Varyant seçeneği veya satır özelliği metnini çözer: "12.5 in" ->
+ * { value: 12.5, unit: "in", cm: 31.75 }. Birimsiz eski değerler ("30") cm
+ * kabul edilir. Çözülemezse null döner.
+ */
+export function parseDimension(text) {
+  const match = DIMENSION_PATTERN.exec(String(text ?? ""));
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  const unit = match[2].toLowerCase() || CANONICAL_UNIT;
+  if (!isUnit(unit)) return null;
+
+  return { value, unit, cm: toCentimetres(value, unit) };
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import {
+  formatArea,
+  formatDimension,
+  formatSize,
+  fromCentimetres,
+  getUnitSettings,
+  isMultipleOf,
+  parseDecimal,
+  parseDimension,
+  roundToPrecision,
+  toCentimetres,
+} from "./units";
+
+describe("birim dönüşümü", () => {
+  it("ölçüleri 0.01 cm'ye yuvarlanmış kanonik cm'ye çevirir", () => {
+    expect(toCentimetres(30)).toBe(30);
+    expect(toCentimetres(305, "mm")).toBe(30.5);
+    expect(toCentimetres(12.5, "in")).toBe(31.75);
+    expect(toCentimetres(1 / 3, "in")).toBe(0.85);
+  });
+
+  it("cm'den müşterinin birimine geri çevirir", () => {
+    expect(fromCentimetres(30.5, "mm")).toBe(305);
+    expect(fromCentimetres(31.75, "in")).toBe(12.5);
+    expect(fromCentimetres(toCentimetres(12.125, "in"), "in")).toBeCloseTo(
+      12.125,
+      2,
+    );
+  });
+
+  it("alanı birimin karesine çevirir", () => {
+    expect(formatArea(6.4516, "in")).toBe("1 in²");
+    expect(formatArea(2000)).toBe("2000 cm²");
+  });
+
+  it("aynı değeri aynı metinle gösterir", () => {
+    expect(formatDimension("30.0")).toBe("30 cm");
+    expect(formatDimension(12.125, "in")).toBe("12.125 in");
+    expect(formatSize(50, 40.5, "mm")).toBe("50×40.5 mm");
+  });
+});
+
+describe("hassasiyet", () => {
+  it("sınırları geçerli kalacak yönde yuvarlar", () => {
+    expect(roundToPrecision(10.1, 0.5, "ceil")).toBe(10.5);
+    expect(roundToPrecision(10.4, 0.5, "floor")).toBe(10);
+    expect(roundToPrecision(10.5, 0.5, "ceil")).toBe(10.5);
+    expect(roundToPrecision(3.9, 0.125)).toBe(3.875);
+  });
+
+  it("kayan nokta hatasını adım katı sayar", () => {
+    expect(isMultipleOf(0.3, 0.1)).toBe(true);
+    expect(isMultipleOf(0.35, 0.1)).toBe(false);
+  });
+
+  it("yalnızca izin verilen birim ve hassasiyetleri kullanır", () => {
+    expect(getUnitSettings(null)).toEqual([
+      { unit: "cm", label: "cm", precision: 1 },
+    ]);
+    expect(
+      getUnitSettings({
+        units: ["in", "yd", "cm"],
+        unitPrecision: { in: 0.25, cm: 0.3 },
+      }),
+    ).toEqual([
+      { unit: "in", label: "in", precision: 0.25 },
+      { unit: "cm", label: "cm", precision: 1 },
+    ]);
+  });
+});
+
+describe("ölçü metni", () => {
+  it("yalnızca düz ondalık sayıları kabul eder", () => {
+    expect(parseDecimal(" 12.5 ")).toBe(12.5);
+    for (const text of ["1e2", "0x1e", "Infinity", "-5", "12.", ".5", ""]) {
+      expect(parseDecimal(text)).toBeNull();
+    }
+  });
+
+  it("birimli ve birimsiz değerleri çözer", () => {
+    expect(parseDimension("12.5 in")).toEqual({
+      value: 12.5,
+      unit: "in",
+      cm: 31.75,
+    });
+    expect(parseDimension("30")).toEqual({ value: 30, unit: "cm", cm: 30 });
+    expect(parseDimension("30 yd")).toBeNull();
+    expect(parseDimension("1e2 cm")).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+// @ts-check
+// Fiyat hesabı ve ölçü kontrolü uygulamayla aynı modüllerden gelir; böylece
+// api.add-to-cart, /quote ve bu fonksiyon aynı ölçü için her zaman aynı fiyatı
+// üretir. Satırlar doğrudan /cart/add.js ile eklenebildiğinden uygulamanın
+// reddedeceği ölçüler burada da fiyatlanmaz.
+import {
+  checkDimensions,
+  DEFAULT_DIMENSION_RULE,
+} from "../../../app/dimensions";
+import {
+  calculateAttributeCharges,
+  formatAttributes,
+  parseAttributeInput,
+  validateAttributes,
+} from "../../../app/frameAttributes";
+import { normalizeMaterialKey } from "../../../app/materials";
+import { calculatePrice, DEFAULT_PRICING_RULE } from "../../../app/pricing";
+import { formatSize, parseDimension } from "../../../app/units";
+
+/**
+ * @typedef {import("../generated/api").CartTransformRunInput} CartTransformRunInput
+ * @typedef {import("../generated/api").CartTransformRunResult} CartTransformRunResult
+ */
+
+/**
+ * @type {CartTransformRunResult}
+ */
+const NO_CHANGES = {
+  operations: [],
+};
+
+function fromGid(gid) {
+  return String(gid).split("/").pop();
+}
+
+function getRule(config, productId) {
+  return config?.rules?.[productId] || config?.default || DEFAULT_PRICING_RULE;
+}
+
+// Metafield'da ölçü kuralları yoksa (eski yapılandırma) kontrol yapılmaz;
+// varsa ölçü ürünün kuralına ve mağazanın açtığı birimlere uymalıdır
+function dimensionsAllowed(config, productId, boy, en) {
+  const dimensions = config?.dimensions;
+  if (!dimensions) return true;
+
+  const rule =
+    dimensions.rules?.[productId] ||
+    dimensions.default ||
+    DEFAULT_DIMENSION_RULE;
+  const { errors } = checkDimensions(
+    { boy: boy.value, en: en.value, unit: boy.unit },
+    rule,
+    config.units || undefined,
+  );
+  return !errors.length;
+}
+
+// Metafield'da materyal listesi yoksa (eski yapılandırma) çarpan 1'dir;
+// varsa listede olmayan (bilinmeyen veya pasif) materyal fiyatlanmaz
+function getPriceFactor(config, materyal) {
+  const factors = config?.materials;
+  if (!factors) return 1;
+
+  const key = normalizeMaterialKey(materyal);
+  return Object.prototype.hasOwnProperty.call(factors, key)
+    ? factors[key]
+    : null;
+}
+
+// Ek seçenekler metafield'daki şemaya göre yeniden doğrulanır; şemaya
+// uymayan satır (ör. şema değiştikten sonra) fiyatlanmaz
+function getAttributes(line, schema, size) {
+  try {
+    return validateAttributes(
+      parseAttributeInput(line.attributes?.value),
+      schema,
+      size,
+    );
+  } catch {
+    return null;
+  }
+}
+
+// `rate`: mağaza para biriminden sepetin para birimine çevrim oranı. Satır
+// maliyeti sepetin para birimindedir; kurallar (ör. minimumCharge) mağaza
+// para biriminde olduğundan fiyat mağaza para biriminde hesaplanıp çevrilir.
+function transformLine(line, config, locale, rate) {
+  // Özellikler müşterinin birimiyle gelir ("12.5 in"); fiyat cm ile hesaplanır
+  const boy = parseDimension(line.boy?.value);
+  const en = parseDimension(line.en?.value);
+  const materyal = line.materyal?.value;
+
+  if (line.merchandise.__typename !== "ProductVariant") return null;
+  if (!boy || !en || boy.unit !== en.unit || !materyal) return null;
+
+  const product = line.merchandise.product;
+  const productId = fromGid(product.id);
+  if (!dimensionsAllowed(config, productId, boy, en)) return null;
+
+  const priceFactor = getPriceFactor(config, materyal);
+  if (priceFactor === null) return null;
+
+  const schema = config?.attributes || [];
+  const size = { boy: boy.cm, en: en.cm };
+  const attributes = getAttributes(line, schema, size);
+  if (!attributes) return null;
+
+  const description = [
+    formatSize(boy.value, en.value, boy.unit),
+    materyal,
+    formatAttributes(attributes, schema, locale),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  let pricing;
+  try {
+    pricing = calculatePrice(
+      {
+        boy: boy.cm,
+        en: en.cm,
+        materyal,
+        basePrice: Number(line.cost.amountPerQuantity.amount) / rate,
+        priceFactor,
+        attributeCharges: calculateAttributeCharges(attributes, schema, size)
+          .items,
+      },
+      getRule(config, productId),
+    );
+  } catch {
+    // Hesaplanamayan formül (ör. sıfıra bölme): satıra dokunmayız
+    return null;
+  }
+
+  return {
+    lineUpdate: {
+      cartLineId: line.id,
+      title: `${product.title} - ${description}`,
+      price: {
+        adjustment: {
+          fixedPricePerUnit: {
+            amount: (pricing.price * rate).toFixed(2),
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * @param {CartTransformRunInput} input
+ * @returns {CartTransformRunResult}
+ */
+export function cartTransformRun(input) {
+  const config = input.cartTransform?.pricing?.jsonValue;
+  // Seçenek etiketleri alışverişçinin dilinde ("EN" -> "en")
+  const locale = input.localization?.language?.isoCode?.toLowerCase();
+  const rate = Number(input.presentmentCurrencyRate) || 1;
+
+  const operations = input.cart.lines
+    .map((line) => transformLine(line, config, locale, rate))
+    .filter(Boolean);
+
+  return operations.length ? { operations } : NO_CHANGES;
+}
@@ -0,0 +1,636 @@
+// Storefront çerçeve yapılandırıcısı. Ölçü değiştikçe /quote'tan fiyat alır,
+// "Sepete ekle"de /add-to-cart'a gider ve dönen varyantı (veya varyantsız
+// modda base varyantı satır özellikleriyle) Ajax Cart API ile sepete ekler.
+(function () {
+  const QUOTE_DEBOUNCE_MS = 400;
+  const PREVIEW_DEBOUNCE_MS = 150;
+  const MAX_RETRIES = 3;
+
+  // Sunucu bu hatalarda aynı requestId ile tekrar denemeyi bekler
+  const RETRYABLE_ERRORS = ["duplicate", "lock_timeout", "timeout"];
+
+  // Fiyat değiştiğinde yeni teklif alınıp sepete ekleme bir kez tekrarlanır
+  const REQUOTE_ERRORS = ["invalid_price", "invalid_quote", "quote_expired"];
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Çok dilli mağazalarda sepet yolları dil önekiyle başlar (/en/cart)
+  function cartRoot() {
+    return window.Shopify?.routes?.root || "/";
+  }
+
+  // app/units.js ile aynı çevrim; kanonik birim cm
+  const UNIT_TO_CM = { cm: 1, mm: 0.1, in: 2.54 };
+  const METRIC_UNITS = ["cm", "mm"];
+  const DEFAULT_UNITS = [{ unit: "cm", label: "cm", precision: 1 }];
+  const EPSILON = 1e-6;
+  // app/units.js parseDecimal ile aynı kalıp: yalnızca düz ondalık sayı
+  const DECIMAL_PATTERN = /^\d+(?:\.\d+)?$/;
+
+  function round(value, decimals = 4) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  function isMultipleOf(value, step) {
+    const steps = value / step;
+    return Math.abs(steps - Math.round(steps)) < EPSILON;
+  }
+
+  function toCentimetres(value, unit) {
+    return round(value * UNIT_TO_CM[unit], 2);
+  }
+
+  // Sınırı müşterinin birimine çevirir; alt sınır yukarı, üst sınır aşağı
+  function fromCentimetres(cm, { unit, precision }, mode) {
+    const steps = cm / UNIT_TO_CM[unit] / precision;
+    const rounded =
+      mode === "ceil"
+        ? Math.ceil(steps - EPSILON)
+        : Math.floor(steps + EPSILON);
+    return round(rounded * precision);
+  }
+
+  // app/dimensions.js'teki kontrolün storefront kopyası; kurallar ve birimler
+  // /dimensions'tan gelir. İlk hata { field, code, limitText } olarak döner.
+  function checkDimensions(values, rules, unitSetting) {
+    const { unit, label, precision } = unitSetting;
+    const format = (value) => `${round(value)} ${label}`;
+    const cm = {};
+
+    for (const field of ["boy", "en"]) {
+      const value = values[field];
+      if (!Number.isFinite(value)) return { field, code: "invalid" };
+      if (!isMultipleOf(value, precision)) {
+        return { field, code: "precision", limitText: format(precision) };
+      }
+      cm[field] = toCentimetres(value, unit);
+      if (!rules) {
+        if (value <= 0) {
+          return { field, code: "too_small", limitText: format(precision) };
+        }
+        continue;
+      }
+
+      const min = field === "boy" ? rules.minBoy : rules.minEn;
+      const max = field === "boy" ? rules.maxBoy : rules.maxEn;
+      if (cm[field] < min) {
+        const limit = fromCentimetres(min, unitSetting, "ceil");
+        return { field, code: "too_small", limitText: format(limit) };
+      }
+      if (cm[field] > max) {
+        const limit = fromCentimetres(max, unitSetting, "floor");
+        return { field, code: "too_large", limitText: format(limit) };
+      }
+      if (
+        METRIC_UNITS.includes(unit) &&
+        !isMultipleOf(cm[field] - min, rules.step)
+      ) {
+        const limitText = format(rules.step / UNIT_TO_CM[unit]);
+        return { field, code: "step", limitText };
+      }
+    }
+    if (!rules) return null;
+
+    if (
+      rules.maxAspectRatio &&
+      Math.max(cm.boy, cm.en) / Math.min(cm.boy, cm.en) > rules.maxAspectRatio
+    ) {
+      return {
+        field: "aspectRatio",
+        code: "too_large",
+        limitText: String(rules.maxAspectRatio),
+      };
+    }
+    if (rules.maxArea && cm.boy * cm.en > rules.maxArea) {
+      const area = round(rules.maxArea / UNIT_TO_CM[unit] ** 2, 2);
+      return {
+        field: "area",
+        code: "too_large",
+        limitText: `${area} ${label}²`,
+      };
+    }
+    return null;
+  }
+
+  function createRequestId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  class FrameConfigurator {
+    constructor(root) {
+      this.root = root;
+      this.form = root.querySelector("form");
+      this.priceEl = root.querySelector("[data-price]");
+      this.errorEl = root.querySelector("[data-error]");
+      this.submitEl = root.querySelector("[data-submit]");
+      this.previewEl = root.querySelector("[data-preview]");
+      this.previewImage = root.querySelector("[data-preview-image]");
+      this.messages = JSON.parse(
+        root.querySelector("[data-messages]").textContent,
+      );
+      this.proxyUrl = root.dataset.proxyUrl;
+      this.productId = root.dataset.productId;
+      // Sunucu mesajları ve fiyat biçimi storefront diliyle döner
+      this.locale = root.dataset.locale || document.documentElement.lang;
+      this.rules = null;
+      this.units = DEFAULT_UNITS;
+      this.unitSelect = this.form.elements.namedItem("unit");
+      // Mağazanın ek çerçeve seçenekleri; şema yoksa alan gizli kalır
+      this.attributes = [];
+      this.attributesEl = root.querySelector("[data-attributes]");
+      this.materialSelect = this.form.elements.namedItem("materyal");
+      // Blok ayarındaki materyaller; boşsa katalogdaki tüm aktif materyaller
+      this.allowedMaterials = [...this.materialSelect.options].map(
+        (option) => option.value,
+      );
+      this.redirectToCart = root.dataset.redirectToCart === "true";
+      this.submitLabel = this.submitEl.textContent.trim();
+      this.quote = null;
+      this.quoteRequest = 0;
+      this.quoteTimer = null;
+      this.previewTimer = null;
+
+      const onChange = () => {
+        this.applyDependencies();
+        this.schedulePreview();
+        this.scheduleQuote();
+      };
+      this.form.addEventListener("input", onChange);
+      this.form.addEventListener("change", onChange);
+      this.unitSelect.addEventListener("change", () => this.applyUnit());
+      this.form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        this.addToCart();
+      });
+
+      this.loadRules();
+    }
+
+    // Kurallar gelmeden de çalışır; o arada sınırları yalnızca sunucu denetler
+    async loadRules() {
+      try {
+        const params = new URLSearchParams({
+          productId: this.productId,
+          locale: this.locale,
+        });
+        const response = await fetch(`${this.proxyUrl}/dimensions?${params}`, {
+          headers: { Accept: "application/json" },
+        });
+        const result = await response.json();
+        if (!result.success) return;
+
+        this.rules = result.rules;
+        this.units = result.units?.length ? result.units : DEFAULT_UNITS;
+        this.unitSelect.replaceChildren(
+          ...this.units.map(({ unit, label }) => new Option(label, unit)),
+        );
+        this.unitSelect.closest("[data-unit-field]").hidden =
+          this.units.length < 2;
+        this.applyUnit();
+        this.applyMaterials(result.materials);
+        this.applyAttributes(result.attributes);
+      } catch {
+        // Varsayılan birimler ve materyaller kalır; ölçü sunucuda yine
+        // doğrulanır ve hata fiyat isteğinde gösterilir
+      }
+    }
+
+    // Pasif materyaller katalogdan düşer; seçim mümkünse korunur
+    applyMaterials(materials) {
+      if (!materials?.length) return;
+
+      const visible = this.allowedMaterials.length
+        ? materials.filter(({ key }) => this.allowedMaterials.includes(key))
+        : materials;
+      if (!visible.length) return;
+
+      const current = this.materialSelect.value;
+      this.materialSelect.replaceChildren(
+        ...visible.map(({ key, name }) => new Option(name, key)),
+      );
+      if (visible.some(({ key }) => key === current)) {
+        this.materialSelect.value = current;
+      }
+    }
+
+    applyAttributes(attributes) {
+      if (!this.attributesEl || !attributes?.length) return;
+
+      this.attributes = attributes;
+      this.attributesEl.replaceChildren(
+        ...attributes.map((attribute) => this.attributeField(attribute)),
+      );
+      this.attributesEl.hidden = false;
+      this.applyDependencies();
+      this.scheduleQuote();
+    }
+
+    attributeField(attribute) {
+      const field = document.createElement("label");
+      field.className = "frame-configurator__field";
+      field.dataset.attribute = attribute.key;
+
+      const caption = document.createElement("span");
+      caption.textContent =
+        attribute.type === "number"
+          ? `${attribute.label} (${attribute.unit})`
+          : attribute.label;
+
+      let input;
+      if (attribute.type === "number") {
+        input = document.createElement("input");
+        input.type = "number";
+        input.inputMode = "decimal";
+        input.min = String(attribute.min);
+        input.max = String(attribute.max);
+        input.step = String(attribute.step);
+      } else {
+        input = document.createElement("select");
+        if (!attribute.required) input.append(new Option("—", ""));
+        input.append(
+          ...attribute.options.map(
+            ({ value, label }) => new Option(label, value),
+          ),
+        );
+      }
+      input.name = `attribute:${attribute.key}`;
+      input.value = attribute.default ?? "";
+
+      field.append(caption, input);
+      return field;
+    }
+
+    // Bağlı seçenek (ör. paspartu rengi) yalnızca bağlı olduğu alan boş
+    // veya 0 değilse gösterilir; gizli alanlar sunucuya gönderilmez
+    applyDependencies() {
+      for (const attribute of this.attributes) {
+        if (!attribute.dependsOn) continue;
+
+        const value = this.attributeInput(attribute.dependsOn)?.value || "";
+        const active =
+          !this.isFieldHidden(attribute.dependsOn) &&
+          value.trim() !== "" &&
+          Number(value) !== 0;
+        this.attributesEl.querySelector(
+          `[data-attribute="${attribute.key}"]`,
+        ).hidden = !active;
+      }
+    }
+
+    attributeInput(key) {
+      return this.form.elements.namedItem(`attribute:${key}`);
+    }
+
+    isFieldHidden(key) {
+      return Boolean(
+        this.attributesEl.querySelector(`[data-attribute="${key}"]`)?.hidden,
+      );
+    }
+
+    readAttributes() {
+      const values = {};
+      for (const { key, type } of this.attributes) {
+        const value = String(this.attributeInput(key)?.value || "").trim();
+        if (!value || this.isFieldHidden(key)) continue;
+        values[key] = type === "number" ? Number(value) : value;
+      }
+      return values;
+    }
+
+    get unitSetting() {
+      return (
+        this.units.find(({ unit }) => unit === this.unitSelect.value) ||
+        this.units[0]
+      );
+    }
+
+    // Birim değişince giriş sınırları ve etiketler o birime çevrilir
+    applyUnit() {
+      const setting = this.unitSetting;
+      this.root.querySelectorAll("[data-unit-label]").forEach((el) => {
+        el.textContent = setting.label;
+      });
+
+      for (const field of ["boy", "en"]) {
+        const input = this.form.elements.namedItem(field);
+        input.step = String(setting.precision);
+        if (!this.rules) continue;
+
+        const min = field === "boy" ? this.rules.minBoy : this.rules.minEn;
+        const max = field === "boy" ? this.rules.maxBoy : this.rules.maxEn;
+        input.min = String(fromCentimetres(min, setting, "ceil"));
+        input.max = String(fromCentimetres(max, setting, "floor"));
+      }
+    }
+
+    // Tema varyant seçicisi base varyantı değiştirmiş olabilir
+    get baseVariantId() {
+      const productForm = document.querySelector(
+        'form[action*="/cart/add"] [name="id"]',
+      );
+      return productForm?.value || this.root.dataset.baseVariantId;
+    }
+
+    // Boş alan veya düz ondalık olmayan metin ("1e2", "0x1e") NaN olur;
+    // 12.5 gibi değerler yuvarlanmadan doğrulamaya gider
+    readValues() {
+      const data = new FormData(this.form);
+      const number = (name) => {
+        const text = String(data.get(name) || "").trim();
+        return DECIMAL_PATTERN.test(text) ? Number(text) : NaN;
+      };
+      return {
+        boy: number("boy"),
+        en: number("en"),
+        unit: this.unitSetting.unit,
+        materyal: String(data.get("materyal") || ""),
+        attributes: this.readAttributes(),
+      };
+    }
+
+    isComplete({ boy, en, materyal }) {
+      return !Number.isNaN(boy) && !Number.isNaN(en) && Boolean(materyal);
+    }
+
+    validate(values) {
+      if (!this.isComplete(values)) return this.messages.errors.validation;
+
+      const error = checkDimensions(values, this.rules, this.unitSetting);
+      return error ? this.dimensionMessage(error) : null;
+    }
+
+    // limitText birimi de içerir ("4 in", "1550 in²")
+    dimensionMessage({ field, code, limitText }) {
+      const { dimensions, fields } = this.messages;
+      const template = fields[field] ? dimensions[code] : dimensions[field];
+      if (!template) return null;
+      return template
+        .replace("%{field}", fields[field] || "")
+        .replace("%{limit}", limitText || "");
+    }
+
+    showError(message) {
+      this.errorEl.textContent = message || "";
+      this.errorEl.hidden = !message;
+    }
+
+    errorMessage(result) {
+      const { errors } = this.messages;
+      // Sunucu ölçü hatalarında alanı belirtir; mesaj mağazanın dilinde kurulur
+      const fieldError = result?.errors?.[0];
+      if (fieldError) {
+        return this.dimensionMessage(fieldError) || result.error;
+      }
+      return errors[result?.errorType] || result?.error || errors.default;
+    }
+
+    setBusy(busy, label) {
+      this.submitEl.disabled = busy;
+      this.submitEl.setAttribute("aria-busy", String(busy));
+      this.submitEl.textContent = label || this.submitLabel;
+    }
+
+    schedulePreview() {
+      if (!this.previewEl) return;
+      clearTimeout(this.previewTimer);
+      this.previewTimer = setTimeout(
+        () => this.updatePreview(),
+        PREVIEW_DEBOUNCE_MS,
+      );
+    }
+
+    // SVG sunucuda çizilir (api.preview); yeni görsel yüklenene kadar
+    // eskisi ekranda kalır, böylece yazarken titreme olmaz.
+    updatePreview() {
+      const values = this.readValues();
+      if (this.validate(values)) {
+        this.previewEl.hidden = true;
+        return;
+      }
+
+      const params = new URLSearchParams({
+        boy: String(values.boy),
+        en: String(values.en),
+        unit: values.unit,
+        materyal: values.materyal,
+      });
+      const src = `${this.proxyUrl}/preview?${params}`;
+      const image = new Image();
+      image.onload = () => {
+        if (this.previewSrc !== src) return;
+        this.previewImage.src = src;
+        this.previewImage.alt = `${values.boy} × ${values.en} ${this.unitSetting.label}, ${values.materyal}`;
+        this.previewEl.hidden = false;
+      };
+      this.previewSrc = src;
+      image.src = src;
+    }
+
+    scheduleQuote() {
+      this.quote = null;
+      clearTimeout(this.quoteTimer);
+      this.quoteTimer = setTimeout(() => this.fetchQuote(), QUOTE_DEBOUNCE_MS);
+    }
+
+    async fetchQuote() {
+      const values = this.readValues();
+      const invalid = this.validate(values);
+      if (invalid) {
+        this.priceEl.textContent = this.messages.placeholder;
+        this.showError(this.isComplete(values) ? invalid : "");
+        return null;
+      }
+
+      // Yalnızca en son isteğin sonucu gösterilir
+      const requestNumber = ++this.quoteRequest;
+      this.priceEl.dataset.state = "pending";
+      this.priceEl.textContent = this.messages.calculating;
+
+      const params = new URLSearchParams({
+        baseVariantId: this.baseVariantId,
+        boy: String(values.boy),
+        en: String(values.en),
+        unit: values.unit,
+        materyal: values.materyal,
+        attributes: JSON.stringify(values.attributes),
+        locale: this.locale,
+      });
+
+      try {
+        const response = await fetch(`${this.proxyUrl}/quote?${params}`, {
+          headers: { Accept: "application/json" },
+        });
+        const result = await response.json();
+        if (requestNumber !== this.quoteRequest) return null;
+
+        if (!result.success) {
+          this.priceEl.textContent = this.messages.placeholder;
+          this.showError(this.errorMessage(result));
+          return null;
+        }
+
+        this.quote = { ...result.quote, values };
+        this.priceEl.textContent = result.quote.formatted_price;
+        this.showError("");
+        return this.quote;
+      } catch {
+        if (requestNumber === this.quoteRequest) {
+          this.priceEl.textContent = this.messages.placeholder;
+          this.showError(this.messages.errors.default);
+        }
+        return null;
+      } finally {
+        if (requestNumber === this.quoteRequest) {
+          delete this.priceEl.dataset.state;
+        }
+      }
+    }
+
+    async postAddToCart(values, quote, requestId) {
+      const body = new FormData();
+      body.set("baseVariantId", this.baseVariantId);
+      body.set("boy", String(values.boy));
+      body.set("en", String(values.en));
+      body.set("unit", values.unit);
+      body.set("materyal", values.materyal);
+      body.set("attributes", JSON.stringify(values.attributes));
+      body.set("requestId", requestId);
+      body.set("locale", this.locale);
+      if (quote) {
+        body.set("calculatedPrice", quote.price);
+        body.set("quoteToken", quote.token);
+      }
+
+      const response = await fetch(`${this.proxyUrl}/add-to-cart`, {
+        method: "POST",
+        body,
+        headers: { Accept: "application/json" },
+      });
+
+      try {
+        return await response.json();
+      } catch {
+        return { success: false, errorType: "system_error" };
+      }
+    }
+
+    async requestVariant(values) {
+      let quote = this.quote || (await this.fetchQuote());
+      let requestId = createRequestId();
+      let requoted = false;
+      let result;
+
+      for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        result = await this.postAddToCart(values, quote, requestId);
+        if (result.success) return result;
+
+        if (RETRYABLE_ERRORS.includes(result.errorType)) {
+          if (attempt === MAX_RETRIES) return result;
+          this.showError(this.errorMessage(result));
+          await sleep((result.retryAfter || 2 ** attempt) * 1000);
+          continue;
+        }
+
+        if (REQUOTE_ERRORS.includes(result.errorType) && !requoted) {
+          // Yeni fiyat yeni bir istektir; eski requestId'nin yanıtı saklı
+          requoted = true;
+          const previousPrice = quote?.price;
+          quote = await this.fetchQuote();
+          if (!quote) return result;
+          if (previousPrice && quote.price !== previousPrice) {
+            return { success: false, errorType: "price_mismatch" };
+          }
+          requestId = createRequestId();
+          continue;
+        }
+
+        // price_mismatch: müşteri yeni fiyatı görmeden sepete eklenmez
+        if (result.errorType === "price_mismatch") {
+          await this.fetchQuote();
+        }
+        return result;
+      }
+      return result;
+    }
+
+    async addVariantToCart(result) {
+      const item = { id: result.variant.id, quantity: 1 };
+      // Önizleme bağlantısı siparişte saklanır ("_" ile başladığı için gizli)
+      item.properties = {
+        ...(result.previewUrl ? { _preview: result.previewUrl } : {}),
+        ...result.properties,
+      };
+
+      const response = await fetch(`${cartRoot()}cart/add.js`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ items: [item] }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.description || this.messages.errors.cart);
+      }
+      return response.json();
+    }
+
+    async addToCart() {
+      const values = this.readValues();
+      const invalid = this.validate(values);
+      if (invalid) {
+        this.showError(invalid);
+        return;
+      }
+
+      this.showError("");
+      this.setBusy(true, this.messages.adding);
+
+      try {
+        const result = await this.requestVariant(values);
+        if (!result.success) {
+          this.showError(this.errorMessage(result));
+          this.setBusy(false);
+          return;
+        }
+
+        const cart = await this.addVariantToCart(result);
+        this.root.dispatchEvent(
+          new CustomEvent("frame-configurator:added", {
+            bubbles: true,
+            detail: { result, cart },
+          }),
+        );
+
+        if (this.redirectToCart) {
+          window.location.href = `${cartRoot()}cart`;
+          return;
+        }
+        this.setBusy(false, this.messages.added);
+        setTimeout(() => this.setBusy(false), 2000);
+      } catch (err) {
+        this.showError(err.message || this.messages.errors.default);
+        this.setBusy(false);
+      }
+    }
+  }
+
+  function init() {
+    document
+      .querySelectorAll("[data-frame-configurator]:not([data-initialized])")
+      .forEach((root) => {
+        root.dataset.initialized = "true";
+        new FrameConfigurator(root);
+      });
+  }
+
+  init();
+  // Tema editöründe blok eklendiğinde/yeniden çizildiğinde
+  document.addEventListener("shopify:section:load", init);
+})();
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "pricing_rules" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT,
+    "pricePerCm2" REAL NOT NULL,
+    "minimumCharge" REAL NOT NULL DEFAULT 0,
+    "materialMultipliers" JSONB NOT NULL DEFAULT '{}',
+    "rounding" REAL NOT NULL DEFAULT 0.01,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pricing_rules_shopDomain_productId_key" ON "pricing_rules"("shopDomain", "productId");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "host_products" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "baseProductId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantCount" INTEGER NOT NULL DEFAULT 0,
+    "isFull" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "host_products_shopDomain_baseProductId_idx" ON "host_products"("shopDomain", "baseProductId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "host_products_shopDomain_productId_key" ON "host_products"("shopDomain", "productId");
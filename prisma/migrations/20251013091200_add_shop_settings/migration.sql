@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "shop_settings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "cartMode" TEXT NOT NULL DEFAULT 'variant',
+    "cartTransformId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shop_settings_shopDomain_key" ON "shop_settings"("shopDomain");
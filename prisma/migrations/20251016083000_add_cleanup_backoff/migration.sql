@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "temporary_products" ADD COLUMN "cleanupStatus" TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE "temporary_products" ADD COLUMN "nextCleanupAt" DATETIME;
+ALTER TABLE "temporary_products" ADD COLUMN "deadLetteredAt" DATETIME;
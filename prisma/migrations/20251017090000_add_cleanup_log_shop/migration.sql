@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "cleanup_logs" ADD COLUMN "shopDomain" TEXT;
+
+-- CreateIndex
+CREATE INDEX "cleanup_logs_shopDomain_idx" ON "cleanup_logs"("shopDomain");
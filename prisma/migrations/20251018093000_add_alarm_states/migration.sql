@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "alarm_states" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "key" TEXT NOT NULL,
+    "lastMessage" TEXT NOT NULL,
+    "lastSentAt" DATETIME NOT NULL,
+    "suppressedCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "alarm_states_key_key" ON "alarm_states"("key");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "dimension_rules" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "minBoy" INTEGER NOT NULL DEFAULT 10,
+    "maxBoy" INTEGER NOT NULL DEFAULT 300,
+    "minEn" INTEGER NOT NULL DEFAULT 10,
+    "maxEn" INTEGER NOT NULL DEFAULT 300,
+    "step" INTEGER NOT NULL DEFAULT 1,
+    "maxAspectRatio" REAL,
+    "maxArea" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dimension_rules_shopDomain_productId_key" ON "dimension_rules"("shopDomain", "productId");
@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "shop_settings" ADD COLUMN "units" JSONB NOT NULL DEFAULT '["cm"]';
+ALTER TABLE "shop_settings" ADD COLUMN "unitPrecision" JSONB NOT NULL DEFAULT '{}';
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_temporary_products" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "baseVariantId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "scheduledDeletionAt" DATETIME NOT NULL,
+    "deletedAt" DATETIME,
+    "boy" REAL NOT NULL,
+    "en" REAL NOT NULL,
+    "unit" TEXT NOT NULL DEFAULT 'cm',
+    "materyal" TEXT NOT NULL,
+    "calculatedPrice" REAL NOT NULL,
+    "area" REAL NOT NULL,
+    "isOrdered" BOOLEAN NOT NULL DEFAULT false,
+    "orderIds" JSONB NOT NULL DEFAULT '[]',
+    "cleanupAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lastCleanupError" TEXT,
+    "cleanupStatus" TEXT NOT NULL DEFAULT 'pending',
+    "nextCleanupAt" DATETIME,
+    "deadLetteredAt" DATETIME,
+    "shopDomain" TEXT NOT NULL,
+    "sessionId" TEXT
+);
+INSERT INTO "new_temporary_products" ("area", "baseVariantId", "boy", "calculatedPrice", "cleanupAttempts", "cleanupStatus", "createdAt", "deadLetteredAt", "deletedAt", "en", "id", "isOrdered", "lastCleanupError", "materyal", "nextCleanupAt", "orderIds", "productId", "scheduledDeletionAt", "sessionId", "shopDomain", "variantId") SELECT "area", "baseVariantId", "boy", "calculatedPrice", "cleanupAttempts", "cleanupStatus", "createdAt", "deadLetteredAt", "deletedAt", "en", "id", "isOrdered", "lastCleanupError", "materyal", "nextCleanupAt", "orderIds", "productId", "scheduledDeletionAt", "sessionId", "shopDomain", "variantId" FROM "temporary_products";
+DROP TABLE "temporary_products";
+ALTER TABLE "new_temporary_products" RENAME TO "temporary_products";
+CREATE TABLE "new_dimension_rules" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "minBoy" INTEGER NOT NULL DEFAULT 10,
+    "maxBoy" INTEGER NOT NULL DEFAULT 300,
+    "minEn" INTEGER NOT NULL DEFAULT 10,
+    "maxEn" INTEGER NOT NULL DEFAULT 300,
+    "step" REAL NOT NULL DEFAULT 1,
+    "maxAspectRatio" REAL,
+    "maxArea" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_dimension_rules" ("createdAt", "id", "maxArea", "maxAspectRatio", "maxBoy", "maxEn", "minBoy", "minEn", "productId", "shopDomain", "step", "updatedAt") SELECT "createdAt", "id", "maxArea", "maxAspectRatio", "maxBoy", "maxEn", "minBoy", "minEn", "productId", "shopDomain", "step", "updatedAt" FROM "dimension_rules";
+DROP TABLE "dimension_rules";
+ALTER TABLE "new_dimension_rules" RENAME TO "dimension_rules";
+CREATE UNIQUE INDEX "dimension_rules_shopDomain_productId_key" ON "dimension_rules"("shopDomain", "productId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
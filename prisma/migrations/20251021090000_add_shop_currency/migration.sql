@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "shop_settings" ADD COLUMN "currencyCode" TEXT;
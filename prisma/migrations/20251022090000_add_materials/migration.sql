@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "materials" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "density" REAL NOT NULL,
+    "priceFactor" REAL NOT NULL DEFAULT 1,
+    "swatchColor" TEXT,
+    "swatchImageUrl" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "materials_shopDomain_key_key" ON "materials"("shopDomain", "key");
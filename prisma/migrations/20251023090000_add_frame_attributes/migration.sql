@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "shop_settings" ADD COLUMN "frameAttributes" JSONB NOT NULL DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "temporary_products" ADD COLUMN "attributes" JSONB NOT NULL DEFAULT '{}';
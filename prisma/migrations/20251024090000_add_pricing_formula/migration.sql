@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "pricing_rules" ADD COLUMN "formula" TEXT;
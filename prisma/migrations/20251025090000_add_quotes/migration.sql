@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "quotes" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "accessToken" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "boy" REAL NOT NULL,
+    "en" REAL NOT NULL,
+    "unit" TEXT NOT NULL DEFAULT 'cm',
+    "materyal" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "requestedPrice" REAL NOT NULL,
+    "price" REAL NOT NULL,
+    "leadTimeDays" INTEGER,
+    "customerId" TEXT,
+    "email" TEXT,
+    "name" TEXT,
+    "company" TEXT,
+    "customerNote" TEXT,
+    "responseNote" TEXT,
+    "lastError" TEXT,
+    "productId" TEXT,
+    "variantId" TEXT,
+    "draftOrderId" TEXT,
+    "invoiceUrl" TEXT,
+    "invoiceSentAt" DATETIME,
+    "decidedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_accessToken_key" ON "quotes"("accessToken");
+
+-- CreateIndex
+CREATE INDEX "quotes_shopDomain_status_idx" ON "quotes"("shopDomain", "status");
+
+-- CreateIndex
+CREATE INDEX "quotes_shopDomain_customerId_idx" ON "quotes"("shopDomain", "customerId");
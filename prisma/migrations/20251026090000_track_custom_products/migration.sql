@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "temporary_products" ADD COLUMN "kind" TEXT NOT NULL DEFAULT 'variant';
+
+-- AlterTable
+ALTER TABLE "temporary_products" ADD COLUMN "draftOrderIds" JSONB NOT NULL DEFAULT '[]';
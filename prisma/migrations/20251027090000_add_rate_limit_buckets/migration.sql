@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "rate_limit_buckets" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "tokens" REAL NOT NULL,
+    "refilledAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "rate_limit_buckets_refilledAt_idx" ON "rate_limit_buckets"("refilledAt");
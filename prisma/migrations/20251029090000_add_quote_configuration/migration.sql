@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "quotes" ADD COLUMN "baseVariantId" TEXT;
+ALTER TABLE "quotes" ADD COLUMN "attributes" JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "customer_data_requests" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopDomain" TEXT NOT NULL,
+    "dataRequestId" TEXT,
+    "customerId" TEXT,
+    "email" TEXT,
+    "data" JSONB NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "customer_data_requests_shopDomain_createdAt_idx" ON "customer_data_requests"("shopDomain", "createdAt");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "temporary_product_orders" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "temporaryProductId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "temporary_product_orders_temporaryProductId_fkey" FOREIGN KEY ("temporaryProductId") REFERENCES "temporary_products" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Mevcut orderIds dizileri satırlara taşınır
+INSERT INTO "temporary_product_orders" ("id", "temporaryProductId", "orderId")
+SELECT lower(hex(randomblob(12))), "temporaryProductId", "orderId"
+FROM (
+    SELECT DISTINCT "temporary_products"."id" AS "temporaryProductId",
+        CAST("orders"."value" AS TEXT) AS "orderId"
+    FROM "temporary_products", json_each("temporary_products"."orderIds") AS "orders"
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "temporary_product_orders_temporaryProductId_orderId_key" ON "temporary_product_orders"("temporaryProductId", "orderId");
+
+-- CreateIndex
+CREATE INDEX "temporary_product_orders_orderId_idx" ON "temporary_product_orders"("orderId");
+
+-- AlterTable
+ALTER TABLE "temporary_products" DROP COLUMN "orderIds";
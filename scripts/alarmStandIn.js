@@ -0,0 +1,139 @@
+// Alarm kanallarını denemek için yerel sahte sunucu. Gelen webhook, Slack ve
+// SMTP isteklerini konsola yazar; webhook imzasını ALARM_WEBHOOK_SECRET ile
+// doğrular. Kullanım:
+//
+//   npm run alarm:stand-in
+//   ALARM_WEBHOOK_URL=http://localhost:4010/webhook \
+//   ALARM_SLACK_WEBHOOK_URL=http://localhost:4010/slack \
+//   SMTP_HOST=localhost SMTP_PORT=2525 ALARM_EMAIL_TO=ops@example.com \
+//   npm run alarm:test -- [email|webhook|slack]
+//
+// Scriptler app/ modüllerini uzantısız import ettiği için düz node ile değil
+// vite-node ile çalışır.
+import http from "node:http";
+import net from "node:net";
+import process from "node:process";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyWebhookSignature,
+} from "../app/alarms.server";
+
+const env = process.env;
+const HTTP_PORT = parseInt(env.ALARM_STANDIN_HTTP_PORT || "", 10) || 4010;
+const SMTP_PORT = parseInt(env.ALARM_STANDIN_SMTP_PORT || "", 10) || 2525;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+const httpServer = http.createServer(async (req, res) => {
+  const body = await readBody(req);
+  console.log(`\n📨 HTTP ${req.method} ${req.url}`);
+
+  if (req.url === "/webhook") {
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+
+    if (!env.ALARM_WEBHOOK_SECRET) {
+      console.log("ℹ️ ALARM_WEBHOOK_SECRET yok, imza kontrol edilmedi");
+    } else if (
+      verifyWebhookSignature(
+        env.ALARM_WEBHOOK_SECRET,
+        timestamp,
+        body,
+        signature,
+      )
+    ) {
+      console.log("✅ İmza geçerli");
+    } else {
+      console.log("❌ İmza geçersiz:", signature);
+      res.writeHead(401).end("invalid signature");
+      return;
+    }
+  }
+
+  try {
+    console.log(JSON.stringify(JSON.parse(body), null, 2));
+  } catch {
+    console.log(body);
+  }
+  res.writeHead(200, { "Content-Type": "text/plain" }).end("ok");
+});
+
+// Nodemailer'ın ihtiyaç duyduğu kadar SMTP: EHLO, AUTH, MAIL, RCPT, DATA
+const smtpServer = net.createServer((socket) => {
+  let buffer = "";
+  let inData = false;
+  let message = "";
+  let authStep = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply("220 localhost alarm stand-in ESMTP");
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          console.log(`\n📧 SMTP mesajı:\n${message}`);
+          message = "";
+          reply("250 OK: queued");
+        } else {
+          message += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+        }
+        continue;
+      }
+
+      if (authStep) {
+        authStep = authStep === "user" ? "pass" : null;
+        reply(authStep ? "334 UGFzc3dvcmQ6" : "235 Authenticated");
+        continue;
+      }
+
+      const command = line.split(" ")[0].toUpperCase();
+      if (command === "EHLO") {
+        reply("250-localhost");
+        reply("250-AUTH PLAIN LOGIN");
+        reply("250 8BITMIME");
+      } else if (command === "HELO") {
+        reply("250 localhost");
+      } else if (command === "AUTH") {
+        if (/^AUTH LOGIN$/i.test(line)) {
+          authStep = "user";
+          reply("334 VXNlcm5hbWU6");
+        } else {
+          reply("235 Authenticated");
+        }
+      } else if (command === "DATA") {
+        inData = true;
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (command === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else {
+        reply("250 OK");
+      }
+    }
+  });
+});
+
+httpServer.listen(HTTP_PORT, () =>
+  console.log(
+    `🌐 Webhook: http://localhost:${HTTP_PORT}/webhook, Slack: http://localhost:${HTTP_PORT}/slack`,
+  ),
+);
+smtpServer.listen(SMTP_PORT, () =>
+  console.log(`📮 SMTP: localhost:${SMTP_PORT}`),
+);
@@ -0,0 +1,49 @@
+// Cart Transform fonksiyonunu extensions/frame-cart-transform/fixtures
+// altındaki her girdiyle çalıştırır ve sonucu yanındaki *.output.json ile
+// karşılaştırır. Fonksiyonun kaynağını doğrudan çalıştırır; derlenmiş hali
+// için eklentinin `npm run preview` komutu kullanılır.
+// Kullanım: npm run cart-transform:fixtures
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { isDeepStrictEqual } from "node:util";
+import { cartTransformRun } from "../extensions/frame-cart-transform/src/cart_transform_run";
+
+const FIXTURE_DIR = path.resolve("extensions/frame-cart-transform/fixtures");
+const INPUT_SUFFIX = ".input.json";
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+const inputs = fs
+  .readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith(INPUT_SUFFIX))
+  .sort();
+
+let failed = 0;
+for (const file of inputs) {
+  const name = file.slice(0, -INPUT_SUFFIX.length);
+  const outputFile = path.join(FIXTURE_DIR, `${name}.output.json`);
+
+  if (!fs.existsSync(outputFile)) {
+    failed++;
+    console.error(`❌ ${name}: ${name}.output.json yok`);
+    continue;
+  }
+
+  const actual = cartTransformRun(readJson(path.join(FIXTURE_DIR, file)));
+  const expected = readJson(outputFile);
+
+  if (isDeepStrictEqual(actual, expected)) {
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.error(`❌ ${name}`);
+    console.error(`   beklenen: ${JSON.stringify(expected)}`);
+    console.error(`   dönen:    ${JSON.stringify(actual)}`);
+  }
+}
+
+console.log(`${inputs.length - failed}/${inputs.length} fixture eşleşti`);
+process.exitCode = failed ? 1 : 0;
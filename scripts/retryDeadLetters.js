@@ -0,0 +1,39 @@
+// Dead-letter'a düşmüş geçici varyant silme işlerini elle tekrar denemeye açar.
+// Kullanım: npm run cleanup:retry -- [--shop=<shopDomain>] [temporaryProductId ...]
+// Açılan kayıtlar bir sonraki cleanup pass'inde işlenir.
+import process from "node:process";
+import prisma from "../app/db.server";
+import { listDeadLetters, retryDeadLetters } from "../app/cleanupJobs.server";
+
+const args = process.argv.slice(2);
+const shopDomain = args
+  .find((arg) => arg.startsWith("--shop="))
+  ?.slice("--shop=".length);
+const ids = args.filter((arg) => !arg.startsWith("--"));
+
+const deadLetters = await listDeadLetters({ shopDomain, take: 1000 });
+const selected = ids.length
+  ? deadLetters.filter((item) => ids.includes(item.id))
+  : deadLetters;
+
+for (const item of selected) {
+  console.log(
+    `↩️ ${item.shopDomain} ${item.variantId} (${item.cleanupAttempts} deneme): ${item.lastCleanupError}`,
+  );
+}
+
+const count = await retryDeadLetters({
+  ids: ids.length ? ids : undefined,
+  shopDomain,
+});
+
+await prisma.cleanupLog.create({
+  data: {
+    action: "dead_letter_retry",
+    shopDomain: shopDomain || null,
+    message: `${count} dead letter item(s) re-queued for cleanup`,
+  },
+});
+
+console.log(`✅ ${count} kayıt tekrar kuyruğa alındı`);
+await prisma.$disconnect();
@@ -0,0 +1,20 @@
+// Yapılandırılmış alarm kanallarına (veya yalnızca verilen kanala) cooldown'u
+// atlayarak deneme alarmı gönderir. Yerel deneme için scripts/alarmStandIn.js.
+// Kullanım: npm run alarm:test -- [email|webhook|slack]
+import process from "node:process";
+import { getConfiguredChannels, sendTestAlarm } from "../app/alarms.server";
+
+const channel = process.argv[2];
+const configured = getConfiguredChannels();
+
+if (!configured.length || (channel && !configured.includes(channel))) {
+  console.error(
+    `❌ Kanal yapılandırılmamış: ${channel || "(hiçbiri)"}. Yapılandırılmış: ${configured.join(", ") || "-"}`,
+  );
+  process.exit(1);
+}
+
+const results = await sendTestAlarm(channel);
+console.log(JSON.stringify(results, null, 2));
+
+process.exitCode = Object.values(results).every((r) => r.ok) ? 0 : 1;
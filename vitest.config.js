@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Testler React Router eklentisi olmadan çalışır (vite.config.js yüklenmez).
+// Veritabanı kullanan modüllerin testleri ./db.server'ı mock'lar.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});